@@ -0,0 +1,148 @@
+/**
+ * airframes.js — Vehicle Profiles
+ *
+ * Each profile bundles the rigid-body and actuator constants plus a rotor
+ * list. Rotors are given by their azimuth around body Z (degrees, 0 = +X,
+ * counter-clockwise seen from above) and a yaw-reaction sign:
+ *   dir = +1 → rotor reaction torque is +τψ
+ *   dir = −1 → rotor reaction torque is −τψ
+ * An optional per-rotor `arm` overrides the profile arm length L.
+ *
+ * Landing gear is four feet at ±45°/±135° on a circle of radius gearRadius,
+ * gearHeight below the rotor plane. kGear/cGear are the per-contact ground
+ * stiffness and damping (chosen for a ~60 rad/s, ζ ≈ 0.7 touchdown mode)
+ * and muGear the friction coefficient against the ground.
+ *
+ * The battery pack is `cells` LiPo cells in series with the given capacity
+ * and internal resistance; wMax is the motor speed on a full pack.
+ *
+ * Physics builds the mixing matrix and Drone3D builds the model from the
+ * rotor list, so any planar layout can be flown.
+ */
+
+const Airframes = (() => {
+
+    const profiles = {
+        QUAD_X: {
+            name: 'Quad X (Crazyflie-scale)',
+            m: 0.5, Ixx: 0.0023, Iyy: 0.0023, Izz: 0.004,
+            L: 0.17, rProp: 0.065, kT: 2.98e-6, kD: 1.14e-7, Cd: 0.04, CdA: 0.02, CdRot: 3e-4,
+            wMax: 2200, wMin: 0, tauM: 0.03, wDotMax: 30000,
+            gearHeight: 0.05, gearRadius: 0.08, kGear: 450, cGear: 10, muGear: 0.6,
+            cells: 3, capacity: 1500, rBattery: 0.03,
+            rotors: [
+                { angle:  -45, dir: -1 },
+                { angle: -135, dir:  1 },
+                { angle:  135, dir: -1 },
+                { angle:   45, dir:  1 },
+            ],
+        },
+        QUAD_PLUS: {
+            name: 'Quad + (Crazyflie-scale)',
+            m: 0.5, Ixx: 0.0023, Iyy: 0.0023, Izz: 0.004,
+            L: 0.17, rProp: 0.065, kT: 2.98e-6, kD: 1.14e-7, Cd: 0.04, CdA: 0.02, CdRot: 3e-4,
+            wMax: 2200, wMin: 0, tauM: 0.03, wDotMax: 30000,
+            gearHeight: 0.05, gearRadius: 0.08, kGear: 450, cGear: 10, muGear: 0.6,
+            cells: 3, capacity: 1500, rBattery: 0.03,
+            rotors: [
+                { angle:    0, dir: -1 },
+                { angle:   90, dir:  1 },
+                { angle:  180, dir: -1 },
+                { angle:  -90, dir:  1 },
+            ],
+        },
+        HEXA_X: {
+            name: 'Hexa X (1.5 kg)',
+            m: 1.5, Ixx: 0.015, Iyy: 0.015, Izz: 0.027,
+            L: 0.25, rProp: 0.12, kT: 6.0e-6, kD: 1.2e-7, Cd: 0.05, CdA: 0.05, CdRot: 1e-3,
+            wMax: 1500, wMin: 0, tauM: 0.04, wDotMax: 20000,
+            gearHeight: 0.12, gearRadius: 0.15, kGear: 1350, cGear: 30, muGear: 0.6,
+            cells: 4, capacity: 5000, rBattery: 0.02,
+            rotors: [
+                { angle:   30, dir:  1 },
+                { angle:   90, dir: -1 },
+                { angle:  150, dir:  1 },
+                { angle: -150, dir: -1 },
+                { angle:  -90, dir:  1 },
+                { angle:  -30, dir: -1 },
+            ],
+        },
+        OCTO_X: {
+            name: 'Octo X (3 kg)',
+            m: 3.0, Ixx: 0.05, Iyy: 0.05, Izz: 0.09,
+            L: 0.35, rProp: 0.15, kT: 8.0e-6, kD: 1.6e-7, Cd: 0.06, CdA: 0.09, CdRot: 3e-3,
+            wMax: 1400, wMin: 0, tauM: 0.05, wDotMax: 15000,
+            gearHeight: 0.15, gearRadius: 0.2, kGear: 2700, cGear: 60, muGear: 0.6,
+            cells: 6, capacity: 10000, rBattery: 0.015,
+            rotors: [
+                { angle:   22.5, dir:  1 },
+                { angle:   67.5, dir: -1 },
+                { angle:  112.5, dir:  1 },
+                { angle:  157.5, dir: -1 },
+                { angle: -157.5, dir:  1 },
+                { angle: -112.5, dir: -1 },
+                { angle:  -67.5, dir:  1 },
+                { angle:  -22.5, dir: -1 },
+            ],
+        },
+    };
+
+    // Editable scalar fields, in display order
+    const fieldDefs = [
+        { key: 'm',       label: 'Mass',               unit: 'kg',      step: 0.01 },
+        { key: 'Ixx',     label: 'Ixx (roll inertia)', unit: 'kg·m²',   step: 0.0001 },
+        { key: 'Iyy',     label: 'Iyy (pitch inertia)', unit: 'kg·m²',  step: 0.0001 },
+        { key: 'Izz',     label: 'Izz (yaw inertia)',  unit: 'kg·m²',   step: 0.0001 },
+        { key: 'L',       label: 'Arm length',         unit: 'm',       step: 0.01 },
+        { key: 'rProp',   label: 'Propeller radius',   unit: 'm',       step: 0.005 },
+        { key: 'kT',      label: 'kT (thrust coeff.)', unit: 'N/(rad/s)²', step: 1e-7 },
+        { key: 'kD',      label: 'kD (drag coeff.)',   unit: 'N·m/(rad/s)²', step: 1e-9 },
+        { key: 'CdA',     label: 'Body drag area',     unit: 'm²',      step: 0.005 },
+        { key: 'CdRot',   label: 'Rotational drag',    unit: 'N·m·s²',  step: 1e-4 },
+        { key: 'wMax',    label: 'Max motor speed',    unit: 'rad/s',   step: 10 },
+        { key: 'wMin',    label: 'Min motor speed',    unit: 'rad/s',   step: 10 },
+        { key: 'tauM',    label: 'Motor time constant', unit: 's',      step: 0.005 },
+        { key: 'wDotMax', label: 'Max spin rate',      unit: 'rad/s²',  step: 1000 },
+        { key: 'gearHeight', label: 'Gear height',     unit: 'm',       step: 0.01 },
+        { key: 'gearRadius', label: 'Gear radius',     unit: 'm',       step: 0.01 },
+        { key: 'kGear',   label: 'Ground stiffness',   unit: 'N/m',     step: 50 },
+        { key: 'cGear',   label: 'Ground damping',     unit: 'N·s/m',   step: 1 },
+        { key: 'muGear',  label: 'Ground friction',    unit: '',        step: 0.05 },
+        { key: 'cells',   label: 'Battery cells',      unit: 'S',       step: 1 },
+        { key: 'capacity', label: 'Battery capacity',  unit: 'mAh',     step: 100 },
+        { key: 'rBattery', label: 'Pack resistance',   unit: 'Ω',       step: 0.005 },
+    ];
+
+    // Deep clone
+    function get(id) {
+        return profiles[id] ? JSON.parse(JSON.stringify(profiles[id])) : null;
+    }
+
+    function list() {
+        return Object.keys(profiles).map(id => ({ id, name: profiles[id].name }));
+    }
+
+    /**
+     * Rotor positions in the body frame [m]: { x, y, dir }
+     */
+    function rotorPositions(frame) {
+        return frame.rotors.map(r => {
+            const a = r.angle * Math.PI / 180;
+            const arm = r.arm || frame.L;
+            return { x: arm * Math.cos(a), y: arm * Math.sin(a), dir: r.dir };
+        });
+    }
+
+    /**
+     * Landing-gear foot positions in the body frame [m]: { x, y, z }
+     */
+    function gearPositions(frame) {
+        const r = frame.gearRadius || 0;
+        return [45, 135, -135, -45].map(deg => {
+            const a = deg * Math.PI / 180;
+            return { x: r * Math.cos(a), y: r * Math.sin(a), z: -(frame.gearHeight || 0) };
+        });
+    }
+
+    return { get, list, rotorPositions, gearPositions, fieldDefs };
+})();
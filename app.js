@@ -9,6 +9,7 @@ const App = (() => {
 
     // --- Simulation State ---
     let simState = null;
+    let estState = null;    // what the controllers see (see estimator.js)
     let simTime = 0;
     let paused = false;
     let simSpeed = 1.0;
@@ -18,14 +19,45 @@ const App = (() => {
     let chartUpdateCounter = 0;
     let desiredPathDirty = true;
 
-    // Environment
-    let windIntensity = 0;
+    // Environment — scheduled gusts (see wind.js)
+    let gusts = [];
+
+    // Plant/model mismatch — payload is the configured value, restored on reset
+    let payloadMass = 0;
+    let payloadDropTime = 0;
+    let payloadDropped = false;
+
+    // Fault onsets/recoveries not yet shown on the charts / written to the log
+    let chartEvents = [];
+    let logEvents = [];
+
+    // Arming and crashes — the vehicle starts disarmed on its landing gear
+    let autoArm = true;         // arm automatically at AUTO_ARM_TIME after a reset
+    let autoArmPending = true;
+    let stopOnCrash = true;     // disarm and pause when a crash is detected
+    let crashReported = false;
+    let batteryEmptyReported = false;
 
     // --- Custom waypoints ---
     let customWaypoints = [];
 
-    const DT = 1 / 120; // Physics timestep (120 Hz)
+    // --- Airframe being edited (applied on "Apply & Reset") ---
+    let airframeDraft = Airframes.get('QUAD_X');
+
+    // Loop rates — physics and controller run separately; the controller
+    // output is held (zero-order hold) and reaches the motors after an
+    // optional computation delay
+    let physicsDt = 1 / 120;
+    let controlDt = 1 / 120;
+    let controlDelay = 0;       // [s]
+    let nextControlTime = 0;
+    let uHeld = [0, 0, 0, 0];
+    let uPending = [];          // [{ release, u }] computed but not yet applied
+    let stepAccumulator = 0;    // fractional physics steps carried between frames
     const CHART_INTERVAL = 4; // Update charts every N frames
+    const FIELD_GLYPH_INTERVAL = 15; // Refresh wind field arrows every N frames
+    const AUTO_ARM_TIME = 1.0; // Seconds on the ground before auto-arming
+    let fieldGlyphCounter = 0;
 
     // =====================================================================
     //  INITIALIZATION
@@ -34,6 +66,11 @@ const App = (() => {
         // Physics
         simState = Physics.createState();
         Controllers.resetInternal();
+        Sensors.reset();
+        Estimator.reset(simState);
+        estState = simState;
+        Faults.reset();
+        Battery.reset();
 
         // 3D Scene
         Drone3D.init(document.getElementById('viewport'));
@@ -48,6 +85,12 @@ const App = (() => {
         currentGains = Controllers.getDefaultGains(currentAlgo);
         buildGainPanel();
 
+        // Airframe editor
+        buildAirframePanel();
+
+        // Mismatch sliders
+        buildMismatchPanel();
+
         // UI bindings
         bindUI();
 
@@ -68,8 +111,11 @@ const App = (() => {
             return;
         }
 
-        const stepsPerFrame = Math.round(simSpeed * 2);
-        for (let i = 0; i < stepsPerFrame; i++) {
+        // Advance simSpeed × 1/60 s of simulated time per frame
+        stepAccumulator += simSpeed / (60 * physicsDt);
+        const stepsPerFrame = Math.floor(stepAccumulator);
+        stepAccumulator -= stepsPerFrame;
+        for (let i = 0; i < stepsPerFrame && !paused; i++) {
             simStep();
         }
 
@@ -77,35 +123,41 @@ const App = (() => {
         Drone3D.updateDrone(simState);
         Drone3D.render();
 
-        // Update MPC prediction visualization
-        if (currentAlgo === 'MPC') {
-            const iState = Controllers.getInternalState();
-            if (iState.mpcPrediction) {
-                Drone3D.setMPCPrediction(iState.mpcPrediction);
-            }
-        } else {
-            Drone3D.setMPCPrediction(null);
+        // Predicted trajectory of controllers that plan one (MPC)
+        Drone3D.setMPCPrediction(Controllers.getInternalState().mpcPrediction || null);
+
+        // Animate wind field arrows (wakes oscillate)
+        fieldGlyphCounter++;
+        if (fieldGlyphCounter >= FIELD_GLYPH_INTERVAL) {
+            fieldGlyphCounter = 0;
+            updateFieldGlyphs();
         }
 
-        // Update charts at reduced rate
+        // Update charts at reduced rate (immediately when an event is pending,
+        // so its marker lands on the right sample)
         chartUpdateCounter++;
-        if (chartUpdateCounter >= CHART_INTERVAL) {
+        if (chartUpdateCounter >= CHART_INTERVAL || chartEvents.length) {
             chartUpdateCounter = 0;
             const target = getCurrentTarget();
             const iState = Controllers.getInternalState();
-            Charts.push(simTime, simState, target, iState, currentAlgo);
+            Charts.push(simTime, simState, target, iState, currentAlgo, estState, chartEvents.join('; '));
+            chartEvents = [];
             Charts.update(currentAlgo);
         }
 
         // Telemetry overlay
         updateTelemetry();
+        updateControllerDiagnostics();
+        updateRateInfo();
+        updateILCInfo();
 
         // Data logging
         if (DataLogger.isRecording()) {
             const target = getCurrentTarget();
             const iState = Controllers.getInternalState();
-            DataLogger.log(simTime, simState, target, iState, currentAlgo);
+            DataLogger.log(simTime, simState, target, iState, currentAlgo, estState, logEvents.join('; '));
         }
+        logEvents = [];
 
         // Regenerate desired path if needed
         if (desiredPathDirty) {
@@ -115,31 +167,89 @@ const App = (() => {
     }
 
     function simStep() {
-        simTime += DT;
+        simTime += physicsDt;
+
+        // Scheduled payload release
+        if (payloadDropTime > 0 && !payloadDropped && simTime >= payloadDropTime) {
+            payloadDropped = true;
+            Physics.setMismatch({ payload: 0 });
+            updateMismatchInfo();
+        }
+
+        // Scheduled faults
+        const fired = Faults.update(simTime);
+        if (fired.length) {
+            fired.forEach(markEvent);
+            updateFaultInfo();
+        }
+
+        // Auto-arm after a short rest on the ground
+        if (autoArmPending && simTime >= AUTO_ARM_TIME) {
+            autoArmPending = false;
+            setArmed(true);
+        }
 
         // Get target from trajectory
         const target = getCurrentTarget();
 
-        // Wind disturbance
+        // Wind disturbance (mean + turbulence + gusts)
         const windEnv = {
-            windX: windIntensity * (Math.sin(simTime * 1.7) * 0.5 + Math.sin(simTime * 0.3) * 0.5),
-            windY: windIntensity * Math.sin(simTime * 0.8) * 0.3,
-            windZ: windIntensity * (Math.cos(simTime * 1.2) * 0.4 + Math.sin(simTime * 2.1) * 0.3),
+            wind: Wind.sample(simTime, physicsDt),
+            field: WindField.isEmpty() ? null : WindField,
+            t: simTime,
         };
 
-        // Compute control input
-        const trajFn = Trajectories.getTrajectoryFn(currentPattern);
-        const u = Controllers.compute(
-            currentAlgo, simState, target, currentGains, DT, trajFn, simTime
-        );
+        // Compute control input from the estimated state at the controller
+        // rate (never faster than physics). While disarmed the controllers
+        // are held in reset so integrators don't wind up. On repeating
+        // patterns the ILC layer shifts the reference the controller sees
+        // and logs the error against the true one.
+        if (simTime >= nextControlTime - 1e-9) {
+            const ctrlDt = Math.max(controlDt, physicsDt);
+            nextControlTime = Math.max(nextControlTime + controlDt, simTime);
+            let u = [0, 0, 0, 0];
+            if (simState.armed) {
+                const ref = ILC.apply(currentPattern, target, simTime);
+                const trajFn = ILC.wrapTrajectory(currentPattern, Trajectories.getTrajectoryFn(currentPattern));
+                u = Controllers.compute(
+                    currentAlgo, estState, ref, currentGains, ctrlDt, trajFn, simTime
+                );
+            } else {
+                Controllers.resetInternal();
+            }
+            ILC.record(currentPattern, simTime, target, estState, simState.armed && !simState.crashed);
+            uPending.push({ release: simTime + controlDelay, u });
+        }
+        while (uPending.length && uPending[0].release <= simTime + 1e-9) {
+            uHeld = uPending.shift().u;
+        }
+
+        // Step physics, then draw the power it took from the battery
+        Physics.step(simState, uHeld, windEnv, physicsDt);
+        Battery.update(simState, physicsDt);
+        if (simState.battery.soc <= 0 && !batteryEmptyReported) {
+            batteryEmptyReported = true;
+            markEvent('battery empty');
+        }
 
-        // Step physics
-        Physics.step(simState, u, windEnv, DT);
+        // Crash detection
+        if (simState.crashed && !crashReported) {
+            crashReported = true;
+            markEvent('CRASH: ' + simState.crashed);
+            if (stopOnCrash) {
+                setArmed(false);
+                if (!paused) togglePause();
+            }
+        }
+
+        // Measure and estimate for the next control step
+        const meas = Sensors.sample(simState, simTime, physicsDt);
+        estState = Estimator.update(simState, meas, simTime, physicsDt);
     }
 
     function getCurrentTarget() {
         if (currentPattern === 'KEYBOARD') {
-            return Trajectories.updateKeyboard(Keyboard.getKeys(), DT);
+            return Trajectories.updateKeyboard(Keyboard.getKeys(), physicsDt);
         } else if (currentPattern === 'CUSTOM') {
             return Trajectories.evaluateCustom(simTime);
         } else {
@@ -151,11 +261,20 @@ const App = (() => {
     //  UI MANAGEMENT
     // =====================================================================
     function bindUI() {
-        // Algorithm selector
-        document.getElementById('algo-select').addEventListener('change', (e) => {
+        // Algorithm selector, filled from the controller registry
+        const algoSelect = document.getElementById('algo-select');
+        Controllers.list().forEach(def => {
+            const opt = document.createElement('option');
+            opt.value = def.id;
+            opt.textContent = def.name;
+            algoSelect.appendChild(opt);
+        });
+        algoSelect.value = currentAlgo;
+        algoSelect.addEventListener('change', (e) => {
             currentAlgo = e.target.value;
             currentGains = Controllers.getDefaultGains(currentAlgo);
             Controllers.resetInternal();
+            ILC.reset();    // what was learned belongs to the old loop
             buildGainPanel();
             updateControllerInfo();
             document.getElementById('gain-algo-tag').textContent = currentAlgo;
@@ -167,14 +286,183 @@ const App = (() => {
             Keyboard.setEnabled(currentPattern === 'KEYBOARD');
             document.getElementById('keyboard-hint').style.display = currentPattern === 'KEYBOARD' ? 'block' : 'none';
             document.getElementById('custom-wp-panel').style.display = currentPattern === 'CUSTOM' ? 'block' : 'none';
+            document.getElementById('parametric-panel').style.display = currentPattern === 'PARAMETRIC' ? 'block' : 'none';
             desiredPathDirty = true;
             updateTrajectoryInfo();
+            buildPatternParams();
+            updateYawPanel();
+        });
+
+        // Yaw policy, laid over every pattern but keyboard
+        const yawSelect = document.getElementById('yaw-mode-select');
+        Object.entries(Trajectories.getYawPolicies()).forEach(([key, label]) => {
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = label;
+            yawSelect.appendChild(opt);
         });
+        yawSelect.value = Trajectories.getYawPolicy().mode;
+        yawSelect.addEventListener('change', (e) => {
+            Trajectories.setYawPolicy({ mode: e.target.value });
+            updateYawPanel();
+        });
+        document.getElementById('yaw-heading-slider').addEventListener('input', (e) => {
+            const v = parseFloat(e.target.value);
+            Trajectories.setYawPolicy({ heading: v * Math.PI / 180 });
+            document.getElementById('yaw-heading-value').textContent = v.toFixed(0) + '°';
+        });
+        ['x', 'z'].forEach(ax => {
+            document.getElementById(`yaw-look-${ax}-slider`).addEventListener('input', (e) => {
+                const v = parseFloat(e.target.value);
+                Trajectories.setYawPolicy({ ['look' + ax.toUpperCase()]: v });
+                document.getElementById(`yaw-look-${ax}-value`).textContent = v.toFixed(1) + ' m';
+                updateYawPanel();
+            });
+        });
+        document.getElementById('yaw-rate-slider').addEventListener('input', (e) => {
+            const v = parseFloat(e.target.value);
+            Trajectories.setYawPolicy({ rate: v * Math.PI / 180 });
+            document.getElementById('yaw-rate-value').textContent = v.toFixed(0) + ' °/s';
+        });
+        updateYawPanel();
 
-        // Wind slider
+        // Wind
         document.getElementById('wind-slider').addEventListener('input', (e) => {
-            windIntensity = parseFloat(e.target.value);
-            document.getElementById('wind-value').textContent = windIntensity.toFixed(1) + ' m/s';
+            const v = parseFloat(e.target.value);
+            Wind.configure({ meanSpeed: v });
+            document.getElementById('wind-value').textContent = v.toFixed(1) + ' m/s';
+        });
+        document.getElementById('wind-dir-slider').addEventListener('input', (e) => {
+            const v = parseFloat(e.target.value);
+            Wind.configure({ meanAzimuth: v });
+            document.getElementById('wind-dir-value').textContent = v.toFixed(0) + '°';
+        });
+        document.getElementById('turbulence-select').addEventListener('change', (e) => {
+            Wind.configure({ turbulence: e.target.value });
+        });
+        document.getElementById('turb-sigma-slider').addEventListener('input', (e) => {
+            const v = parseFloat(e.target.value);
+            Wind.configure({ sigma: v });
+            document.getElementById('turb-sigma-value').textContent = v.toFixed(1) + ' m/s';
+        });
+        document.getElementById('turb-length-slider').addEventListener('input', (e) => {
+            const v = parseFloat(e.target.value);
+            Wind.configure({ lengthScale: v });
+            document.getElementById('turb-length-value').textContent = v.toFixed(0) + ' m';
+        });
+        document.getElementById('wind-seed').addEventListener('change', (e) => {
+            const v = Math.max(0, Math.floor(parseFloat(e.target.value) || 0));
+            e.target.value = v;
+            Wind.configure({ seed: v });
+        });
+        document.getElementById('btn-add-gust').addEventListener('click', addGust);
+
+        // Spatial wind fields
+        const fieldSelect = document.getElementById('field-type-select');
+        const fieldTypes = WindField.getTypes();
+        Object.keys(fieldTypes).forEach(type => {
+            const opt = document.createElement('option');
+            opt.value = type;
+            opt.textContent = fieldTypes[type].name;
+            fieldSelect.appendChild(opt);
+        });
+        fieldSelect.addEventListener('change', buildFieldParamRow);
+        buildFieldParamRow();
+        document.getElementById('btn-add-field').addEventListener('click', addFieldSource);
+        document.getElementById('btn-clear-fields').addEventListener('click', () => {
+            WindField.clear();
+            updateFieldList();
+        });
+        document.getElementById('field-glyphs').addEventListener('change', (e) => {
+            Drone3D.setWindFieldVisible(e.target.checked);
+            updateFieldGlyphs();
+        });
+
+        // Sensors & estimation
+        document.getElementById('estimator-select').addEventListener('change', (e) => {
+            Estimator.configure({ mode: e.target.value });
+            document.getElementById('estimator-tag').textContent = e.target.options[e.target.selectedIndex].textContent;
+        });
+        document.getElementById('position-source-select').addEventListener('change', (e) => {
+            Sensors.configure({ positionSource: e.target.value });
+            syncPositionSensorSliders();
+        });
+        document.getElementById('sensor-noise-slider').addEventListener('input', (e) => {
+            const v = parseFloat(e.target.value);
+            Sensors.configure({ noiseScale: v });
+            document.getElementById('sensor-noise-value').textContent = v.toFixed(2) + '×';
+        });
+        document.getElementById('pos-latency-slider').addEventListener('input', (e) => {
+            const v = parseFloat(e.target.value);
+            Sensors.configure({ [positionSensorKey()]: { latency: v } });
+            document.getElementById('pos-latency-value').textContent = (v * 1000).toFixed(0) + ' ms';
+        });
+        document.getElementById('pos-dropout-slider').addEventListener('input', (e) => {
+            const v = parseFloat(e.target.value);
+            Sensors.configure({ [positionSensorKey()]: { dropout: v / 100 } });
+            document.getElementById('pos-dropout-value').textContent = v.toFixed(0) + '%';
+        });
+        document.getElementById('baro-drift-slider').addEventListener('input', (e) => {
+            const v = parseFloat(e.target.value);
+            Sensors.configure({ baro: { drift: v } });
+            document.getElementById('baro-drift-value').textContent = v.toFixed(2) + ' m/√s';
+        });
+        document.getElementById('mag-bias-slider').addEventListener('input', (e) => {
+            const v = parseFloat(e.target.value);
+            Sensors.configure({ mag: { hardIron: v } });
+            document.getElementById('mag-bias-value').textContent = v.toFixed(2);
+        });
+        document.getElementById('sensor-seed').addEventListener('change', (e) => {
+            const v = Math.max(0, Math.floor(parseFloat(e.target.value) || 0));
+            e.target.value = v;
+            Sensors.configure({ seed: v });
+        });
+        syncPositionSensorSliders();
+
+        // Fault injection
+        const faultSelect = document.getElementById('fault-type-select');
+        const faultTypes = Faults.getTypes();
+        Object.keys(faultTypes).forEach(type => {
+            const opt = document.createElement('option');
+            opt.value = type;
+            opt.textContent = faultTypes[type].name;
+            faultSelect.appendChild(opt);
+        });
+        faultSelect.addEventListener('change', syncFaultInputs);
+        syncFaultInputs();
+        document.getElementById('btn-add-fault').addEventListener('click', addFault);
+        document.getElementById('fault-tolerant').addEventListener('change', (e) => {
+            Faults.setFaultTolerant(e.target.checked);
+            updateFaultInfo();
+        });
+
+        // Reference feedforward
+        document.getElementById('ff-enabled').addEventListener('change', (e) => {
+            Controllers.configure({ feedforward: e.target.checked });
+        });
+
+        // Iterative learning
+        document.getElementById('ilc-enabled').addEventListener('change', (e) => {
+            ILC.configure({ enabled: e.target.checked });
+        });
+        document.getElementById('ilc-gain-slider').addEventListener('input', (e) => {
+            const v = parseFloat(e.target.value);
+            ILC.configure({ gain: v });
+            document.getElementById('ilc-gain-value').textContent = v.toFixed(2);
+        });
+        document.getElementById('ilc-lead-slider').addEventListener('input', (e) => {
+            const v = parseFloat(e.target.value);
+            ILC.configure({ lead: v });
+            document.getElementById('ilc-lead-value').textContent = v.toFixed(2) + ' s';
+        });
+        document.getElementById('ilc-cutoff-slider').addEventListener('input', (e) => {
+            const v = parseFloat(e.target.value);
+            ILC.configure({ cutoff: v });
+            document.getElementById('ilc-cutoff-value').textContent = v.toFixed(2) + ' Hz';
+        });
+        document.getElementById('btn-ilc-forget').addEventListener('click', () => {
+            ILC.reset();
+            markEvent('ILC reset');
         });
 
         // Sim speed
@@ -185,29 +473,133 @@ const App = (() => {
 
         // Buttons
         document.getElementById('btn-reset').addEventListener('click', resetSim);
+        document.getElementById('btn-arm').addEventListener('click', () => {
+            autoArmPending = false;
+            setArmed(!simState.armed);
+        });
+        document.getElementById('auto-arm').addEventListener('change', (e) => {
+            autoArm = e.target.checked;
+        });
+        document.getElementById('stop-on-crash').addEventListener('change', (e) => {
+            stopOnCrash = e.target.checked;
+        });
         document.getElementById('btn-pause').addEventListener('click', togglePause);
         document.getElementById('btn-record').addEventListener('click', toggleRecord);
         document.getElementById('btn-export').addEventListener('click', () => DataLogger.downloadCSV());
         document.getElementById('btn-export-chart').addEventListener('click', exportChartData);
 
+        // Airframe
+        const afSelect = document.getElementById('airframe-select');
+        Airframes.list().forEach(({ id, name }) => {
+            const opt = document.createElement('option');
+            opt.value = id;
+            opt.textContent = name;
+            afSelect.appendChild(opt);
+        });
+        afSelect.addEventListener('change', (e) => {
+            airframeDraft = Airframes.get(e.target.value);
+            buildAirframePanel();
+        });
+        document.getElementById('btn-add-rotor').addEventListener('click', () => {
+            airframeDraft.rotors.push({ angle: 0, dir: 1 });
+            buildAirframePanel();
+        });
+        document.getElementById('btn-apply-airframe').addEventListener('click', applyAirframe);
+
+        // Loop rates & integration
+        document.getElementById('integrator-select').addEventListener('change', (e) => {
+            Physics.setIntegrator(e.target.value);
+        });
+        document.getElementById('physics-rate-select').addEventListener('change', (e) => {
+            physicsDt = 1 / parseFloat(e.target.value);
+            stepAccumulator = 0;
+        });
+        document.getElementById('control-rate-select').addEventListener('change', (e) => {
+            controlDt = 1 / parseFloat(e.target.value);
+        });
+        document.getElementById('control-delay-slider').addEventListener('input', (e) => {
+            const v = parseFloat(e.target.value);
+            controlDelay = v / 1000;
+            document.getElementById('control-delay-value').textContent = v.toFixed(0) + ' ms';
+        });
+
+        // Battery
+        document.getElementById('battery-charge-slider').addEventListener('input', (e) => {
+            const v = parseFloat(e.target.value);
+            Battery.configure({ initialCharge: v / 100 });
+            document.getElementById('battery-charge-value').textContent = v.toFixed(0) + '%';
+        });
+
+        // Optional rotor aerodynamics
+        [
+            ['aero-ground-effect', 'groundEffect'],
+            ['aero-rotor-drag', 'rotorDrag'],
+            ['aero-flapping', 'flapping'],
+            ['aero-inflow', 'inflow'],
+        ].forEach(([id, key]) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                Physics.setAero({ [key]: e.target.checked });
+            });
+        });
+
+        // Payload drop schedule
+        document.getElementById('payload-drop-time').addEventListener('change', (e) => {
+            payloadDropTime = Math.max(0, parseFloat(e.target.value) || 0);
+            e.target.value = payloadDropTime;
+            updateMismatchInfo();
+        });
+
         // Custom waypoint input
         document.getElementById('btn-add-wp').addEventListener('click', addCustomWaypoint);
         document.getElementById('btn-clear-wp').addEventListener('click', () => {
             customWaypoints = [];
-            updateWaypointList();
             Trajectories.setCustomWaypoints([]);
+            updateWaypointList();
+        });
+
+        // Spline order and the limits the loop is timed to
+        const orderSelect = document.getElementById('wp-order-select');
+        Object.entries(Trajectories.getSplineOrders()).forEach(([key, order]) => {
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = order.name;
+            orderSelect.appendChild(opt);
+        });
+        orderSelect.value = Trajectories.getCustomConfig().order;
+        orderSelect.addEventListener('change', (e) => {
+            Trajectories.setCustomConfig({ order: e.target.value });
+            updateWaypointList();
+        });
+        [['wp-vmax', 'vMax'], ['wp-amax', 'aMax']].forEach(([id, key]) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                const v = Math.max(0.1, parseFloat(e.target.value) || Trajectories.getCustomConfig()[key]);
+                e.target.value = v;
+                Trajectories.setCustomConfig({ [key]: v });
+                updateWaypointList();
+            });
+        });
+
+        // Parametric formulas, applied when one is edited
+        const formulas = Trajectories.getPatterns().PARAMETRIC.formulas;
+        ['x', 'y', 'z', 'yaw'].forEach(ax => {
+            const input = document.getElementById('expr-' + ax);
+            input.value = formulas[ax];
+            input.addEventListener('change', applyFormulas);
         });
 
         // Initialize info
         updateControllerInfo();
         updateTrajectoryInfo();
+        updateWaypointList();
+        updateParametricInfo();
+        buildPatternParams();
     }
 
     function buildGainPanel() {
         const container = document.getElementById('gains-panel');
         container.innerHTML = '';
 
-        const gainDefs = getGainDefinitions(currentAlgo);
+        const gainDefs = Controllers.get(currentAlgo).gainDefs;
 
         gainDefs.forEach(def => {
             const row = document.createElement('div');
@@ -240,86 +632,255 @@ const App = (() => {
         });
     }
 
-    function getGainDefinitions(algo) {
-        switch (algo) {
-            case 'PID':
-                return [
-                    { key: 'Kp_xy', label: 'Kp (XZ position)', min: 0, max: 20, step: 0.1, tooltip: 'Proportional gain — position loop (horizontal)' },
-                    { key: 'Ki_xy', label: 'Ki (XZ integral)', min: 0, max: 2, step: 0.01, decimals: 2, tooltip: 'Integral gain — eliminates steady-state error' },
-                    { key: 'Kd_xy', label: 'Kd (XZ derivative)', min: 0, max: 15, step: 0.1, tooltip: 'Derivative gain — damping for horizontal axes' },
-                    { key: 'Kp_z', label: 'Kp (altitude)', min: 0, max: 30, step: 0.1, tooltip: 'Proportional gain — altitude loop' },
-                    { key: 'Ki_z', label: 'Ki (altitude)', min: 0, max: 3, step: 0.01, decimals: 2, tooltip: 'Integral gain — altitude steady-state error' },
-                    { key: 'Kd_z', label: 'Kd (altitude)', min: 0, max: 15, step: 0.1, tooltip: 'Derivative gain — altitude damping' },
-                    { key: 'Kp_att', label: 'Kp (attitude)', min: 0, max: 30, step: 0.5, tooltip: 'Attitude proportional gain — inner loop' },
-                    { key: 'Kd_att', label: 'Kd (attitude)', min: 0, max: 15, step: 0.1, tooltip: 'Attitude derivative gain' },
-                ];
-            case 'SMC':
-                return [
-                    { key: 'lambda_xy', label: 'λ (XZ surface slope)', min: 0.1, max: 10, step: 0.1, tooltip: 'Sliding surface slope — determines convergence rate on the surface' },
-                    { key: 'lambda_z', label: 'λ (altitude slope)', min: 0.1, max: 10, step: 0.1, tooltip: 'Altitude sliding surface slope' },
-                    { key: 'eta_xy', label: 'η (XZ switching gain)', min: 0.1, max: 15, step: 0.1, tooltip: 'Switching gain — must exceed matched uncertainty bound' },
-                    { key: 'eta_z', label: 'η (altitude switching)', min: 0.1, max: 15, step: 0.1, tooltip: 'Altitude switching gain' },
-                    { key: 'phi_xy', label: 'φ (XZ boundary layer)', min: 0, max: 2, step: 0.01, decimals: 2, tooltip: 'Boundary layer thickness — 0 = pure sign(), >0 = sat() for chattering reduction' },
-                    { key: 'phi_z', label: 'φ (altitude boundary)', min: 0, max: 2, step: 0.01, decimals: 2, tooltip: 'Altitude boundary layer' },
-                    { key: 'lambda_att', label: 'λ (attitude)', min: 1, max: 20, step: 0.5, tooltip: 'Attitude sliding surface slope' },
-                    { key: 'eta_att', label: 'η (attitude switching)', min: 0.5, max: 15, step: 0.5, tooltip: 'Attitude switching gain' },
-                ];
-            case 'STS':
-                return [
-                    { key: 'lambda_xy', label: 'λ (XZ surface slope)', min: 0.1, max: 10, step: 0.1, tooltip: 'Sliding surface slope parameter' },
-                    { key: 'lambda_z', label: 'λ (altitude slope)', min: 0.1, max: 10, step: 0.1 },
-                    { key: 'alpha1_xy', label: 'α₁ (XZ)', min: 0.1, max: 20, step: 0.1, tooltip: 'Super-twisting gain — proportional to |s|^(1/2)' },
-                    { key: 'alpha2_xy', label: 'α₂ (XZ)', min: 0.1, max: 15, step: 0.1, tooltip: 'Super-twisting integral gain — drives s to zero' },
-                    { key: 'alpha1_z', label: 'α₁ (altitude)', min: 0.1, max: 20, step: 0.1, tooltip: 'Altitude super-twisting gain' },
-                    { key: 'alpha2_z', label: 'α₂ (altitude)', min: 0.1, max: 15, step: 0.1, tooltip: 'Altitude integral gain' },
-                    { key: 'lambda_att', label: 'λ (attitude)', min: 1, max: 20, step: 0.5 },
-                    { key: 'alpha1_att', label: 'α₁ (attitude)', min: 1, max: 25, step: 0.5 },
-                ];
-            case 'MPC':
-                return [
-                    { key: 'N', label: 'N (horizon steps)', min: 3, max: 30, step: 1, decimals: 0, tooltip: 'Prediction horizon length — longer = better anticipation, more computation' },
-                    { key: 'Q_pos', label: 'Q (position weight)', min: 0.1, max: 30, step: 0.1, tooltip: 'State cost weight for position error' },
-                    { key: 'Q_vel', label: 'Q (velocity weight)', min: 0.1, max: 10, step: 0.1, tooltip: 'State cost weight for velocity error' },
-                    { key: 'R', label: 'R (control effort)', min: 0.01, max: 5, step: 0.01, decimals: 2, tooltip: 'Control effort penalty — higher = smoother but slower response' },
-                    { key: 'Kp_att', label: 'Kp (attitude inner)', min: 1, max: 30, step: 0.5, tooltip: 'Attitude PD inner loop proportional gain' },
-                    { key: 'Kd_att', label: 'Kd (attitude inner)', min: 0.5, max: 15, step: 0.5, tooltip: 'Attitude PD inner loop derivative gain' },
-                ];
+    function buildAirframePanel() {
+        const fields = document.getElementById('airframe-fields');
+        fields.innerHTML = '';
+        Airframes.fieldDefs.forEach(def => {
+            const row = document.createElement('div');
+            row.className = 'airframe-row';
+
+            const label = document.createElement('label');
+            label.textContent = def.label;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = def.step;
+            input.value = airframeDraft[def.key];
+            input.addEventListener('change', () => {
+                const v = parseFloat(input.value);
+                if (isFinite(v)) airframeDraft[def.key] = v;
+                input.value = airframeDraft[def.key];
+            });
+
+            const unit = document.createElement('span');
+            unit.className = 'unit';
+            unit.textContent = def.unit;
+
+            row.appendChild(label);
+            row.appendChild(input);
+            row.appendChild(unit);
+            fields.appendChild(row);
+        });
+
+        const list = document.getElementById('rotor-list');
+        list.innerHTML = '';
+        airframeDraft.rotors.forEach((rotor, i) => {
+            const item = document.createElement('div');
+            item.className = 'rotor-item';
+
+            const name = document.createElement('span');
+            name.textContent = 'M' + (i + 1);
+
+            const angle = document.createElement('input');
+            angle.type = 'number';
+            angle.step = 7.5;
+            angle.value = rotor.angle;
+            angle.title = 'Azimuth around body Z [deg]';
+            angle.addEventListener('change', () => {
+                const v = parseFloat(angle.value);
+                if (isFinite(v)) rotor.angle = v;
+                angle.value = rotor.angle;
+            });
+
+            const dir = document.createElement('button');
+            dir.className = 'rotor-dir';
+            dir.textContent = rotor.dir > 0 ? '+τψ' : '−τψ';
+            dir.title = 'Yaw reaction torque sign';
+            dir.addEventListener('click', () => {
+                rotor.dir = -rotor.dir;
+                dir.textContent = rotor.dir > 0 ? '+τψ' : '−τψ';
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'wp-remove';
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => {
+                airframeDraft.rotors.splice(i, 1);
+                buildAirframePanel();
+            });
+
+            item.appendChild(name);
+            item.appendChild(angle);
+            item.appendChild(dir);
+            item.appendChild(remove);
+            list.appendChild(item);
+        });
+    }
+
+    function applyAirframe() {
+        if (airframeDraft.rotors.length < 4) {
+            alert('An airframe needs at least 4 rotors to control thrust, roll, pitch and yaw.');
+            return;
+        }
+        if (!Physics.setAirframe(JSON.parse(JSON.stringify(airframeDraft)))) {
+            alert('This rotor layout cannot produce independent roll, pitch and yaw torques.');
+            return;
         }
-        return [];
+        Drone3D.setAirframe(Physics.PARAMS);
+        Charts.setMotorCount(Physics.getRotorCount());
+        document.getElementById('airframe-tag').textContent = Physics.getRotorCount() + ' rotors';
+        resetSim();
     }
 
-    function updateControllerInfo() {
-        const descriptions = {
-            PID: `<strong>Cascaded PID Controller</strong><br>
-                Classical proportional-integral-derivative control with cascaded position/attitude loops. 
-                The outer PD loop generates desired roll/pitch angles from position error; the inner PD loop 
-                tracks these angles to produce torque commands. Integral action eliminates steady-state error 
-                but may cause wind-up under saturation.<br>
-                <em>Strengths:</em> Simple tuning, well-understood stability margins<br>
-                <em>Weaknesses:</em> Linear — no robustness guarantees against model uncertainty`,
-            SMC: `<strong>Sliding Mode Controller</strong><br>
-                Defines a sliding surface <code>s = ė + λe</code> in the error state space. The discontinuous 
-                control law <code>u = u_eq + η·sign(s)</code> drives the state to the surface in finite time, 
-                then constrains it there (sliding phase). Invariant to matched uncertainties once on the surface.<br>
-                <em>Strengths:</em> Robust to bounded disturbances and model mismatch<br>
-                <em>Weaknesses:</em> Chattering from high-frequency switching (set φ > 0 for boundary layer)`,
-            STS: `<strong>Super-Twisting SMC</strong><br>
-                A second-order sliding mode algorithm that achieves finite-time convergence to s = 0 without 
-                requiring the sign function in the control signal. The control law 
-                <code>u = −α₁|s|^½ sign(s) + v, v̇ = −α₂sign(s)</code> provides continuous control while 
-                maintaining robustness. The integral term v builds up to compensate for constant disturbances.<br>
-                <em>Strengths:</em> Chattering-free, robust, continuous control signal<br>
-                <em>Weaknesses:</em> Slower convergence than standard SMC, requires careful gain tuning (α₁² ≥ 4α₂)`,
-            MPC: `<strong>Model Predictive Control</strong><br>
-                At each timestep, solves an optimization over a receding N-step horizon, minimizing 
-                <code>J = Σ Q‖x−x_ref‖² + R‖u‖²</code>. Uses a linearized double-integrator model for 
-                real-time tractability. Only the first control input is applied; the problem is re-solved at the 
-                next step. The yellow prediction line shows the anticipated trajectory.<br>
-                <em>Strengths:</em> Handles constraints, anticipates future trajectory changes<br>
-                <em>Weaknesses:</em> Computational cost scales with horizon, model-dependent`
-        };
+    function getMismatchDefinitions() {
+        return [
+            { key: 'payload', label: 'Payload (kg)', min: 0, max: 2, step: 0.01, decimals: 2, tooltip: 'Extra mass the true plant carries — the controllers still assume the nominal mass' },
+            { key: 'comX', label: 'CoM offset X (m)', min: -0.05, max: 0.05, step: 0.001, decimals: 3, tooltip: 'Centre-of-mass shift along body X — thrust then produces an unmodelled pitch moment' },
+            { key: 'comY', label: 'CoM offset Y (m)', min: -0.05, max: 0.05, step: 0.001, decimals: 3, tooltip: 'Centre-of-mass shift along body Y — thrust then produces an unmodelled roll moment' },
+            { key: 'inertiaScale', label: 'Inertia scale (×)', min: 0.5, max: 2, step: 0.05, decimals: 2, tooltip: 'True inertia = nominal × scale' },
+            { key: 'kTScale', label: 'kT scale (×)', min: 0.7, max: 1.3, step: 0.01, decimals: 2, tooltip: 'True thrust coefficient = nominal × scale (prop wear, air density)' },
+        ];
+    }
+
+    function buildMismatchPanel() {
+        const container = document.getElementById('mismatch-panel');
+        container.innerHTML = '';
+        const current = Physics.getMismatch();
+        current.payload = payloadMass;
+
+        getMismatchDefinitions().forEach(def => {
+            const row = document.createElement('div');
+            row.className = 'gain-row';
+
+            const label = document.createElement('label');
+            label.textContent = def.label;
+            label.title = def.tooltip || '';
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = def.min;
+            slider.max = def.max;
+            slider.step = def.step;
+            slider.value = current[def.key];
+
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'gain-value';
+            valueSpan.textContent = parseFloat(current[def.key]).toFixed(def.decimals || 1);
 
-        document.getElementById('controller-info').innerHTML = descriptions[currentAlgo] || '';
+            slider.addEventListener('input', () => {
+                const v = parseFloat(slider.value);
+                valueSpan.textContent = v.toFixed(def.decimals || 1);
+                if (def.key === 'payload') {
+                    payloadMass = v;
+                    if (payloadDropped) { updateMismatchInfo(); return; }
+                }
+                Physics.setMismatch({ [def.key]: v });
+                updateMismatchInfo();
+            });
+
+            row.appendChild(label);
+            row.appendChild(slider);
+            row.appendChild(valueSpan);
+            container.appendChild(row);
+        });
+        updateMismatchInfo();
+    }
+
+    function positionSensorKey() {
+        return Sensors.getConfig().positionSource === 'MOCAP' ? 'mocap' : 'gps';
+    }
+
+    // Latency/dropout sliders edit whichever position sensor is selected
+    function syncPositionSensorSliders() {
+        const src = Sensors.getConfig()[positionSensorKey()];
+        document.getElementById('pos-latency-slider').value = src.latency;
+        document.getElementById('pos-latency-value').textContent = (src.latency * 1000).toFixed(0) + ' ms';
+        document.getElementById('pos-dropout-slider').value = src.dropout * 100;
+        document.getElementById('pos-dropout-value').textContent = (src.dropout * 100).toFixed(0) + '%';
+    }
+
+    // Only show the motor/value inputs the selected fault type uses
+    function syncFaultInputs() {
+        const def = Faults.getTypes()[document.getElementById('fault-type-select').value];
+        document.getElementById('fault-motor').disabled = !def.motor;
+        const value = document.getElementById('fault-value');
+        value.disabled = !def.value;
+        if (def.value) {
+            value.value = def.value.default;
+            value.title = def.value.label;
+        }
+    }
+
+    function updateFaultInfo() {
+        const active = Faults.getActiveLabels(simTime);
+        const alloc = Faults.getAllocation();
+        let html = active.length ? `Active: <strong>${active.join(', ')}</strong>` : 'No active faults';
+        if (alloc.faultTolerant) {
+            if (!alloc.ok) html += '<br><em>Too few rotors left — nominal allocation kept</em>';
+            else if (alloc.yawDropped) html += '<br>Allocation reconfigured — <em>yaw given up</em>';
+            else if (active.length) html += '<br>Allocation reconfigured around the fault';
+        }
+        document.getElementById('fault-info').innerHTML = html;
+    }
+
+    function updateControllerDiagnostics() {
+        const def = Controllers.get(currentAlgo);
+        document.getElementById('controller-diag').innerHTML =
+            def && def.diagnostics ? def.diagnostics(Controllers.getInternalState()) : '';
+    }
+
+    function updateRateInfo() {
+        const ctrlHz = 1 / Math.max(controlDt, physicsDt);
+        let html = `Controller ${ctrlHz.toFixed(0)} Hz · physics ${(1 / physicsDt).toFixed(0)} Hz`;
+        if (controlDt < physicsDt) html += ' <em>(capped at the physics rate)</em>';
+        if (controlDelay > 0) html += `<br>Output delayed ${(controlDelay * 1000).toFixed(0)} ms`;
+        if (Physics.getIntegrator() === 'RK45') {
+            const st = Physics.getIntegratorStats();
+            html += `<br>RK45: ${st.substeps} substep${st.substeps === 1 ? '' : 's'}, ${st.rejected} rejected last step`;
+        }
+        document.getElementById('rate-info').innerHTML = html;
+    }
+
+    function updateILCInfo() {
+        const el = document.getElementById('ilc-info');
+        const period = Trajectories.getPeriod(currentPattern);
+        if (!period) {
+            el.innerHTML = 'Pattern does not repeat — choose Circle, Figure-8 or Square.';
+            return;
+        }
+        const st = ILC.getStatus();
+        const laps = ILC.getLaps();
+        let html = `Lap ${st.lap} · period ${period.toFixed(1)} s · ${st.learnedLaps} lap${st.learnedLaps === 1 ? '' : 's'} learned`;
+        if (laps.length) html += `<br>Last lap RMS <strong>${laps[laps.length - 1].rms.toFixed(3)} m</strong>`;
+        html += ` · max correction ${st.maxCorr.toFixed(2)} m`;
+        if (st.step < 1) html += `<br><em>Rolled back — gain scaled ×${st.step}</em>`;
+        el.innerHTML = html;
+    }
+
+    function updateBatteryInfo() {
+        const P = Physics.PARAMS;
+        const b = Battery.getState();
+        document.getElementById('battery-info').innerHTML =
+            `${P.cells}S ${P.capacity.toFixed(0)} mAh · ${(P.rBattery * 1000).toFixed(0)} mΩ` +
+            `<br>Charge <strong>${(Math.max(0, b.soc) * 100).toFixed(0)}%</strong> · ` +
+            `${b.current.toFixed(1)} A · energy used <strong>${b.energy.toFixed(2)} Wh</strong>` +
+            `<br>Motor authority ${(Physics.getSupplyScale() * 100).toFixed(0)}% of wMax`;
+    }
+
+    /**
+     * Seconds → m:ss ('--:--' when unknown)
+     */
+    function formatDuration(sec) {
+        if (!isFinite(sec)) return '--:--';
+        const m = Math.floor(sec / 60);
+        const ss = Math.floor(sec % 60);
+        return `${m}:${ss < 10 ? '0' : ''}${ss}`;
+    }
+
+    function updateMismatchInfo() {
+        const P = Physics.PARAMS, M = Physics.MODEL;
+        let html = `True mass <strong>${P.m.toFixed(2)} kg</strong> · model ${M.m.toFixed(2)} kg`;
+        if (payloadDropTime > 0) {
+            html += payloadDropped
+                ? `<br><em>Payload released at t = ${payloadDropTime.toFixed(1)} s</em>`
+                : `<br>Payload release scheduled at t = ${payloadDropTime.toFixed(1)} s`;
+        }
+        document.getElementById('mismatch-info').innerHTML = html;
+    }
+
+    function updateControllerInfo() {
+        const def = Controllers.get(currentAlgo);
+        document.getElementById('controller-info').innerHTML = def ? def.description : '';
     }
 
     function updateTrajectoryInfo() {
@@ -327,12 +888,30 @@ const App = (() => {
         const pat = patterns[currentPattern];
         const desc = pat ? pat.description : (currentPattern === 'KEYBOARD' ?
             'Manual piloting via keyboard. The controller tracks your commanded position.' :
-            'Place waypoints manually. The drone will traverse them in sequence.');
+            'Place waypoints manually. The drone flies them in sequence as a smooth closed loop.');
         document.getElementById('trajectory-info').textContent = desc;
     }
 
+    /**
+     * Show the yaw policy's own parameters, and its look-at point in 3D
+     */
+    function updateYawPanel() {
+        const yaw = Trajectories.getYawPolicy();
+        const manual = currentPattern === 'KEYBOARD';
+        document.getElementById('yaw-panel').style.display = manual ? 'none' : 'block';
+        document.getElementById('yaw-look-rows').style.display = yaw.mode === 'LOOK_AT' ? 'block' : 'none';
+        document.getElementById('yaw-spin-rows').style.display = yaw.mode === 'SPIN' ? 'block' : 'none';
+        document.getElementById('yaw-heading-label').textContent = {
+            FIXED: 'Fixed heading ψ₀',
+            VELOCITY: 'Heading while stopped ψ₀',
+            LOOK_AT: 'Heading over the point ψ₀',
+            SPIN: 'Start heading ψ₀',
+        }[yaw.mode];
+        Drone3D.setLookAt(!manual && yaw.mode === 'LOOK_AT' ? { x: yaw.lookX, z: yaw.lookZ } : null);
+    }
+
     function updateDesiredPath() {
-        if (currentPattern === 'KEYBOARD' || currentPattern === 'CUSTOM') {
+        if (currentPattern === 'KEYBOARD') {
             Drone3D.setDesiredPath([]);
             return;
         }
@@ -359,8 +938,33 @@ const App = (() => {
         const errNorm = Math.sqrt(ex*ex + ey*ey + ez*ez);
         document.getElementById('tel-err').textContent = errNorm.toFixed(3);
         document.getElementById('tel-thrust').textContent = iState.T.toFixed(2);
+        document.getElementById('tel-wind').textContent = Math.hypot(s.wind.x, s.wind.y, s.wind.z).toFixed(1);
+
+        // Estimation error (zero when controllers see the true state)
+        const est = estState;
+        const dq = Math.abs(s.qw * est.qw + s.qx * est.qx + s.qy * est.qy + s.qz * est.qz);
+        document.getElementById('tel-est-pos').textContent =
+            Math.hypot(est.x - s.x, est.y - s.y, est.z - s.z).toFixed(3);
+        document.getElementById('tel-est-att').textContent =
+            (2 * Math.acos(Math.min(dq, 1)) * 180 / Math.PI).toFixed(1) + '°';
         document.getElementById('tel-time').textContent = simTime.toFixed(1);
 
+        // Battery
+        const batt = s.battery;
+        if (batt) {
+            const remaining = Battery.getState().remaining;
+            document.getElementById('tel-batt-v').textContent = batt.voltage.toFixed(2);
+            document.getElementById('tel-batt-used').textContent = batt.used.toFixed(0);
+            document.getElementById('tel-batt-time').textContent = formatDuration(remaining);
+            updateBatteryInfo();
+        }
+
+        // Flight status
+        const statusEl = document.getElementById('tel-status');
+        const status = s.crashed ? 'CRASHED' : !s.armed ? 'DISARMED' : s.onGround ? 'LANDED' : 'AIRBORNE';
+        statusEl.textContent = status;
+        statusEl.className = 'tel-val status-' + status.toLowerCase();
+
         // Recording indicator
         const recEl = document.getElementById('rec-indicator');
         if (DataLogger.isRecording()) {
@@ -378,10 +982,57 @@ const App = (() => {
         simState = Physics.createState();
         simTime = 0;
         Controllers.resetInternal();
+        Wind.reset();
+        Sensors.reset();
+        Estimator.reset(simState);
+        estState = simState;
+        Faults.reset();
+        chartEvents = [];
+        logEvents = [];
+        updateFaultInfo();
+        autoArmPending = autoArm;
+        crashReported = false;
+        Battery.reset();
+        batteryEmptyReported = false;
+        ILC.reset();
+        nextControlTime = 0;
+        uHeld = [0, 0, 0, 0];
+        uPending = [];
+        updateArmButton();
         Drone3D.clearTrail();
         Charts.clear();
         Trajectories.resetKeyboard();
         desiredPathDirty = true;
+
+        // Re-arm the payload release
+        payloadDropped = false;
+        Physics.setMismatch({ payload: payloadMass });
+        updateMismatchInfo();
+    }
+
+    /**
+     * Arm or disarm the motors. A crashed vehicle stays disarmed until reset.
+     */
+    function setArmed(on) {
+        if (on && simState.crashed) return;
+        if (simState.armed === on) return;
+        simState.armed = on;
+        markEvent(on ? 'armed' : 'disarmed');
+        updateArmButton();
+    }
+
+    function updateArmButton() {
+        const btn = document.getElementById('btn-arm');
+        btn.textContent = simState.armed ? '⏻ Disarm' : '⏻ Arm';
+        btn.classList.toggle('active', simState.armed);
+    }
+
+    /**
+     * Mark an event on the charts and in the CSV log
+     */
+    function markEvent(label) {
+        chartEvents.push(label);
+        logEvents.push(label);
     }
 
     function togglePause() {
@@ -420,12 +1071,223 @@ const App = (() => {
         customWaypoints.push([xVal, yVal, zVal]);
         Trajectories.setCustomWaypoints(customWaypoints);
         updateWaypointList();
+    }
 
-        // Show desired path
-        if (customWaypoints.length > 1) {
-            const pts = [...customWaypoints, customWaypoints[0]]; // Close the loop
-            Drone3D.setDesiredPath(pts);
+    function addGust() {
+        const num = (id, fallback) => {
+            const v = parseFloat(document.getElementById(id).value);
+            return isFinite(v) ? v : fallback;
+        };
+        gusts.push({
+            t: Math.max(0, num('gust-t', 5)),
+            duration: Math.max(0.1, num('gust-duration', 2)),
+            amplitude: num('gust-amplitude', 5),
+            azimuth: num('gust-azimuth', 0),
+            elevation: num('gust-elevation', 0),
+        });
+        gusts.sort((a, b) => a.t - b.t);
+        Wind.configure({ gusts });
+        updateGustList();
+    }
+
+    function addFault() {
+        const num = (id, fallback) => {
+            const v = parseFloat(document.getElementById(id).value);
+            return isFinite(v) ? v : fallback;
+        };
+        Faults.addEvent({
+            type: document.getElementById('fault-type-select').value,
+            motor: num('fault-motor', 1) - 1,
+            t: num('fault-t', 8),
+            duration: num('fault-duration', 0),
+            value: num('fault-value', undefined),
+        });
+        updateFaultList();
+    }
+
+    function updateFaultList() {
+        const list = document.getElementById('fault-list');
+        list.innerHTML = '';
+        Faults.getEvents().forEach((ev, i) => {
+            const until = ev.duration > 0 ? `–${(ev.t + ev.duration).toFixed(1)}s` : '→';
+            const item = document.createElement('div');
+            item.className = 'wp-item';
+            item.innerHTML = `<span>t=${ev.t}s${until} ${Faults.describe(ev)}</span>
+                <button class="wp-remove" data-idx="${i}">✕</button>`;
+            list.appendChild(item);
+        });
+        list.querySelectorAll('.wp-remove').forEach(btn => {
+            btn.addEventListener('click', () => {
+                Faults.removeEvent(parseInt(btn.dataset.idx));
+                updateFaultList();
+            });
+        });
+        updateFaultInfo();
+    }
+
+    function updateGustList() {
+        const list = document.getElementById('gust-list');
+        list.innerHTML = '';
+        gusts.forEach((g, i) => {
+            const item = document.createElement('div');
+            item.className = 'wp-item';
+            item.innerHTML = `<span>t=${g.t}s T=${g.duration}s A=${g.amplitude}m/s @${g.azimuth}°/${g.elevation}°</span>
+                <button class="wp-remove" data-idx="${i}">✕</button>`;
+            list.appendChild(item);
+        });
+        list.querySelectorAll('.wp-remove').forEach(btn => {
+            btn.addEventListener('click', () => {
+                gusts.splice(parseInt(btn.dataset.idx), 1);
+                Wind.configure({ gusts });
+                updateGustList();
+            });
+        });
+    }
+
+    function buildFieldParamRow() {
+        const type = document.getElementById('field-type-select').value;
+        const row = document.getElementById('field-param-row');
+        row.innerHTML = '';
+        WindField.getTypes()[type].params.forEach(p => {
+            const label = document.createElement('label');
+            label.textContent = p.label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 0.5;
+            input.value = p.value;
+            input.dataset.key = p.key;
+            row.appendChild(label);
+            row.appendChild(input);
+        });
+    }
+
+    function addFieldSource() {
+        const type = document.getElementById('field-type-select').value;
+        const values = {};
+        document.querySelectorAll('#field-param-row input').forEach(input => {
+            const v = parseFloat(input.value);
+            if (isFinite(v)) values[input.dataset.key] = v;
+        });
+        WindField.addSource(type, values);
+        updateFieldList();
+    }
+
+    function updateFieldList() {
+        const list = document.getElementById('field-list');
+        const types = WindField.getTypes();
+        list.innerHTML = '';
+        WindField.getSources().forEach((src, i) => {
+            const desc = types[src.type].params.map(p => `${p.label}=${src[p.key]}`).join(' ');
+            const item = document.createElement('div');
+            item.className = 'wp-item';
+            item.innerHTML = `<span>${types[src.type].name}: ${desc}</span>
+                <button class="wp-remove" data-idx="${i}">✕</button>`;
+            list.appendChild(item);
+        });
+        list.querySelectorAll('.wp-remove').forEach(btn => {
+            btn.addEventListener('click', () => {
+                WindField.removeSource(parseInt(btn.dataset.idx));
+                updateFieldList();
+            });
+        });
+        Drone3D.setWindSources(WindField.getSources());
+        updateFieldGlyphs();
+    }
+
+    function updateFieldGlyphs() {
+        if (WindField.isEmpty() || !document.getElementById('field-glyphs').checked) {
+            Drone3D.setWindGlyphs([]);
+            return;
+        }
+        Drone3D.setWindGlyphs(WindField.sampleGrid(simTime, 10, 2, [1, 3, 5], 0.3));
+    }
+
+    /**
+     * Hand the typed formulas to the parametric pattern; on an error the
+     * last good ones stay in use
+     */
+    function applyFormulas() {
+        const formulas = {};
+        ['x', 'y', 'z', 'yaw'].forEach(ax => {
+            formulas[ax] = document.getElementById('expr-' + ax).value;
+        });
+        try {
+            Trajectories.setParametric(formulas);
+        } catch (e) {
+            const info = document.getElementById('expr-info');
+            info.textContent = e.message;
+            info.classList.add('error');
+            return;
         }
+        updateParametricInfo();
+        buildPatternParams();
+        desiredPathDirty = true;
+    }
+
+    /**
+     * Say which names the parametric formulas read as parameters
+     */
+    function updateParametricInfo() {
+        const pat = Trajectories.getPatterns().PARAMETRIC;
+        const names = Object.keys(pat.params);
+        const info = document.getElementById('expr-info');
+        info.classList.remove('error');
+        info.textContent = (names.length ? `Parameters ${names.join(', ')}.` : 'No parameters.') +
+            (pat.formulas.yaw ? ' Heading from ψ(t), not the yaw policy.' : '');
+    }
+
+    /**
+     * Sliders for the selected pattern's parameters, built from its
+     * paramDefs. A change applies at once and redraws the preview; one the
+     * pattern refuses puts the slider back.
+     */
+    function buildPatternParams() {
+        const container = document.getElementById('pattern-params');
+        container.innerHTML = '';
+        const pat = Trajectories.getPatterns()[currentPattern];
+        if (!pat) return;
+
+        pat.paramDefs.forEach(def => {
+            const row = document.createElement('div');
+            row.className = 'gain-row';
+
+            const label = document.createElement('label');
+            label.textContent = def.unit ? `${def.label} (${def.unit})` : def.label;
+            label.title = label.textContent;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = def.min;
+            slider.max = def.max;
+            slider.step = def.step;
+            slider.value = pat.params[def.key];
+
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'gain-value';
+            valueSpan.textContent = pat.params[def.key].toFixed(def.decimals || 1);
+
+            slider.addEventListener('input', () => {
+                const v = parseFloat(slider.value);
+                try {
+                    Trajectories.setPatternParam(currentPattern, def.key, v);
+                } catch (e) {
+                    // The value would leave the path undefined: stay put
+                    slider.value = pat.params[def.key];
+                    const info = document.getElementById('expr-info');
+                    info.textContent = e.message;
+                    info.classList.add('error');
+                    return;
+                }
+                if (currentPattern === 'PARAMETRIC') updateParametricInfo();
+                valueSpan.textContent = v.toFixed(def.decimals || 1);
+                desiredPathDirty = true;
+            });
+
+            row.appendChild(label);
+            row.appendChild(slider);
+            row.appendChild(valueSpan);
+            container.appendChild(row);
+        });
     }
 
     function updateWaypointList() {
@@ -446,6 +1308,13 @@ const App = (() => {
                 updateWaypointList();
             });
         });
+
+        // The loop was refitted: redraw it and show its timing
+        const info = Trajectories.getCustomInfo();
+        document.getElementById('wp-info').textContent = info
+            ? `Lap ${info.period.toFixed(1)} s over ${info.segments} segments · peak ${info.vPeak.toFixed(2)} m/s, ${info.aPeak.toFixed(2)} m/s²`
+            : 'Add at least two distinct waypoints to fly a loop.';
+        desiredPathDirty = true;
     }
 
     return { init };
@@ -0,0 +1,129 @@
+/**
+ * battery.js — Battery Pack Model
+ *
+ * A LiPo pack with cell count, capacity and internal resistance taken from
+ * the airframe profile. Every physics step the motors draw
+ *
+ *   P = Σ kD·ωᵢ³ / η_drive + V·I_idle
+ *
+ * (rotor shaft power over the motor/ESC efficiency, plus avionics), and the
+ * pack settles at the loaded voltage that delivers it:
+ *
+ *   V = V_oc(SoC) − I·R,   I = P / V   ⇒   V = ½(V_oc + √(V_oc² − 4PR))
+ *
+ * If the pack cannot deliver P at all it sits at its maximum-power point
+ * V_oc/2. The open-circuit voltage follows a tabulated LiPo discharge curve.
+ *
+ * The loaded voltage limits the motor speed the ESCs can reach: wMax is the
+ * speed at a full, unloaded pack (4.2 V/cell), so authority shrinks as the
+ * pack sags under load and drains over the flight (Physics.setSupplyScale).
+ */
+
+const Battery = (() => {
+
+    const CELL_FULL = 4.2;      // [V]
+
+    // Rested LiPo cell voltage vs state of charge. Past 0 % the pack is
+    // over-discharged and collapses, taking motor authority with it.
+    const OCV_CURVE = [
+        [-0.05, 0.00], [0.00, 3.27], [0.05, 3.61], [0.10, 3.69], [0.20, 3.73],
+        [0.30, 3.77], [0.40, 3.79], [0.50, 3.82], [0.60, 3.87], [0.70, 3.92],
+        [0.80, 3.98], [0.90, 4.06], [1.00, 4.20],
+    ];
+
+    const config = {
+        initialCharge: 1,       // state of charge at reset [0..1]
+        driveEfficiency: 0.75,  // motor × ESC efficiency
+        idleCurrent: 0.5,       // avionics draw [A]
+        averaging: 5,           // time constant of the current used for flight-time estimates [s]
+    };
+
+    let state = null;
+
+    /**
+     * Open-circuit cell voltage at a state of charge (linear interpolation)
+     */
+    function cellVoltage(soc) {
+        const x = Math.max(OCV_CURVE[0][0], Math.min(1, soc));
+        for (let i = 1; i < OCV_CURVE.length; i++) {
+            const [s1, v1] = OCV_CURVE[i];
+            if (x <= s1) {
+                const [s0, v0] = OCV_CURVE[i - 1];
+                return v0 + (v1 - v0) * (x - s0) / (s1 - s0);
+            }
+        }
+        return OCV_CURVE[OCV_CURVE.length - 1][1];
+    }
+
+    // =====================================================================
+    //  PUBLIC INTERFACE
+    // =====================================================================
+
+    function reset() {
+        const P = Physics.PARAMS;
+        const voltage = P.cells * cellVoltage(config.initialCharge);
+        state = {
+            soc: config.initialCharge,
+            voltage,                // loaded pack voltage [V]
+            current: 0,             // [A]
+            avgCurrent: 0,          // low-passed current [A]
+            used: 0,                // charge drawn since reset [mAh]
+            energy: 0,              // energy drawn since reset [Wh]
+            remaining: Infinity,    // estimated flight time left [s]
+        };
+        Physics.setSupplyScale(voltage / (P.cells * CELL_FULL));
+    }
+
+    function configure(changes) {
+        Object.assign(config, changes);
+    }
+
+    function getConfig() { return { ...config }; }
+
+    /**
+     * Draw the power the motors need for one step and update the supply
+     * limit. Writes a { voltage, current, used, energy, soc } snapshot onto
+     * the vehicle state for telemetry and logging.
+     */
+    function update(s, dt) {
+        if (!state) reset();
+        const P = Physics.PARAMS;
+        const vOc = P.cells * cellVoltage(state.soc);
+        const R = P.rBattery;
+
+        // Electrical power: rotor shaft power over the drive efficiency,
+        // plus the avionics (idle current taken at open-circuit voltage)
+        const shaft = s.motors.reduce((sum, w) => sum + P.kD * w * w * w, 0);
+        const power = shaft / config.driveEfficiency + config.idleCurrent * vOc;
+
+        // Past the pack's peak power vOc²/4R it gives what it can: half the
+        // open-circuit voltage at half the short-circuit current
+        const disc = vOc * vOc - 4 * power * R;
+        const voltage = disc > 0 ? 0.5 * (vOc + Math.sqrt(disc)) : 0.5 * vOc;
+        const current = disc > 0 ? power / voltage : vOc / (2 * R);
+
+        state.voltage = voltage;
+        state.current = current;
+        state.used += current * dt / 3.6;           // A·s → mAh
+        state.energy += voltage * current * dt / 3600;
+        state.soc = Math.max(OCV_CURVE[0][0], state.soc - current * dt / 3.6 / P.capacity);
+
+        const alpha = 1 - Math.exp(-dt / config.averaging);
+        state.avgCurrent += alpha * (current - state.avgCurrent);
+        state.remaining = state.avgCurrent > 0.01
+            ? Math.max(0, state.soc) * P.capacity * 3.6 / state.avgCurrent
+            : Infinity;
+
+        Physics.setSupplyScale(voltage / (P.cells * CELL_FULL));
+        s.battery = {
+            voltage, current,
+            used: state.used,
+            energy: state.energy,
+            soc: state.soc,
+        };
+    }
+
+    function getState() { return { ...state }; }
+
+    return { reset, configure, getConfig, update, getState, cellVoltage };
+})();
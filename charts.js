@@ -3,22 +3,34 @@
  *
  * Always-on charts:
  *   - Position Tracking: Desired vs Actual for X, Y, Z
+ *   - State Estimation: True vs Estimated altitude, X and roll
  *   - 3D Error Norm over time
  *
- * Controller-specific:
- *   PID:  Control effort, integral accumulation
- *   SMC:  Sliding surface values, chattering visualization
- *   STS:  Sliding surface (smooth), integral term convergence
- *   MPC:  Prediction horizon cost
+ * Controller-specific: the error chart carries one series and up to four
+ * extra lines declared by the controller's registration (chart field of
+ * Controllers.register) — sliding surfaces for the SMC family, α₁ for
+ * adaptive super-twisting, V and V̇ for backstepping, the horizon cost J
+ * for MPC, Ψ on SO(3) for SE3, the ESO disturbance vs applied wind for
+ * ADRC. Without one it shows the altitude error.
  *
  * Phase portrait always available
+ *
+ * Per-lap RMS tracking error on repeating patterns (from ilc.js): one bar
+ * per lap, coloured by whether ILC was learning, so convergence shows up
+ * lap by lap
+ *
+ * Fault onsets and recoveries (see faults.js) are drawn as labelled
+ * vertical markers on every time-series chart.
  */
 
 const Charts = (() => {
 
     const MAX_POINTS = 200;
+    const MAX_EXTRAS = 4;       // extra controller lines on the error chart
+    const MOTOR_COLORS = ['#ff4466', '#44ff66', '#4466ff', '#ffaa00', '#ff66ff', '#00d4ff', '#ffff66', '#aaaaaa'];
     let charts = {};
     let dataBuffers = {};
+    let motorCount = 4;
 
     // Shared chart options
     const baseOpts = {
@@ -45,13 +57,44 @@ const Charts = (() => {
         }
     };
 
+    // Vertical line + label at every sample that carries a fault event
+    const eventMarkers = {
+        id: 'eventMarkers',
+        afterDatasetsDraw(chart) {
+            const events = dataBuffers.events;
+            const xScale = chart.scales.x;
+            if (!events || !xScale) return;
+            const { ctx, chartArea } = chart;
+            ctx.save();
+            ctx.strokeStyle = 'rgba(255,80,80,0.8)';
+            ctx.fillStyle = '#ff8080';
+            ctx.font = '9px monospace';
+            ctx.setLineDash([3, 3]);
+            events.forEach((label, i) => {
+                if (!label) return;
+                const x = xScale.getPixelForValue(i);
+                ctx.beginPath();
+                ctx.moveTo(x, chartArea.top);
+                ctx.lineTo(x, chartArea.bottom);
+                ctx.stroke();
+                ctx.fillText(label, x + 3, chartArea.top + 10);
+            });
+            ctx.restore();
+        }
+    };
+
     function init() {
         dataBuffers = {
             time: [],
+            // Fault event labels ('' when nothing happened)
+            events: [],
             // Desired
             xDes: [], yDes: [], zDes: [],
             // Actual
             xAct: [], yAct: [], zAct: [],
+            // Estimated (what the controllers see)
+            xEst: [], yEst: [], zEst: [],
+            phiAct: [], phiEst: [], thetaEst: [], psiEst: [],
             // Error norm
             errNorm: [],
             // Velocities
@@ -60,17 +103,21 @@ const Charts = (() => {
             thrust: [], tauPhi: [], tauTheta: [], tauPsi: [],
             // Sliding surfaces
             sx: [], sy: [], sz: [],
+            // Controller series and extra lines (see chartSpec)
+            series: [], extra0: [], extra1: [], extra2: [], extra3: [],
             // Phase: error vs velocity
             phaseErrY: [], phaseVelY: [],
-            // Motor speeds
-            m1: [], m2: [], m3: [], m4: [],
         };
+        // Motor speeds: m1 … mN
+        for (let i = 1; i <= motorCount; i++) dataBuffers['m' + i] = [];
 
         createPositionChart();
+        createEstimateChart();
         createErrorChart();
         createControlChart();
         createPhaseChart();
         createMotorChart();
+        createLapChart();
     }
 
     function createPositionChart() {
@@ -78,6 +125,7 @@ const Charts = (() => {
         if (!ctx) return;
         charts.position = new Chart(ctx, {
             type: 'line',
+            plugins: [eventMarkers],
             data: {
                 labels: [],
                 datasets: [
@@ -100,24 +148,73 @@ const Charts = (() => {
         });
     }
 
+    function createEstimateChart() {
+        const ctx = document.getElementById('chart-estimate');
+        if (!ctx) return;
+        charts.estimate = new Chart(ctx, {
+            type: 'line',
+            plugins: [eventMarkers],
+            data: {
+                labels: [],
+                datasets: [
+                    { label: 'Alt true', data: [], borderColor: '#44ff66' },
+                    { label: 'Alt est',  data: [], borderColor: '#44ff66', borderDash: [4, 2] },
+                    { label: 'X true',   data: [], borderColor: '#ff4466' },
+                    { label: 'X est',    data: [], borderColor: '#ff4466', borderDash: [4, 2] },
+                    { label: 'φ true (°)', data: [], borderColor: '#ffaa00', yAxisID: 'y1' },
+                    { label: 'φ est (°)',  data: [], borderColor: '#ffaa00', borderDash: [4, 2], yAxisID: 'y1' },
+                ]
+            },
+            options: {
+                ...baseOpts,
+                scales: {
+                    ...baseOpts.scales,
+                    x: { ...baseOpts.scales.x, title: { display: true, text: 'Time (s)', color: '#667', font: { size: 9 } } },
+                    y: { ...baseOpts.scales.y, title: { display: true, text: 'Position (m)', color: '#667', font: { size: 9 } } },
+                    y1: { ...baseOpts.scales.y, position: 'right', grid: { drawOnChartArea: false },
+                          title: { display: true, text: 'Roll (°)', color: '#667', font: { size: 9 } } },
+                }
+            }
+        });
+    }
+
     function createErrorChart() {
         const ctx = document.getElementById('chart-error');
         if (!ctx) return;
         charts.error = new Chart(ctx, {
             type: 'line',
+            plugins: [eventMarkers],
             data: {
                 labels: [],
                 datasets: [
                     { label: '‖e‖ (3D error)', data: [], borderColor: '#ff6622', fill: true, backgroundColor: 'rgba(255,102,34,0.1)' },
-                    { label: 'Sliding S_z / Integral', data: [], borderColor: '#00d4ff' },
+                    { label: 'Sliding S_z / Integral', data: [], borderColor: '#00d4ff', yAxisID: 'y' },
+                    // Controller-specific extras (see chartSpec), hidden when unused
+                    { label: '', data: [], hidden: true },
+                    { label: '', data: [], hidden: true },
+                    { label: '', data: [], hidden: true },
+                    { label: '', data: [], hidden: true },
                 ]
             },
             options: {
                 ...baseOpts,
+                plugins: {
+                    ...baseOpts.plugins,
+                    legend: {
+                        ...baseOpts.plugins.legend,
+                        labels: {
+                            ...baseOpts.plugins.legend.labels,
+                            filter: (item, data) => !data.datasets[item.datasetIndex].hidden,
+                        },
+                    },
+                },
                 scales: {
                     ...baseOpts.scales,
                     x: { ...baseOpts.scales.x, title: { display: true, text: 'Time (s)', color: '#667', font: { size: 9 } } },
-                    y: { ...baseOpts.scales.y, title: { display: true, text: 'Magnitude', color: '#667', font: { size: 9 } } }
+                    y: { ...baseOpts.scales.y, title: { display: true, text: 'Magnitude', color: '#667', font: { size: 9 } } },
+                    // Right axis for controller lines that need one
+                    y2: { ...baseOpts.scales.y, display: false, position: 'right', grid: { drawOnChartArea: false },
+                          title: { display: true, text: 'Cost J', color: '#667', font: { size: 9 } } },
                 }
             }
         });
@@ -128,6 +225,7 @@ const Charts = (() => {
         if (!ctx) return;
         charts.control = new Chart(ctx, {
             type: 'line',
+            plugins: [eventMarkers],
             data: {
                 labels: [],
                 datasets: [
@@ -179,14 +277,10 @@ const Charts = (() => {
         if (!ctx) return;
         charts.motors = new Chart(ctx, {
             type: 'line',
+            plugins: [eventMarkers],
             data: {
                 labels: [],
-                datasets: [
-                    { label: 'M1 (FR)', data: [], borderColor: '#ff4466' },
-                    { label: 'M2 (FL)', data: [], borderColor: '#44ff66' },
-                    { label: 'M3 (RL)', data: [], borderColor: '#4466ff' },
-                    { label: 'M4 (RR)', data: [], borderColor: '#ffaa00' },
-                ]
+                datasets: motorDatasets()
             },
             options: {
                 ...baseOpts,
@@ -199,19 +293,75 @@ const Charts = (() => {
         });
     }
 
+    function createLapChart() {
+        const ctx = document.getElementById('chart-laps');
+        if (!ctx) return;
+        charts.laps = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [{ label: 'RMS ‖e‖ per lap', data: [], backgroundColor: [] }]
+            },
+            options: {
+                ...baseOpts,
+                plugins: { ...baseOpts.plugins, legend: { display: false } },
+                scales: {
+                    x: { ...baseOpts.scales.x, title: { display: true, text: 'Lap', color: '#667', font: { size: 9 } } },
+                    y: { ...baseOpts.scales.y, beginAtZero: true, title: { display: true, text: 'RMS error (m)', color: '#667', font: { size: 9 } } }
+                }
+            }
+        });
+    }
+
+    // Lap bars: learning, rolled back, ILC off (or a lap it could not learn from)
+    function lapColor(l) {
+        if (l.rolledBack) return '#ffaa00';
+        return l.learned ? '#00d4ff' : '#556';
+    }
+
+    function motorDatasets() {
+        const sets = [];
+        for (let i = 0; i < motorCount; i++) {
+            sets.push({ label: 'M' + (i + 1), data: [], borderColor: MOTOR_COLORS[i % MOTOR_COLORS.length] });
+        }
+        return sets;
+    }
+
+    /**
+     * Resize the motor buffers/datasets for a new airframe
+     */
+    function setMotorCount(n) {
+        for (let i = 1; i <= motorCount; i++) delete dataBuffers['m' + i];
+        motorCount = n;
+        for (let i = 1; i <= motorCount; i++) dataBuffers['m' + i] = [];
+        if (charts.motors) {
+            charts.motors.data.datasets = motorDatasets();
+            charts.motors.update('none');
+        }
+    }
+
     /**
      * Push new data point
      */
-    function push(time, state, target, controlState, algo) {
+    function push(time, state, target, controlState, algo, estimate, events) {
         const t = time.toFixed(1);
         const b = dataBuffers;
 
         b.time.push(t);
+        b.events.push(events || '');
 
         b.xDes.push(target.x);  b.xAct.push(state.x);
         b.yDes.push(target.y);  b.yAct.push(state.y);
         b.zDes.push(target.z);  b.zAct.push(state.z);
 
+        const est = estimate || state;
+        const deg = 180 / Math.PI;
+        b.xEst.push(est.x); b.yEst.push(est.y); b.zEst.push(est.z);
+        b.phiAct.push(state.phi * deg);
+        b.phiEst.push(est.phi * deg);
+        b.thetaEst.push(est.theta * deg);
+        b.psiEst.push(est.psi * deg);
+
         const ex = target.x - state.x, ey = target.y - state.y, ez = target.z - state.z;
         b.errNorm.push(Math.sqrt(ex*ex + ey*ey + ez*ez));
 
@@ -223,14 +373,19 @@ const Charts = (() => {
         b.sx.push(controlState.s_x || 0);
         b.sy.push(controlState.s_y || 0);
         b.sz.push(controlState.s_z || 0);
+        const spec = chartSpec(algo);
+        b.series.push(spec.series.value(controlState, state) || 0);
+        for (let i = 0; i < MAX_EXTRAS; i++) {
+            const line = spec.extras[i];
+            b['extra' + i].push(line ? line.value(controlState, state) || 0 : 0);
+        }
 
         b.phaseErrY.push(ey);
         b.phaseVelY.push(state.vy);
 
-        b.m1.push(state.motors ? state.motors[0] : 0);
-        b.m2.push(state.motors ? state.motors[1] : 0);
-        b.m3.push(state.motors ? state.motors[2] : 0);
-        b.m4.push(state.motors ? state.motors[3] : 0);
+        for (let i = 0; i < motorCount; i++) {
+            b['m' + (i + 1)].push(state.motors ? state.motors[i] : 0);
+        }
 
         // Trim
         for (const key in b) {
@@ -238,6 +393,22 @@ const Charts = (() => {
         }
     }
 
+    const DEFAULT_SERIES = { label: 'Position Error Y', value: st => st.s_y };
+
+    /**
+     * Error-chart lines registered for a controller, with the defaults
+     * filled in
+     */
+    function chartSpec(algo) {
+        const def = Controllers.get(algo);
+        const c = (def && def.chart) || {};
+        return {
+            series: c.series || DEFAULT_SERIES,
+            extras: (c.extras || []).slice(0, MAX_EXTRAS),
+            axis: c.axis || '',
+        };
+    }
+
     function update(algo) {
         const b = dataBuffers;
 
@@ -254,23 +425,42 @@ const Charts = (() => {
             c.update('none');
         }
 
+        // True vs estimated
+        if (charts.estimate) {
+            const c = charts.estimate;
+            c.data.labels = b.time;
+            c.data.datasets[0].data = b.yAct;
+            c.data.datasets[1].data = b.yEst;
+            c.data.datasets[2].data = b.xAct;
+            c.data.datasets[3].data = b.xEst;
+            c.data.datasets[4].data = b.phiAct;
+            c.data.datasets[5].data = b.phiEst;
+            c.update('none');
+        }
+
         // Error / sliding surface chart
         if (charts.error) {
             const c = charts.error;
             c.data.labels = b.time;
             c.data.datasets[0].data = b.errNorm;
 
-            // Controller-specific second dataset
-            if (algo === 'SMC' || algo === 'STS') {
-                c.data.datasets[1].label = 'Sliding Surface S_z';
-                c.data.datasets[1].data = b.sz;
-            } else if (algo === 'PID') {
-                c.data.datasets[1].label = 'Integral Error';
-                const iState = Controllers.getInternalState();
-                c.data.datasets[1].data = b.sy.map((_, i) => b.sy[i]); // error Y as proxy
-            } else {
-                c.data.datasets[1].label = 'Position Error Y';
-                c.data.datasets[1].data = b.sy;
+            // Controller-specific series and extras, right axis if any use it
+            const spec = chartSpec(algo);
+            const series = c.data.datasets[1];
+            series.label = spec.series.label;
+            series.data = b.series;
+            series.yAxisID = spec.series.right ? 'y2' : 'y';
+            c.options.scales.y2.display = !!spec.series.right || spec.extras.some(l => l.right);
+            c.options.scales.y2.title.text = spec.axis;
+            for (let i = 0; i < MAX_EXTRAS; i++) {
+                const d = c.data.datasets[2 + i], line = spec.extras[i];
+                d.hidden = !line;
+                d.data = line ? b['extra' + i] : [];
+                if (!line) continue;
+                d.label = line.label;
+                d.borderColor = line.color;
+                d.borderDash = line.dash ? [4, 2] : [];
+                d.yAxisID = line.right ? 'y2' : 'y';
             }
             c.update('none');
         }
@@ -298,10 +488,17 @@ const Charts = (() => {
         if (charts.motors) {
             const c = charts.motors;
             c.data.labels = b.time;
-            c.data.datasets[0].data = b.m1;
-            c.data.datasets[1].data = b.m2;
-            c.data.datasets[2].data = b.m3;
-            c.data.datasets[3].data = b.m4;
+            c.data.datasets.forEach((d, i) => d.data = b['m' + (i + 1)]);
+            c.update('none');
+        }
+
+        // Per-lap RMS (kept by ILC across the chart window)
+        if (charts.laps) {
+            const c = charts.laps;
+            const laps = ILC.getLaps();
+            c.data.labels = laps.map(l => l.lap);
+            c.data.datasets[0].data = laps.map(l => l.rms);
+            c.data.datasets[0].backgroundColor = laps.map(lapColor);
             c.update('none');
         }
     }
@@ -324,9 +521,12 @@ const Charts = (() => {
      */
     function exportCSV() {
         const b = dataBuffers;
+        const motorKeys = [];
+        for (let i = 1; i <= motorCount; i++) motorKeys.push('m' + i);
         const headers = ['time','x_des','x_act','y_des','y_act','z_des','z_act',
                           'err_norm','thrust','tau_phi','tau_theta','tau_psi',
-                          's_x','s_y','s_z','m1','m2','m3','m4'];
+                          's_x','s_y','s_z',
+                          'x_est','y_est','z_est','phi_est','theta_est','psi_est', ...motorKeys, 'event'];
         let csv = headers.join(',') + '\n';
 
         for (let i = 0; i < b.time.length; i++) {
@@ -337,11 +537,14 @@ const Charts = (() => {
                 b.errNorm[i]?.toFixed(4), b.thrust[i]?.toFixed(4),
                 b.tauPhi[i]?.toFixed(6), b.tauTheta[i]?.toFixed(6), b.tauPsi[i]?.toFixed(6),
                 b.sx[i]?.toFixed(4), b.sy[i]?.toFixed(4), b.sz[i]?.toFixed(4),
-                b.m1[i]?.toFixed(1), b.m2[i]?.toFixed(1), b.m3[i]?.toFixed(1), b.m4[i]?.toFixed(1),
+                b.xEst[i]?.toFixed(4), b.yEst[i]?.toFixed(4), b.zEst[i]?.toFixed(4),
+                b.phiEst[i]?.toFixed(3), b.thetaEst[i]?.toFixed(3), b.psiEst[i]?.toFixed(3),
+                ...motorKeys.map(k => b[k][i]?.toFixed(1)),
+                b.events[i] || '',
             ].join(',') + '\n';
         }
         return csv;
     }
 
-    return { init, push, update, clear, exportCSV };
+    return { init, setMotorCount, push, update, clear, exportCSV };
 })();
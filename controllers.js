@@ -9,90 +9,121 @@
  *   1. Cascaded PID (standard PD + integral anti-windup)
  *   2. Sliding Mode Control (signum-based, with boundary layer option)
  *   3. Super-Twisting SMC (continuous, chattering-free)
- *   4. Model Predictive Control (linearized, receding horizon)
+ *   4. Model Predictive Control (condensed QP, receding horizon)
+ *   5. Fault-tolerant reduced-attitude control (survives rotor loss)
+ *   6. Linear-quadratic regulator (12-state, Riccati solved on-line)
+ *   7. Geometric tracking on SE(3) (Lee–Leok–McClamroch)
+ *   8. Active disturbance rejection (extended state observer per axis)
+ *   9. Nonsingular terminal SMC (finite-time convergence on the surface)
+ *  10. Integral SMC (no reaching phase)
+ *  11. Adaptive-gain super-twisting SMC
+ *  12. Backstepping (position and attitude, composite Lyapunov function)
  *
  * All controllers output u = [T, τφ, τθ, τψ]
+ *
+ * The references carry acceleration and jerk, used as feedforward; with
+ * it switched off (configure) the controllers fly on feedback alone.
+ *
+ * Each is registered with Controllers.register() — defaults, sliders,
+ * description, chart lines and diagnostics travel with the control law,
+ * and the selector, gain panel, info box and charts are built from the
+ * registry. Every instance keeps its own internal state.
  */
 
 const Controllers = (() => {
 
-    const { PARAMS, clamp } = Physics;
-    const { m, g, Ixx, Iyy, Izz } = PARAMS;
+    // Controllers design against the nominal model, not the true plant
+    const { MODEL, clamp } = Physics;
 
     // =====================================================================
-    //  GAIN STRUCTURES (defaults — UI overrides these)
+    //  CONTROLLER REGISTRY
     // =====================================================================
+    //
+    // A controller is registered as
+    //
+    //   id           short key ('PID') — selector value, CSV 'algo' column
+    //   name         selector label
+    //   gains        defaults; the UI edits a copy (getDefaultGains)
+    //   gainDefs     sliders: { key, label, min, max, step, decimals?, tooltip? }
+    //   description  HTML for the info box
+    //   create()     → { state, compute(state, target, gains, dt, trajectoryFn, time) }
+    //                compute returns [T, τφ, τθ, τψ]; state is the instance's
+    //                own memory (integrators, observers, cached designs, …)
+    //                and its telemetry.
+    //                target holds x…z, vx…vz, ax…az and jx…jz (the last two
+    //                absent with feedforward off), yaw and yawRate
+    //   diagnostics  optional, (state) → HTML shown under the gains
+    //   chart        optional error-chart lines, each value(state, vehicle) → number:
+    //                { series: { label, value, right? },
+    //                  extras: [{ label, value, color, dash?, right? }] (up to 4),
+    //                  axis: right-axis title }
+    //
+    // The built-in controllers register at the end of this file. Experimental
+    // ones can live in their own script, loaded after this one and before
+    // app.js, that calls Controllers.register().
 
-    const defaultGains = {
-        PID: {
-            // Position PD gains
-            Kp_xy: 4.0,   Ki_xy: 0.2,  Kd_xy: 3.0,
-            Kp_z:  8.0,   Ki_z:  0.5,  Kd_z:  5.0,
-            // Attitude PD gains
-            Kp_att: 12.0,  Kd_att: 4.0,
-            Kp_yaw: 3.0,   Kd_yaw: 1.5,
-            // Integral windup limit
-            iMax: 2.0,
-        },
-        SMC: {
-            // Sliding surface slope
-            lambda_xy: 2.5,  lambda_z: 3.0,
-            // Switching gain (η)
-            eta_xy: 3.0,     eta_z: 5.0,
-            // Boundary layer thickness (φ) — 0 = pure signum
-            phi_xy: 0.0,     phi_z: 0.0,
-            // Attitude
-            lambda_att: 8.0, eta_att: 4.0,
-            phi_att: 0.1,
-        },
-        STS: {
-            // Super-twisting gains: ẋ = −α₁|s|^½ sign(s) + v,  v̇ = −α₂ sign(s)
-            lambda_xy: 2.5,  lambda_z: 3.0,
-            alpha1_xy: 5.0,  alpha2_xy: 3.0,
-            alpha1_z: 8.0,   alpha2_z: 5.0,
-            // Attitude
-            lambda_att: 8.0,
-            alpha1_att: 10.0, alpha2_att: 6.0,
-        },
-        MPC: {
-            // Horizon
-            N: 10,
-            // State cost weights [pos, vel]
-            Q_pos: 8.0,  Q_vel: 2.0,
-            // Control effort weight
-            R: 0.1,
-            // Attitude PD (inner loop stays PD)
-            Kp_att: 12.0, Kd_att: 4.0,
-        }
+    // Telemetry every instance carries for the charts and the log; the
+    // dispatcher fills in the control effort after each step
+    const TELEMETRY = {
+        s_x: 0, s_y: 0, s_z: 0,         // sliding surfaces / errors
+        s_phi: 0, s_theta: 0,
+        T: 0, tau_phi: 0, tau_theta: 0, tau_psi: 0,
     };
 
+    const registry = new Map();     // id → definition, in registration order
+
+    function register(def) {
+        if (!def || !def.id || typeof def.create !== 'function') {
+            throw new Error('Controllers.register: a controller needs an id and a create() function');
+        }
+        registry.set(def.id, {
+            name: def.id, gains: {}, gainDefs: [], description: '', diagnostics: null, chart: null,
+            ...def,
+        });
+    }
+
+    function get(id) { return registry.get(id) || null; }
+
+    function list() { return [...registry.values()]; }
+
     // Deep clone
     function getDefaultGains(algo) {
-        return JSON.parse(JSON.stringify(defaultGains[algo]));
+        const def = registry.get(algo);
+        return def ? JSON.parse(JSON.stringify(def.gains)) : {};
+    }
+
+    /**
+     * A fresh instance of a registered controller. Missing telemetry fields
+     * are added to its own state object, so a closure over it still works.
+     */
+    function create(id) {
+        const ctl = registry.get(id).create();
+        const st = ctl.state || (ctl.state = {});
+        for (const k in TELEMETRY) if (!(k in st)) st[k] = TELEMETRY[k];
+        return ctl;
+    }
+
+    // Built-in instances: the compute functions below take the state first
+    function instance(fn, fields) {
+        const st = { ...TELEMETRY, ...fields };
+        return { state: st, compute: (...args) => fn(st, ...args) };
     }
 
     // =====================================================================
-    //  CONTROLLER INTERNAL STATE (integrators, sliding surfaces, etc.)
+    //  ACTIVE INSTANCE
     // =====================================================================
-    let intState = null;
+    // The simulation flies one controller at a time. Its instance is made on
+    // the first step after a reset or a change of controller, so a switch
+    // always starts from clean integrators and observers.
+    let active = null;              // { id, ctl }
+    const IDLE = Object.freeze({ ...TELEMETRY });
 
-    function resetInternal() {
-        intState = {
-            // PID integrators
-            iEx: 0, iEy: 0, iEz: 0,
-            // STS integral terms
-            v_x: 0, v_y: 0, v_z: 0,
-            v_phi: 0, v_theta: 0, v_psi: 0,
-            // Sliding surface values (for plotting)
-            s_x: 0, s_y: 0, s_z: 0,
-            s_phi: 0, s_theta: 0,
-            // Control effort
-            T: 0, tau_phi: 0, tau_theta: 0, tau_psi: 0,
-        };
-    }
-    resetInternal();
+    function resetInternal() { active = null; }
 
-    function getInternalState() { return intState; }
+    /**
+     * State of the active instance (bare telemetry before its first step)
+     */
+    function getInternalState() { return active ? active.ctl.state : IDLE; }
 
     // =====================================================================
     //  SWITCHING FUNCTIONS
@@ -106,11 +137,108 @@ const Controllers = (() => {
         return Math.abs(v) <= 1 ? v : sign(v);
     }
 
+    // =====================================================================
+    //  HEADING
+    // =====================================================================
+    // ψ runs continuously past ±π and the reference may be any angle, so
+    // heading errors are wrapped to take the short way round. The yaw
+    // policies also give the reference's rate (target.yawRate), used as a
+    // feedforward on r (≈ ψ̇ near level).
+    //
+    // The error is also limited: yaw torque comes only from rotor drag, a
+    // small fraction of what the arms give in roll and pitch, and the mixer
+    // clips each rotor on its own, so a 90–180° heading step taken at full
+    // gain would starve thrust and tilt. Larger turns — a square's corners,
+    // passing under a look-at point — are flown at the rate the limited
+    // error gives.
+    const YAW_ERR_MAX = 0.5;    // [rad]
+
+    function wrapAngle(a) { return a - 2 * Math.PI * Math.round(a / (2 * Math.PI)); }
+
+    /**
+     * Heading error e_ψ (wrapped, limited) and yaw-rate error ψ̇_d − r
+     */
+    function yawError(state, target) {
+        return {
+            e: clamp(wrapAngle((target.yaw || 0) - state.psi), -YAW_ERR_MAX, YAW_ERR_MAX),
+            de: (target.yawRate || 0) - state.r,
+        };
+    }
+
+    // =====================================================================
+    //  REFERENCE FEEDFORWARD
+    // =====================================================================
+    // The trajectory gives a_ref (ax, ay, az) and j_ref (jx, jy, jz). Every
+    // law adds a_ref to the acceleration it commands — the part of the
+    // motion feedback would otherwise have to lag into — and the jerk sets
+    // the rate the tilt reference moves at, fed to the attitude loops as
+    // the reference body rate (except MPC's, see section 4). Near level,
+    // with φ_d ≈ (a_x sψ − a_z cψ)/g and θ_d ≈ (a_x cψ + a_z sψ)/g,
+    //
+    //   p_ref = (j_x sψ − j_z cψ)/g,   q_ref = (j_x cψ + j_z sψ)/g
+    //
+    // With feedforward off the dispatcher strips a_ref and j_ref from the
+    // references, so every law reduces to its feedback part.
+    const config = {
+        feedforward: true,
+    };
+    const FF_KEYS = ['ax', 'ay', 'az', 'jx', 'jy', 'jz'];
+
+    function withoutFeedforward(ref) {
+        const out = { ...ref };
+        FF_KEYS.forEach(k => { delete out[k]; });
+        return out;
+    }
+
+    function accelRef(target) {
+        return { x: target.ax || 0, y: target.ay || 0, z: target.az || 0 };
+    }
+
+    /**
+     * Roll and pitch rate of the small-angle tilt reference
+     */
+    function tiltRateRef(state, target) {
+        const { g } = MODEL;
+        const jx = target.jx || 0, jz = target.jz || 0;
+        const cpsi = Math.cos(state.psi), spsi = Math.sin(state.psi);
+        return { p: (jx * spsi - jz * cpsi) / g, q: (jx * cpsi + jz * spsi) / g };
+    }
+
+    // =====================================================================
+    //  THRUST & TILT EXTRACTION
+    // =====================================================================
+    //
+    // Shared by the cascaded designs: a world-frame acceleration demand
+    // becomes total thrust and roll/pitch setpoints,
+    //   T = m(g + a_y)/(cos φ cos θ)
+    //   φ_des = asin(m(a_x sψ − a_z cψ)/T),   θ_des = atan2(a_x cψ + a_z sψ, g + a_y)
+    // with thrust and tilt limited; tiltSat / thrustSat report when the
+    // limits cut the demand, for anti-windup.
+
+    const TILT_LIMIT = 0.6;     // roll/pitch setpoint limit [rad]
+
+    function thrustAndTilt(state, ax_des, ay_des, az_des) {
+        const { m, g } = MODEL;
+        const cphi = Math.cos(state.phi), cth = Math.cos(state.theta);
+        const Tdem = m * (g + ay_des) / Math.max(cphi * cth, 0.1);
+        const T = clamp(Tdem, 0, m * g * 4);
+
+        const cpsi = Math.cos(state.psi), spsi = Math.sin(state.psi);
+        const phi_des   = clamp(Math.asin(clamp(m * (ax_des * spsi - az_des * cpsi) / Math.max(T, 0.1), -0.8, 0.8)), -TILT_LIMIT, TILT_LIMIT);
+        const theta_des = clamp(Math.atan2(ax_des * cpsi + az_des * spsi, g + ay_des), -TILT_LIMIT, TILT_LIMIT);
+        const tiltSat = Math.max(Math.abs(phi_des), Math.abs(theta_des)) >= TILT_LIMIT;
+        return { T, phi_des, theta_des, tiltSat, thrustSat: T !== Tdem };
+    }
+
+    // Position → velocity key per scene axis (y vertical)
+    const AXES = { x: 'vx', y: 'vy', z: 'vz' };
+
     // =====================================================================
     //  1. CASCADED PID
     // =====================================================================
-    function computePID(state, target, gains, dt) {
+    function computePID(st, state, target, gains, dt) {
         const G = gains;
+        const { Ixx, Iyy, Izz } = MODEL;
 
         // --- Position errors (world frame) ---
         const ex = target.x - state.x;
@@ -122,36 +250,30 @@ const Controllers = (() => {
         const evz = (target.vz || 0) - state.vz;
 
         // Integrate with anti-windup
-        intState.iEx = clamp(intState.iEx + ex * dt, -G.iMax, G.iMax);
-        intState.iEy = clamp(intState.iEy + ey * dt, -G.iMax, G.iMax);
-        intState.iEz = clamp(intState.iEz + ez * dt, -G.iMax, G.iMax);
+        st.iEx = clamp(st.iEx + ex * dt, -G.iMax, G.iMax);
+        st.iEy = clamp(st.iEy + ey * dt, -G.iMax, G.iMax);
+        st.iEz = clamp(st.iEz + ez * dt, -G.iMax, G.iMax);
 
-        // Desired accelerations (world frame)
-        const ax_des = G.Kp_xy * ex + G.Ki_xy * intState.iEx + G.Kd_xy * evx;
-        const ay_des = G.Kp_z  * ey + G.Ki_z  * intState.iEy + G.Kd_z  * evy;
-        const az_des = G.Kp_xy * ez + G.Ki_xy * intState.iEz + G.Kd_xy * evz;
+        // Desired accelerations (world frame), reference acceleration fed forward
+        const a = accelRef(target);
+        const ax_des = a.x + G.Kp_xy * ex + G.Ki_xy * st.iEx + G.Kd_xy * evx;
+        const ay_des = a.y + G.Kp_z  * ey + G.Ki_z  * st.iEy + G.Kd_z  * evy;
+        const az_des = a.z + G.Kp_xy * ez + G.Ki_xy * st.iEz + G.Kd_xy * evz;
 
         // --- Thrust & desired attitude ---
-        // Total thrust T = m * (g + ay_des) / (cos φ cos θ)
-        const cphi = Math.cos(state.phi), cth = Math.cos(state.theta);
-        const T = clamp(m * (g + ay_des) / Math.max(cphi * cth, 0.1), 0, m * g * 4);
-
-        // Desired roll/pitch from horizontal acceleration demands
-        const psi = state.psi;
-        const cpsi = Math.cos(psi), spsi = Math.sin(psi);
-        const phi_des   = clamp(Math.asin(clamp(m * (ax_des * spsi - az_des * cpsi) / Math.max(T, 0.1), -0.8, 0.8)), -0.6, 0.6);
-        const theta_des = clamp(Math.atan2(ax_des * cpsi + az_des * spsi, g + ay_des), -0.6, 0.6);
-        const psi_des   = target.yaw || 0;
+        const { T, phi_des, theta_des } = thrustAndTilt(state, ax_des, ay_des, az_des);
+        const yaw = yawError(state, target);
+        const w = tiltRateRef(state, target);
 
         // --- Attitude PD ---
-        const tau_phi   = G.Kp_att * (phi_des - state.phi)     - G.Kd_att * state.p;
-        const tau_theta = G.Kp_att * (theta_des - state.theta)  - G.Kd_att * state.q;
-        const tau_psi   = G.Kp_yaw * (psi_des - state.psi)     - G.Kd_yaw * state.r;
+        const tau_phi   = G.Kp_att * (phi_des - state.phi)     + G.Kd_att * (w.p - state.p);
+        const tau_theta = G.Kp_att * (theta_des - state.theta)  + G.Kd_att * (w.q - state.q);
+        const tau_psi   = G.Kp_yaw * yaw.e                     + G.Kd_yaw * yaw.de;
 
         // Store for telemetry
-        intState.s_x = ex; intState.s_y = ey; intState.s_z = ez;
-        intState.T = T; intState.tau_phi = tau_phi;
-        intState.tau_theta = tau_theta; intState.tau_psi = tau_psi;
+        st.s_x = ex; st.s_y = ey; st.s_z = ez;
+        st.T = T; st.tau_phi = tau_phi;
+        st.tau_theta = tau_theta; st.tau_psi = tau_psi;
 
         return [T, tau_phi, tau_theta, tau_psi];
     }
@@ -159,8 +281,9 @@ const Controllers = (() => {
     // =====================================================================
     //  2. SLIDING MODE CONTROL (Standard)
     // =====================================================================
-    function computeSMC(state, target, gains, dt) {
+    function computeSMC(st, state, target, gains, dt) {
         const G = gains;
+        const { Ixx, Iyy, Izz } = MODEL;
 
         // Position errors
         const ex = target.x - state.x, evx = (target.vx||0) - state.vx;
@@ -172,36 +295,33 @@ const Controllers = (() => {
         const sy = evy + G.lambda_z  * ey;
         const sz = evz + G.lambda_xy * ez;
 
-        intState.s_x = sx; intState.s_y = sy; intState.s_z = sz;
+        st.s_x = sx; st.s_y = sy; st.s_z = sz;
 
         // Control law:  u = ueq + η·sat(s, φ)
-        // Equivalent control ueq ≈ λ·ė  (linearized around hover)
-        const ax_des = G.lambda_xy * evx + G.eta_xy * sat(sx, G.phi_xy);
-        const ay_des = G.lambda_z  * evy + G.eta_z  * sat(sy, G.phi_z);
-        const az_des = G.lambda_xy * evz + G.eta_xy * sat(sz, G.phi_xy);
-
-        // Thrust & attitude extraction (same approach)
-        const cphi = Math.cos(state.phi), cth = Math.cos(state.theta);
-        const T = clamp(m * (g + ay_des) / Math.max(cphi * cth, 0.1), 0, m * g * 4);
+        // Equivalent control ueq ≈ r̈ + λ·ė  (linearized around hover)
+        const a = accelRef(target);
+        const ax_des = a.x + G.lambda_xy * evx + G.eta_xy * sat(sx, G.phi_xy);
+        const ay_des = a.y + G.lambda_z  * evy + G.eta_z  * sat(sy, G.phi_z);
+        const az_des = a.z + G.lambda_xy * evz + G.eta_xy * sat(sz, G.phi_xy);
 
-        const psi = state.psi;
-        const cpsi = Math.cos(psi), spsi = Math.sin(psi);
-        const phi_des   = clamp(Math.asin(clamp(m * (ax_des * spsi - az_des * cpsi) / Math.max(T, 0.1), -0.8, 0.8)), -0.6, 0.6);
-        const theta_des = clamp(Math.atan2(ax_des * cpsi + az_des * spsi, g + ay_des), -0.6, 0.6);
+        // Thrust & attitude extraction
+        const { T, phi_des, theta_des } = thrustAndTilt(state, ax_des, ay_des, az_des);
 
         // Attitude SMC
-        const s_phi   = -state.p + G.lambda_att * (phi_des - state.phi);
-        const s_theta = -state.q + G.lambda_att * (theta_des - state.theta);
-        const s_psi   = -state.r + G.lambda_att * (0 - state.psi);
+        const w = tiltRateRef(state, target);
+        const s_phi   = (w.p - state.p) + G.lambda_att * (phi_des - state.phi);
+        const s_theta = (w.q - state.q) + G.lambda_att * (theta_des - state.theta);
+        const yaw = yawError(state, target);
+        const s_psi   = yaw.de + G.lambda_att * yaw.e;
 
-        intState.s_phi = s_phi; intState.s_theta = s_theta;
+        st.s_phi = s_phi; st.s_theta = s_theta;
 
-        const tau_phi   = Ixx * (G.lambda_att * (-state.p) + G.eta_att * sat(s_phi, G.phi_att));
-        const tau_theta = Iyy * (G.lambda_att * (-state.q) + G.eta_att * sat(s_theta, G.phi_att));
-        const tau_psi   = Izz * (G.lambda_att * (-state.r) + G.eta_att * sat(s_psi, G.phi_att));
+        const tau_phi   = Ixx * (G.lambda_att * (w.p - state.p) + G.eta_att * sat(s_phi, G.phi_att));
+        const tau_theta = Iyy * (G.lambda_att * (w.q - state.q) + G.eta_att * sat(s_theta, G.phi_att));
+        const tau_psi   = Izz * (G.lambda_att * yaw.de     + G.eta_att * sat(s_psi, G.phi_att));
 
-        intState.T = T; intState.tau_phi = tau_phi;
-        intState.tau_theta = tau_theta; intState.tau_psi = tau_psi;
+        st.T = T; st.tau_phi = tau_phi;
+        st.tau_theta = tau_theta; st.tau_psi = tau_psi;
 
         return [T, tau_phi, tau_theta, tau_psi];
     }
@@ -209,8 +329,16 @@ const Controllers = (() => {
     // =====================================================================
     //  3. SUPER-TWISTING SMC
     // =====================================================================
-    function computeSTS(state, target, gains, dt) {
+
+    // Integral step of the super-twisting law with anti-windup
+    function twistIntegral(v, dv, saturated, limit) {
+        if (saturated && dv * v > 0) return v;
+        return clamp(v + dv, -limit, limit);
+    }
+
+    function computeSTS(st, state, target, gains, dt) {
         const G = gains;
+        const { Ixx, Iyy, Izz } = MODEL;
 
         const ex = target.x - state.x, evx = (target.vx||0) - state.vx;
         const ey = target.y - state.y, evy = (target.vy||0) - state.vy;
@@ -220,135 +348,1367 @@ const Controllers = (() => {
         const sx = evx + G.lambda_xy * ex;
         const sy = evy + G.lambda_z  * ey;
         const sz = evz + G.lambda_xy * ez;
-        intState.s_x = sx; intState.s_y = sy; intState.s_z = sz;
+        st.s_x = sx; st.s_y = sy; st.s_z = sz;
 
         // Super-twisting algorithm:
         //   u₁ = −α₁ |s|^(1/2) sign(s) + v
         //   v̇  = −α₂ sign(s)
-        intState.v_x += -G.alpha2_xy * sign(sx) * dt;
-        intState.v_y += -G.alpha2_z  * sign(sy) * dt;
-        intState.v_z += -G.alpha2_xy * sign(sz) * dt;
-
-        const ax_des = G.alpha1_xy * Math.sqrt(Math.abs(sx)) * sign(sx) + intState.v_x;
-        const ay_des = G.alpha1_z  * Math.sqrt(Math.abs(sy)) * sign(sy) + intState.v_y;
-        const az_des = G.alpha1_xy * Math.sqrt(Math.abs(sz)) * sign(sz) + intState.v_z;
+        // s is built from target − state, so ṡ = −a + …: the commanded
+        // acceleration is a = −u₁ = α₁|s|^½ sign(s) + ∫α₂ sign(s), plus r̈ fed forward
+        const a = accelRef(target);
+        const ax_des = a.x + G.alpha1_xy * Math.sqrt(Math.abs(sx)) * sign(sx) + st.v_x;
+        const ay_des = a.y + G.alpha1_z  * Math.sqrt(Math.abs(sy)) * sign(sy) + st.v_y;
+        const az_des = a.z + G.alpha1_xy * Math.sqrt(Math.abs(sz)) * sign(sz) + st.v_z;
 
-        const cphi = Math.cos(state.phi), cth = Math.cos(state.theta);
-        const T = clamp(m * (g + ay_des) / Math.max(cphi * cth, 0.1), 0, m * g * 4);
+        const { T, phi_des, theta_des, tiltSat, thrustSat } = thrustAndTilt(state, ax_des, ay_des, az_des);
 
-        const psi = state.psi;
-        const cpsi = Math.cos(psi), spsi = Math.sin(psi);
-        const phi_des   = clamp(Math.asin(clamp(m * (ax_des * spsi - az_des * cpsi) / Math.max(T, 0.1), -0.8, 0.8)), -0.6, 0.6);
-        const theta_des = clamp(Math.atan2(ax_des * cpsi + az_des * spsi, g + ay_des), -0.6, 0.6);
+        // Anti-windup: the integrals hold while the tilt (horizontal) or
+        // thrust (vertical) limit cuts the command, except to unwind, and
+        // never exceed the acceleration those limits allow
+        const aH = MODEL.g * Math.tan(TILT_LIMIT);
+        st.v_x = twistIntegral(st.v_x, G.alpha2_xy * sign(sx) * dt, tiltSat, aH);
+        st.v_y = twistIntegral(st.v_y, G.alpha2_z  * sign(sy) * dt, thrustSat, MODEL.g);
+        st.v_z = twistIntegral(st.v_z, G.alpha2_xy * sign(sz) * dt, tiltSat, aH);
 
         // Attitude super-twisting
-        const s_phi   = -state.p + G.lambda_att * (phi_des - state.phi);
-        const s_theta = -state.q + G.lambda_att * (theta_des - state.theta);
-        const s_psi   = -state.r + G.lambda_att * (0 - state.psi);
-        intState.s_phi = s_phi; intState.s_theta = s_theta;
+        const w = tiltRateRef(state, target);
+        const s_phi   = (w.p - state.p) + G.lambda_att * (phi_des - state.phi);
+        const s_theta = (w.q - state.q) + G.lambda_att * (theta_des - state.theta);
+        const yaw = yawError(state, target);
+        const s_psi   = yaw.de + G.lambda_att * yaw.e;
+        st.s_phi = s_phi; st.s_theta = s_theta;
 
-        intState.v_phi   += -G.alpha2_att * sign(s_phi) * dt;
-        intState.v_theta += -G.alpha2_att * sign(s_theta) * dt;
-        intState.v_psi   += -G.alpha2_att * sign(s_psi) * dt;
+        st.v_phi   += G.alpha2_att * sign(s_phi) * dt;
+        st.v_theta += G.alpha2_att * sign(s_theta) * dt;
+        st.v_psi   += G.alpha2_att * sign(s_psi) * dt;
 
-        const tau_phi   = Ixx * (G.alpha1_att * Math.sqrt(Math.abs(s_phi))   * sign(s_phi)   + intState.v_phi);
-        const tau_theta = Iyy * (G.alpha1_att * Math.sqrt(Math.abs(s_theta)) * sign(s_theta) + intState.v_theta);
-        const tau_psi   = Izz * (G.alpha1_att * Math.sqrt(Math.abs(s_psi))   * sign(s_psi)   + (intState.v_psi || 0));
+        const tau_phi   = Ixx * (G.alpha1_att * Math.sqrt(Math.abs(s_phi))   * sign(s_phi)   + st.v_phi);
+        const tau_theta = Iyy * (G.alpha1_att * Math.sqrt(Math.abs(s_theta)) * sign(s_theta) + st.v_theta);
+        const tau_psi   = Izz * (G.alpha1_att * Math.sqrt(Math.abs(s_psi))   * sign(s_psi)   + (st.v_psi || 0));
 
-        intState.T = T; intState.tau_phi = tau_phi;
-        intState.tau_theta = tau_theta; intState.tau_psi = tau_psi;
+        st.T = T; st.tau_phi = tau_phi;
+        st.tau_theta = tau_theta; st.tau_psi = tau_psi;
 
         return [T, tau_phi, tau_theta, tau_psi];
     }
 
     // =====================================================================
-    //  4. MODEL PREDICTIVE CONTROL (Linearized)
+    //  4. MODEL PREDICTIVE CONTROL (condensed QP)
     // =====================================================================
-    function computeMPC(state, target, gains, dt, trajectoryFn, time) {
-        const G = gains;
-        const N = G.N;
-        const dtPred = dt * 2; // prediction timestep
-
-        // Solve via batch QP approximation (for browser performance):
-        // For each axis, solve 1D double-integrator MPC
-        // State: [pos, vel], Input: accel
-        // Cost: Σ Q‖x-xref‖² + R‖u‖²
-        // Analytical solution for unconstrained LQR-like MPC
-
-        function solve1D(pos, vel, refFn, Q_p, Q_v, R) {
-            // Build prediction: propagate forward
-            let totalAccel = 0;
-            let weightSum = 0;
-
-            for (let k = 1; k <= N; k++) {
-                const tFuture = time + k * dtPred;
-                const ref = refFn(tFuture);
-                const predPos = pos + vel * (k * dtPred);
-                const errPos = ref - predPos;
-                // Weighting: closer predictions matter more but not too much
-                const w = 1.0 - 0.3 * (k - 1) / N;
-                totalAccel += w * (Q_p * errPos - Q_v * vel);
-                weightSum += w;
+    //
+    // Each world axis is predicted with a double integrator whose
+    // acceleration follows the command through a first-order lag τ_a, the
+    // thrust/attitude response of the inner loop:
+    //
+    //   x = [p, v, a],   ṗ = v,   v̇ = a,   ȧ = (u − a)/τ_a
+    //
+    // discretized (ZOH) at the prediction step Ts. Eliminating the states
+    // (x_k = Φ_k x₀ + Γ_k u) leaves a QP in the N inputs of each axis:
+    //
+    //   min  Σₖ Q_pos(pₖ − p_ref,k)² + Q_vel(vₖ − v_ref,k)² + R(uₖ − u_ref,k)²
+    //   s.t. u_min ≤ uₖ ≤ u_max      tilt limit (horizontal), thrust range (vertical)
+    //        |vₖ| ≤ v_max            speed limit
+    //        pₖ ≥ p_floor            altitude only: stay above the ground
+    //
+    // solved by ADMM (qp.js), warm-started from the previous solution
+    // shifted by the time elapsed. The first input is applied and the
+    // problem is solved again at the next control step.
+    //
+    // u_ref = a_ref + τ_a j_ref is the input that makes the lagged
+    // acceleration follow the reference's, so R weighs the departure from
+    // the feedforward rather than the acceleration itself (u_ref = 0 with
+    // feedforward off).
+
+    const MPC_AXES = ['x', 'y', 'z'];          // scene axes; y is vertical
+
+    // Condensed matrices + QP workspace, kept in the instance's state and
+    // rebuilt when the horizon or a weight changes
+    function mpcMatrices(st, G) {
+        const N = Math.round(G.N), Ts = G.Ts, tau = Math.max(G.tau_a, 1e-3);
+        const key = [N, Ts, tau, G.Q_pos, G.Q_vel, G.R].join();
+        if (st.mpcModel && st.mpcModel.key === key) return st.mpcModel;
+
+        const { Ad, Bd } = LinAlg.c2d(
+            [[0, 1, 0], [0, 0, 1], [0, 0, -1 / tau]],
+            [[0], [0], [1 / tau]], Ts);
+
+        // Rows of Φ_k (free response) and Γ (forced response) for p and v
+        const Phi = [];
+        let Ak = LinAlg.eye(3);
+        const Gp = LinAlg.zeros(N, N), Gv = LinAlg.zeros(N, N);
+        const AkB = [];             // A^j B for j = 0..N−1
+        let AjB = Bd.map(r => r[0]);
+        for (let j = 0; j < N; j++) {
+            AkB.push(AjB);
+            AjB = LinAlg.mulVec(Ad, AjB);
+        }
+        for (let k = 0; k < N; k++) {
+            Ak = LinAlg.mul(Ad, Ak);
+            Phi.push(Ak);
+            for (let j = 0; j <= k; j++) {
+                const col = AkB[k - j];
+                Gp[k][j] = col[0]; Gv[k][j] = col[1];
             }
-            return totalAccel / (weightSum * (1 + R));
         }
 
-        const ax_des = solve1D(state.x, state.vx,
-            (t) => { const r = trajectoryFn ? trajectoryFn(t) : target; return r.x; },
-            G.Q_pos, G.Q_vel, G.R);
-        const ay_des = solve1D(state.y, state.vy,
-            (t) => { const r = trajectoryFn ? trajectoryFn(t) : target; return r.y; },
-            G.Q_pos, G.Q_vel, G.R);
-        const az_des = solve1D(state.z, state.vz,
-            (t) => { const r = trajectoryFn ? trajectoryFn(t) : target; return r.z; },
-            G.Q_pos, G.Q_vel, G.R);
-
-        // Store predicted trajectory for visualization
-        intState.mpcPrediction = [];
+        // Cost uᵀHu + 2fᵀu + c with H = Q_pos·GpᵀGp + Q_vel·GvᵀGv + R·I
+        const H = LinAlg.add(
+            LinAlg.scale(LinAlg.mul(LinAlg.transpose(Gp), Gp), G.Q_pos),
+            LinAlg.scale(LinAlg.mul(LinAlg.transpose(Gv), Gv), G.Q_vel));
+        for (let i = 0; i < N; i++) H[i][i] += G.R;
+
+        // Constraint rows: inputs, velocities, positions
+        const A = [...LinAlg.eye(N), ...Gv, ...Gp];
+
+        // ρ scaled to the cost curvature so convergence does not depend on
+        // the weights
+        let trace = 0;
+        for (let i = 0; i < N; i++) trace += H[i][i];
+        const ws = QP.setup(H, A, { rho: Math.max(0.1 * trace / N, 1e-3) });
+
+        st.mpcModel = { key, N, Ts, Phi, Gp, Gv, ws };
+        return st.mpcModel;
+    }
+
+    /**
+     * Shift a warm-start vector of `blocks` length-N blocks forward by k
+     * steps, repeating the last entry of each block
+     */
+    function shiftBlocks(v, N, blocks, k) {
+        if (k <= 0) return v.slice();
+        const out = [];
+        for (let b = 0; b < blocks; b++) {
+            for (let i = 0; i < N; i++) out.push(v[b * N + Math.min(i + k, N - 1)]);
+        }
+        return out;
+    }
+
+    function computeMPC(st, state, target, gains, dt, trajectoryFn, time) {
+        const G = gains;
+        const { g, Ixx, Iyy, Izz } = MODEL;
+        const M = mpcMatrices(st, G);
+        const { N, Ts, Phi, Gp, Gv, ws } = M;
+        const tau = Math.max(G.tau_a, 1e-3);
+        const refAt = (t) => trajectoryFn ? trajectoryFn(t) : target;
+
+        // Horizon references
+        const refs = [];
+        for (let k = 1; k <= N; k++) refs.push(refAt(time + k * Ts));
+
+        // Initial acceleration: the lag state carried over from the last
+        // solve (reading it from the estimated tilt feeds attitude noise
+        // straight into the prediction)
+        const mpc = st.mpc || (st.mpc = { accel: { x: 0, y: 0, z: 0 }, warm: {}, time: null });
+        const a0 = { ...mpc.accel };
+
+        const aH = g * Math.tan(G.tiltMax);
+        const bounds = {
+            x: { uMin: -aH, uMax: aH, vMax: G.vMax_xy, floor: -Infinity },
+            y: { uMin: -g,  uMax: 3 * g, vMax: G.vMax_z, floor: MODEL.gearHeight || 0 },
+            z: { uMin: -aH, uMax: aH, vMax: G.vMax_xy, floor: -Infinity },
+        };
+        const vKey = { x: 'vx', y: 'vy', z: 'vz' };
+
+        const shift = mpc.time === null ? 0 : Math.floor((time - mpc.time) / Ts + 1e-9);
+        if (shift > 0 || mpc.time === null) mpc.time = time;
+
+        const u0 = {}, pred = {};
+        let iterations = 0, cost = 0, converged = true, active = 0;
+
+        MPC_AXES.forEach(ax => {
+            const x0 = [state[ax], state[vKey[ax]], a0[ax]];
+            const B = bounds[ax];
+
+            // Free response and tracking residuals
+            const ep = new Array(N), ev = new Array(N), pFree = new Array(N), vFree = new Array(N);
+            for (let k = 0; k < N; k++) {
+                const Pk = Phi[k];
+                pFree[k] = Pk[0][0] * x0[0] + Pk[0][1] * x0[1] + Pk[0][2] * x0[2];
+                vFree[k] = Pk[1][0] * x0[0] + Pk[1][1] * x0[1] + Pk[1][2] * x0[2];
+                ep[k] = pFree[k] - refs[k][ax];
+                ev[k] = vFree[k] - (refs[k][vKey[ax]] || 0);
+            }
+
+            // f = Q_pos·Gpᵀe_p + Q_vel·Gvᵀe_v − R·u_ref, uₖ applied until step k+1
+            const f = new Array(N).fill(0);
+            let c = 0;
+            for (let k = 0; k < N; k++) {
+                for (let j = 0; j <= k; j++) f[j] += G.Q_pos * Gp[k][j] * ep[k] + G.Q_vel * Gv[k][j] * ev[k];
+                c += G.Q_pos * ep[k] * ep[k] + G.Q_vel * ev[k] * ev[k];
+                const uRef = (refs[k]['a' + ax] || 0) + tau * (refs[k]['j' + ax] || 0);
+                f[k] -= G.R * uRef;
+                c += G.R * uRef * uRef;
+            }
+
+            const l = [], u = [];
+            for (let k = 0; k < N; k++) { l.push(B.uMin); u.push(B.uMax); }
+            for (let k = 0; k < N; k++) { l.push(-B.vMax - vFree[k]); u.push(B.vMax - vFree[k]); }
+            for (let k = 0; k < N; k++) { l.push(B.floor - pFree[k]); u.push(Infinity); }
+
+            let warm = mpc.warm[ax];
+            if (warm && warm.x.length === N) {
+                warm = {
+                    x: shiftBlocks(warm.x, N, 1, shift),
+                    z: null,
+                    y: shiftBlocks(warm.y, N, 3, shift),
+                };
+            } else {
+                warm = null;
+            }
+
+            const sol = QP.solve(ws, f, l, u, warm);
+            mpc.warm[ax] = { x: sol.x, y: sol.y };
+            iterations += sol.iterations;
+            converged = converged && sol.converged;
+            active += sol.y.filter(v => Math.abs(v) > 1e-6).length;
+
+            // Cost uᵀHu + 2fᵀu + c and predicted positions
+            const Hu = LinAlg.mulVec(ws.P, sol.x);
+            for (let i = 0; i < N; i++) cost += sol.x[i] * Hu[i] + 2 * f[i] * sol.x[i];
+            cost += c;
+            pred[ax] = [x0[0], ...LinAlg.mulVec(Gp, sol.x).map((v, k) => v + pFree[k])];
+            u0[ax] = sol.x[0];
+
+            // Carry the lag state forward over one control step
+            const decay = Math.exp(-dt / Math.max(G.tau_a, 1e-3));
+            mpc.accel[ax] = u0[ax] + (a0[ax] - u0[ax]) * decay;
+        });
+
+        st.mpcPrediction = [];
         for (let k = 0; k <= N; k++) {
-            const tF = time + k * dtPred;
-            const ref = trajectoryFn ? trajectoryFn(tF) : target;
-            intState.mpcPrediction.push({
-                x: state.x + state.vx * (k * dtPred) + 0.5 * ax_des * (k * dtPred) ** 2,
-                y: state.y + state.vy * (k * dtPred) + 0.5 * ay_des * (k * dtPred) ** 2,
-                z: state.z + state.vz * (k * dtPred) + 0.5 * az_des * (k * dtPred) ** 2,
-            });
+            st.mpcPrediction.push({ x: pred.x[k], y: pred.y[k], z: pred.z[k] });
         }
+        st.mpcStats = { iterations, cost, converged, active };
 
-        // Thrust & attitude
-        const cphi = Math.cos(state.phi), cth = Math.cos(state.theta);
-        const T = clamp(m * (g + ay_des) / Math.max(cphi * cth, 0.1), 0, m * g * 4);
+        const ax_des = u0.x, ay_des = u0.y, az_des = u0.z;
 
-        const psi = state.psi;
-        const cpsi = Math.cos(psi), spsi = Math.sin(psi);
-        const phi_des   = clamp(Math.asin(clamp(m * (ax_des * spsi - az_des * cpsi) / Math.max(T, 0.1), -0.8, 0.8)), -0.6, 0.6);
-        const theta_des = clamp(Math.atan2(ax_des * cpsi + az_des * spsi, g + ay_des), -0.6, 0.6);
+        // Thrust & attitude
+        const { T, phi_des, theta_des } = thrustAndTilt(state, ax_des, ay_des, az_des);
 
-        // Attitude PD (inner loop)
+        // Attitude PD (inner loop). No tilt-rate reference here: the
+        // prediction models this loop as the lag τ_a and u_ref already leads
+        // it by τ_a j_ref, so a rate reference would lead twice.
         const tau_phi   = G.Kp_att * (phi_des - state.phi)     - G.Kd_att * state.p;
         const tau_theta = G.Kp_att * (theta_des - state.theta)  - G.Kd_att * state.q;
-        const tau_psi   = G.Kp_att * (0 - state.psi)           - G.Kd_att * state.r;
+        const yaw = yawError(state, target);
+        const tau_psi   = G.Kp_yaw * yaw.e                     + G.Kd_yaw * yaw.de;
+
+        st.s_x = target.x - state.x;
+        st.s_y = target.y - state.y;
+        st.s_z = target.z - state.z;
+        st.T = T; st.tau_phi = tau_phi;
+        st.tau_theta = tau_theta; st.tau_psi = tau_psi;
+
+        return [T, tau_phi, tau_theta, tau_psi];
+    }
+
+    // =====================================================================
+    //  5. FAULT-TOLERANT REDUCED-ATTITUDE CONTROL
+    // =====================================================================
+    //
+    // Controls only the direction of the thrust axis, never the full
+    // attitude, so it keeps working when the allocator has given up yaw and
+    // the vehicle spins (a quad after losing a rotor). Works directly on the
+    // quaternion — no Euler angles, no dependence on ψ.
+    //
+    //   f  = m(a_des + g ê₃)          desired thrust vector (world)
+    //   T  = f · b₃                   thrust along the current body axis
+    //   e  = ê₃ × Rᵀ f̂               thrust-axis error in the body frame
+    //   τ  = I·K_rate(K_att·e + ω_ref − ω) + ω × Iω   (x, y only)
+    //
+    // with ω_ref = Rᵀ(f̂ × ḟ/‖f‖), ḟ = m j_ref, the rate the thrust axis
+    // turns at to follow the reference jerk.
+    //
+    // While spinning at rate r, the motor lag τ_m rotates every torque
+    // request by r·τ_m before it takes effect; the command is rotated back
+    // by that angle in advance.
+    //
+    // Reference: Mueller & D'Andrea, "Stability and control of a quadrocopter
+    // despite the complete loss of one, two, or three propellers," ICRA 2014
+
+    /**
+     * Body rate [p, q, r] that turns the thrust axis f̂ as f changes at
+     * ḟ = m·j (physics frame): Rᵀ(f̂ × ḟ/‖f‖), the component along f̂
+     * dropped. Shared with SE(3).
+     */
+    function thrustAxisRate(R, f, jerk) {
+        const { m } = MODEL;
+        const n = Math.hypot(f[0], f[1], f[2]);
+        const w = [
+            (f[1] * jerk[2] - f[2] * jerk[1]) * m / (n * n),
+            (f[2] * jerk[0] - f[0] * jerk[2]) * m / (n * n),
+            (f[0] * jerk[1] - f[1] * jerk[0]) * m / (n * n),
+        ];
+        return [0, 1, 2].map(i => R[0][i] * w[0] + R[1][i] * w[1] + R[2][i] * w[2]);
+    }
+
+    function computeFTC(st, state, target, gains, dt) {
+        const G = gains;
+        const { m, g, Ixx, Iyy, Izz, tauM } = MODEL;
+        const R = Physics.rotationMatrix(state);
+
+        // Position PD in the physics frame (Z up)
+        const ep = [target.x - state.x, target.z - state.z, target.y - state.y];
+        const ev = [(target.vx || 0) - state.vx, (target.vz || 0) - state.vz, (target.vy || 0) - state.vy];
+        const aRef = [target.ax || 0, target.az || 0, target.ay || 0];
+        const f = [0, 1, 2].map(i => m * (aRef[i] + G.Kp_pos * ep[i] + G.Kd_pos * ev[i]));
+        f[2] = Math.max(f[2] + m * g, 0.1 * m * g);
 
-        intState.s_x = target.x - state.x;
-        intState.s_y = target.y - state.y;
-        intState.s_z = target.z - state.z;
-        intState.T = T; intState.tau_phi = tau_phi;
-        intState.tau_theta = tau_theta; intState.tau_psi = tau_psi;
+        // Tilt limit
+        const fh = Math.hypot(f[0], f[1]);
+        const fhMax = f[2] * Math.tan(G.tiltMax);
+        if (fh > fhMax) { f[0] *= fhMax / fh; f[1] *= fhMax / fh; }
+        const wRef = thrustAxisRate(R, f, [target.jx || 0, target.jz || 0, target.jy || 0]);
+
+        const b3 = [R[0][2], R[1][2], R[2][2]];
+        const T = clamp(f[0] * b3[0] + f[1] * b3[1] + f[2] * b3[2], 0, m * g * 4);
+
+        // Thrust-axis error in the body frame: ê₃ × n_b
+        const fn = Math.hypot(f[0], f[1], f[2]);
+        const nb = [0, 1, 2].map(i => (R[0][i] * f[0] + R[1][i] * f[1] + R[2][i] * f[2]) / fn);
+        const eAtt = [-nb[1], nb[0]];
+
+        // Body-rate loop with gyroscopic compensation
+        let tau_phi   = Ixx * G.K_rate * (G.K_att * eAtt[0] + wRef[0] - state.p) + (Izz - Iyy) * state.q * state.r;
+        let tau_theta = Iyy * G.K_rate * (G.K_att * eAtt[1] + wRef[1] - state.q) + (Ixx - Izz) * state.p * state.r;
+
+        // Lead for motor lag while spinning
+        const lead = -state.r * (tauM || 0);
+        const cl = Math.cos(lead), sl = Math.sin(lead);
+        [tau_phi, tau_theta] = [cl * tau_phi - sl * tau_theta, sl * tau_phi + cl * tau_theta];
+
+        // Heading error wrapped to ±π: after a spin-up ψ has unwound many turns
+        const yawFree = Physics.getAllocatorInfo().yawDropped;
+        const yaw = yawError(state, target);
+        const tau_psi = yawFree ? 0 : Izz * G.K_yawRate * (G.K_yaw * yaw.e + yaw.de);
+
+        st.s_x = target.x - state.x;
+        st.s_y = target.y - state.y;
+        st.s_z = target.z - state.z;
+        st.s_phi = eAtt[0]; st.s_theta = eAtt[1];
+        st.T = T; st.tau_phi = tau_phi;
+        st.tau_theta = tau_theta; st.tau_psi = tau_psi;
 
         return [T, tau_phi, tau_theta, tau_psi];
     }
 
+    // =====================================================================
+    //  6. LINEAR-QUADRATIC REGULATOR
+    // =====================================================================
+    //
+    // Full-state feedback on the 12-state nominal model, linearized by
+    // Physics.linearize about hover at the vehicle's heading (which sets how
+    // tilt maps to horizontal acceleration, so it must be the actual one
+    // while a large heading change is under way):
+    //
+    //   x₀ = [p_ref, v_ref, 0, 0, ψ, 0, 0, 0],   u₀ = [mg, 0, 0, 0]
+    //
+    // and discretized (ZOH) at the controller step. The inputs are scaled
+    // to accelerations (T/m, τ/I) so the same R suits every airframe. The
+    // gain comes from the discrete algebraic Riccati equation
+    //
+    //   X = AᵀXA − AᵀXB(R + BᵀXB)⁻¹BᵀXA + Q,   K = (R + BᵀXB)⁻¹BᵀXA
+    //
+    // and the law is u = u₀ − K(x − x_ref). The reference state adds to x₀
+    // the tilt and tilt rate that give the reference acceleration and jerk
+    // (φ_d, θ_d, p_ref, q_ref of the feedforward section), and u₀ takes
+    // T = m(g + a_y,ref). Each instance keeps its design and redoes it when
+    // the weights, the step or the airframe change, or the heading moves by
+    // more than the linearization grid (~3°).
+
+    const LQR_PSI_GRID = 0.05;  // [rad]
+
+    function lqrDesign(st, G, dt, psi) {
+        const { m, g, Ixx, Iyy, Izz } = MODEL;
+        const psi0 = Math.round(wrapAngle(psi) / LQR_PSI_GRID) * LQR_PSI_GRID;
+        const key = [
+            G.Q_pos_xy, G.Q_pos_z, G.Q_vel_xy, G.Q_vel_z, G.Q_att, G.Q_yaw, G.Q_rate,
+            G.R_T, G.R_tau, G.R_yaw, dt, psi0, m, Ixx, Iyy, Izz, MODEL.Cd, MODEL.CdA,
+        ].join();
+        if (st.lqrModel && st.lqrModel.key === key) return st.lqrModel;
+
+        const x0 = [0, 0, 0, 0, 0, 0, 0, 0, psi0, 0, 0, 0];
+        const { A, B } = Physics.linearize(x0, [m * g, 0, 0, 0]);
+        const scale = [m, Ixx, Iyy, Izz];
+        const Bs = B.map(row => row.map((v, j) => v * scale[j]));
+        const { Ad, Bd } = LinAlg.c2d(A, Bs, dt);
+
+        const Q = LinAlg.zeros(12, 12);
+        [G.Q_pos_xy, G.Q_pos_xy, G.Q_pos_z, G.Q_vel_xy, G.Q_vel_xy, G.Q_vel_z,
+         G.Q_att, G.Q_att, G.Q_yaw, G.Q_rate, G.Q_rate, G.Q_rate].forEach((q, i) => { Q[i][i] = q; });
+        const R = LinAlg.zeros(4, 4);
+        [G.R_T, G.R_tau, G.R_tau, G.R_yaw].forEach((r, i) => { R[i][i] = Math.max(r, 1e-6); });
+
+        const X = LinAlg.dare(Ad, Bd, Q, R);
+        let K = null, poles = null;
+        if (X) {
+            const BtX = LinAlg.mul(LinAlg.transpose(Bd), X);
+            const S = LinAlg.add(R, LinAlg.mul(BtX, Bd));
+            const Sinv = LinAlg.inv(S);
+            if (Sinv) {
+                const Ks = LinAlg.mul(Sinv, LinAlg.mul(BtX, Ad));
+                K = Ks.map((row, i) => row.map(v => v * scale[i]));
+                poles = LinAlg.eigenvalues(LinAlg.sub(Ad, LinAlg.mul(Bd, Ks)));
+            }
+        }
+
+        // Closed-loop poles: z-plane and the equivalent s = ln(z)/dt
+        const eig = (poles || []).map(z => ({
+            z,
+            s: { re: Math.log(Math.hypot(z.re, z.im)) / dt, im: Math.atan2(z.im, z.re) / dt },
+        })).sort((a, b) => b.s.re - a.s.re || a.s.im - b.s.im);
+
+        st.lqrModel = { key, psi0, K, eig, ok: !!K };
+        return st.lqrModel;
+    }
+
+    function computeLQR(st, state, target, gains, dt) {
+        const { m, g } = MODEL;
+        const D = lqrDesign(st, gains, dt, state.psi);
+
+        // Tilt that gives the reference acceleration, and its rate
+        const a = accelRef(target), w = tiltRateRef(state, target);
+        const cpsi = Math.cos(state.psi), spsi = Math.sin(state.psi);
+        const phiRef   = (a.x * spsi - a.z * cpsi) / g;
+        const thetaRef = (a.x * cpsi + a.z * spsi) / g;
+
+        // State error in the physics frame (Z up), heading wrapped to ±π
+        const yaw = yawError(state, target);
+        const e = [
+            state.x - target.x, state.z - target.z, state.y - target.y,
+            state.vx - (target.vx || 0), state.vz - (target.vz || 0), state.vy - (target.vy || 0),
+            state.phi - phiRef, state.theta - thetaRef, -yaw.e,
+            state.p - w.p, state.q - w.q, -yaw.de,
+        ];
+
+        const du = D.K ? LinAlg.mulVec(D.K, e) : [0, 0, 0, 0];
+        const T = clamp(m * (g + a.y) - du[0], 0, m * g * 4);
+        const tau_phi = -du[1], tau_theta = -du[2], tau_psi = -du[3];
+
+        st.lqr = { eig: D.eig, ok: D.ok, psi0: D.psi0 };
+        st.s_x = target.x - state.x;
+        st.s_y = target.y - state.y;
+        st.s_z = target.z - state.z;
+        st.T = T; st.tau_phi = tau_phi;
+        st.tau_theta = tau_theta; st.tau_psi = tau_psi;
+
+        return [T, tau_phi, tau_theta, tau_psi];
+    }
+
+    // =====================================================================
+    //  7. GEOMETRIC TRACKING ON SE(3)
+    // =====================================================================
+    //
+    // Works on the rotation matrix throughout — no Euler angles, no small-
+    // angle conversion, and heading enters through the desired body axes:
+    //
+    //   f   = m(a_ref − k_x e_x − k_v e_v + g ê₃)       desired thrust vector
+    //   b₃d = f/‖f‖,  b₂d = b₃d × b₁c/‖·‖,  b₁d = b₂d × b₃d   (b₁c from ψ_ref)
+    //   T   = f · R ê₃
+    //   e_R = ½(R_dᵀR − RᵀR_d)^∨,   e_Ω = Ω − RᵀR_dΩ_d
+    //   τ   = J(−k_R e_R − k_Ω e_Ω) + Ω × JΩ
+    //
+    // The attitude gains are scaled by the inertia so they carry across
+    // airframes. The desired angular velocity R_dΩ_d (world frame) is the
+    // rate b₃d turns at under the reference jerk, b₃d × ḟ/‖f‖ with
+    // ḟ ≈ m j_ref, plus the heading turning about ê₃ at ψ̇_ref; its
+    // derivative (the snap term) is left out.
+    //
+    // Reference: Lee, Leok & McClamroch, "Geometric tracking control of a
+    // quadrotor UAV on SE(3)," CDC 2010
+
+    function cross(a, b) {
+        return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    }
+
+    function normalize(v) {
+        const n = Math.hypot(v[0], v[1], v[2]) || 1;
+        return [v[0] / n, v[1] / n, v[2] / n];
+    }
+
+    function computeSE3(st, state, target, gains, dt) {
+        const G = gains;
+        const { m, g, Ixx, Iyy, Izz } = MODEL;
+        const R = Physics.rotationMatrix(state);
+
+        // Desired thrust vector in the physics frame (Z up), tilt-limited
+        const ex = [state.x - target.x, state.z - target.z, state.y - target.y];
+        const ev = [state.vx - (target.vx || 0), state.vz - (target.vz || 0), state.vy - (target.vy || 0)];
+        const aRef = [target.ax || 0, target.az || 0, target.ay || 0];
+        const f = [0, 1, 2].map(i => m * (aRef[i] - G.k_x * ex[i] - G.k_v * ev[i]));
+        f[2] = Math.max(f[2] + m * g, 0.1 * m * g);
+        const fh = Math.hypot(f[0], f[1]);
+        const fhMax = f[2] * Math.tan(G.tiltMax);
+        if (fh > fhMax) { f[0] *= fhMax / fh; f[1] *= fhMax / fh; }
+
+        // Desired rotation R_d = [b₁d b₂d b₃d]
+        const psiD = target.yaw || 0;
+        const b3d = normalize(f);
+        const b2d = normalize(cross(b3d, [Math.cos(psiD), Math.sin(psiD), 0]));
+        const b1d = cross(b2d, b3d);
+        const Rd = [0, 1, 2].map(i => [b1d[i], b2d[i], b3d[i]]);
+
+        const T = clamp(f[0] * R[0][2] + f[1] * R[1][2] + f[2] * R[2][2], 0, m * g * 4);
+
+        // e_R = ½(R_dᵀR − RᵀR_d)^∨
+        const E = LinAlg.mul(LinAlg.transpose(Rd), R);
+        const eR = [0.5 * (E[2][1] - E[1][2]), 0.5 * (E[0][2] - E[2][0]), 0.5 * (E[1][0] - E[0][1])];
+        // e_Ω = Ω − RᵀR_dΩ_d: thrust axis following the jerk, heading
+        // turning about Z at ψ̇_d
+        const Omega = [state.p, state.q, state.r];
+        const wTilt = thrustAxisRate(R, f, [target.jx || 0, target.jz || 0, target.jy || 0]);
+        const eOmega = [0, 1, 2].map(i => Omega[i] - wTilt[i] - R[2][i] * (target.yawRate || 0));
+
+        const J = [Ixx, Iyy, Izz];
+        const Jw = [Ixx * state.p, Iyy * state.q, Izz * state.r];
+        const gyro = cross(Omega, Jw);
+        const tau = [0, 1, 2].map(i => J[i] * (-G.k_R * eR[i] - G.k_Omega * eOmega[i]) + gyro[i]);
+
+        // Attitude error function Ψ = ½ tr(I − R_dᵀR), 0 … 2
+        st.attErr = 0.5 * (3 - E[0][0] - E[1][1] - E[2][2]);
+        st.s_x = target.x - state.x;
+        st.s_y = target.y - state.y;
+        st.s_z = target.z - state.z;
+        st.s_phi = eR[0]; st.s_theta = eR[1];
+        st.T = T; st.tau_phi = tau[0];
+        st.tau_theta = tau[1]; st.tau_psi = tau[2];
+
+        return [T, tau[0], tau[1], tau[2]];
+    }
+
+    // =====================================================================
+    //  8. ACTIVE DISTURBANCE REJECTION (ADRC)
+    // =====================================================================
+    //
+    // Every translational axis is treated as v̇ = u + d, where u is the
+    // acceleration the thrust vector gives at the current attitude and d
+    // lumps everything else — wind, drag, model mismatch. A linear extended
+    // state observer estimates [p, v, d] from position alone,
+    //
+    //   ż = A z + B u + L(p − z₁),   L = [3ω_o, 3ω_o², ω_o³]
+    //
+    // (discretized exactly at the controller step), and the control law
+    // cancels the estimate:
+    //
+    //   u = a_ref + ω_c²(p_ref − z₁) + 2ω_c(v_ref − z₂) − z₃
+    //
+    // The attitude loop is an inertia-scaled PD. m·z₃ is the estimated
+    // disturbance force, plotted against the wind force the plant applies.
+    //
+    // Reference: Gao, "Scaling and bandwidth-parameterization based
+    // controller tuning," ACC 2003
+
+    // Discretized observer for one axis, kept with that axis's observer
+    // state and redone when ω_o or the step changes
+    function esoModel(o, wo, dt) {
+        const key = wo + ',' + dt;
+        if (o.model && o.model.key === key) return o.model;
+        const L = [3 * wo, 3 * wo * wo, wo * wo * wo];
+        // A − LC with inputs [u, p]
+        const F = [[-L[0], 1, 0], [-L[1], 0, 1], [-L[2], 0, 0]];
+        const B = [[0, L[0]], [1, L[1]], [0, L[2]]];
+        o.model = { key, ...LinAlg.c2d(F, B, dt) };
+        return o.model;
+    }
+
+    function computeADRC(st, state, target, gains, dt) {
+        const G = gains;
+        const { m, g, Ixx, Iyy, Izz } = MODEL;
+
+        const eso = st.eso || (st.eso = { T: m * g });
+        const acc = {};
+        for (const ax in AXES) {
+            const vert = ax === 'y';
+            const wc = vert ? G.wc_z : G.wc_xy;
+            const o = eso[ax] || (eso[ax] = { z: [state[ax], state[AXES[ax]], 0], u: 0 });
+
+            // Observer update with last step's input and this position
+            const { Ad, Bd } = esoModel(o, vert ? G.wo_z : G.wo_xy, dt);
+            const zn = LinAlg.mulVec(Ad, o.z);
+            for (let i = 0; i < 3; i++) zn[i] += Bd[i][0] * o.u + Bd[i][1] * state[ax];
+            o.z = zn;
+
+            acc[ax] = (target['a' + ax] || 0) + wc * wc * (target[ax] - zn[0])
+                    + 2 * wc * ((target[AXES[ax]] || 0) - zn[1]) - zn[2];
+        }
+
+        // Keep the command flyable: vertical no lower than −g/2 (the rotors
+        // keep enough thrust for attitude control), horizontal within the
+        // tilt limit
+        const ay_des = clamp(acc.y, -0.5 * g, 2 * g);
+        const aH = (g + ay_des) * Math.tan(G.tiltMax);
+        const hScale = Math.min(1, aH / Math.max(Math.hypot(acc.x, acc.z), 1e-9));
+        const ax_des = acc.x * hScale, az_des = acc.z * hScale;
+
+        // Thrust & attitude extraction
+        const { T, phi_des, theta_des } = thrustAndTilt(state, ax_des, ay_des, az_des);
+
+        // The observer's input is the acceleration the thrust gives at the
+        // current attitude (R·e₃, physics frame), with the thrust passed
+        // through the nominal motor lag, so neither the attitude loop nor
+        // the motors' spin-up end up in the disturbance estimate
+        eso.T += (T - eso.T) * (1 - Math.exp(-dt / MODEL.tauM));
+        const R = Physics.rotationMatrix(state);
+        eso.x.u = eso.T * R[0][2] / m;
+        eso.y.u = eso.T * R[2][2] / m - g;
+        eso.z.u = eso.T * R[1][2] / m;
+
+        // Inertia-scaled attitude PD
+        const w = G.wc_att, kp = w * w, kd = 2 * w;
+        const yaw = yawError(state, target);
+        const wr = tiltRateRef(state, target);
+        const tau_phi   = Ixx * (kp * (phi_des - state.phi)     + kd * (wr.p - state.p));
+        const tau_theta = Iyy * (kp * (theta_des - state.theta) + kd * (wr.q - state.q));
+        const tau_psi   = Izz * (kp * yaw.e                     + kd * yaw.de);
+
+        st.dist = { x: m * eso.x.z[2], y: m * eso.y.z[2], z: m * eso.z.z[2] };
+        st.s_x = target.x - state.x;
+        st.s_y = target.y - state.y;
+        st.s_z = target.z - state.z;
+        st.T = T; st.tau_phi = tau_phi;
+        st.tau_theta = tau_theta; st.tau_psi = tau_psi;
+
+        return [T, tau_phi, tau_theta, tau_psi];
+    }
+
+    // =====================================================================
+    //  SLIDING-MODE VARIANTS — shared extraction and attitude loop
+    // =====================================================================
+    //
+    // Sections 9–11 differ only in the translational surface and reaching
+    // law. All three add the reference acceleration to it, hand the result
+    // to thrustAndTilt like the cascades above and close attitude with a
+    // linear-surface SMC whose torques are scaled by the inertia.
+
+    function smcAttitude(st, state, phi_des, theta_des, target, G) {
+        const { Ixx, Iyy, Izz } = MODEL;
+        const yaw = yawError(state, target);
+        const w = tiltRateRef(state, target);
+        const s_phi   = (w.p - state.p) + G.lambda_att * (phi_des - state.phi);
+        const s_theta = (w.q - state.q) + G.lambda_att * (theta_des - state.theta);
+        const s_psi   = yaw.de + G.lambda_att * yaw.e;
+        st.s_phi = s_phi; st.s_theta = s_theta;
+
+        return [
+            Ixx * (G.lambda_att * (w.p - state.p) + G.eta_att * sat(s_phi, G.phi_att)),
+            Iyy * (G.lambda_att * (w.q - state.q) + G.eta_att * sat(s_theta, G.phi_att)),
+            Izz * (G.lambda_att * yaw.de     + G.eta_att * sat(s_psi, G.phi_att)),
+        ];
+    }
+
+    function finishSMC(st, state, target, acc, G) {
+        const { T, phi_des, theta_des } = thrustAndTilt(state, acc.x, acc.y, acc.z);
+        const [tau_phi, tau_theta, tau_psi] = smcAttitude(st, state, phi_des, theta_des, target, G);
+
+        st.T = T; st.tau_phi = tau_phi;
+        st.tau_theta = tau_theta; st.tau_psi = tau_psi;
+
+        return [T, tau_phi, tau_theta, tau_psi];
+    }
+
+    // =====================================================================
+    //  9. NONSINGULAR TERMINAL SMC
+    // =====================================================================
+    //
+    // Terminal surface on each axis (Feng, Yu & Man), 1 < γ < 2:
+    //
+    //   s = e + |ė|^γ sign(ė) / β
+    //
+    // On s = 0, ė = −(β|e|)^(1/γ) sign(e), which reaches e = 0 in finite
+    // time instead of decaying exponentially. The equivalent control
+    //
+    //   a = r̈ + (β/γ) |ė|^(2−γ) sign(ė) + η sat(s/φ)
+    //
+    // has a positive exponent on |ė|, so unlike the original terminal
+    // surface s = ė + β|e|^(1/γ) it never divides by a vanishing error.
+    // The reaching law gives ṡ = −(γ/β)|ė|^(γ−1) η sat(s/φ).
+    function computeNTSMC(st, state, target, gains, dt) {
+        const G = gains;
+        const gam = G.gamma;
+
+        const acc = {}, s = {};
+        for (const ax in AXES) {
+            const xy = ax !== 'y';
+            const beta = xy ? G.beta_xy : G.beta_z;
+            const e  = target[ax] - state[ax];
+            const ed = (target[AXES[ax]] || 0) - state[AXES[ax]];
+
+            s[ax] = e + Math.pow(Math.abs(ed), gam) * sign(ed) / beta;
+            acc[ax] = (target['a' + ax] || 0) + beta / gam * Math.pow(Math.abs(ed), 2 - gam) * sign(ed)
+                    + (xy ? G.eta_xy : G.eta_z) * sat(s[ax], xy ? G.phi_xy : G.phi_z);
+        }
+        st.s_x = s.x; st.s_y = s.y; st.s_z = s.z;
+
+        return finishSMC(st, state, target, acc, G);
+    }
+
+    // =====================================================================
+    //  10. INTEGRAL SMC
+    // =====================================================================
+    //
+    // Utkin & Shi: a nominal PD u₀ = K_p e + K_d ė is given the loop it
+    // would have without disturbances, and the surface measures the
+    // departure from it,
+    //
+    //   s = ė − ė(0) + ∫₀ᵗ u₀ dτ,      a = r̈ + u₀ + η sat(s/φ)
+    //
+    // s(0) = 0 by construction, so the state starts on the surface — there
+    // is no reaching phase — and ṡ = −η sat(s/φ) + d keeps it there
+    // against any matched disturbance |d| < η.
+    function computeISMC(st, state, target, gains, dt) {
+        const G = gains;
+        const ism = st.ism || (st.ism = {});
+
+        const acc = {}, s = {};
+        for (const ax in AXES) {
+            const xy = ax !== 'y';
+            const e  = target[ax] - state[ax];
+            const ed = (target[AXES[ax]] || 0) - state[AXES[ax]];
+            const o = ism[ax] || (ism[ax] = { ed0: ed, integral: 0 });
+
+            const u0 = (xy ? G.Kp_xy : G.Kp_z) * e + (xy ? G.Kd_xy : G.Kd_z) * ed;
+            s[ax] = ed - o.ed0 + o.integral;
+            o.integral += u0 * dt;
+
+            acc[ax] = (target['a' + ax] || 0) + u0 + (xy ? G.eta_xy : G.eta_z) * sat(s[ax], xy ? G.phi_xy : G.phi_z);
+        }
+        st.s_x = s.x; st.s_y = s.y; st.s_z = s.z;
+
+        return finishSMC(st, state, target, acc, G);
+    }
+
+    // =====================================================================
+    //  11. ADAPTIVE-GAIN SUPER-TWISTING SMC
+    // =====================================================================
+    //
+    // The super-twisting law of section 3 on s = ė + λe, with the gains
+    // adapted on-line (after Shtessel, Taleb & Plestan): α₁ grows at rate ω
+    // while the state is off the surface (|s| > μ) and decays once it is
+    // sliding, so it settles near the smallest value that holds the
+    // disturbance:
+    //
+    //   α̇₁ = ω sign(|s| − μ),   α₁ ∈ [α_min, α_max],   α₂ = ε α₁
+    //
+    //   a = r̈ + α₁ |s|^½ sign(s) + v,   v̇ = α₂ sign(s)
+    //
+    // α₁ ≥ 4ε keeps α₁² ≥ 4α₂, the usual super-twisting gain condition, so
+    // the lower bound is raised to 4ε whatever α_min is set to.
+    function computeASTS(st, state, target, gains, dt) {
+        const G = gains;
+        const asts = st.asts || (st.asts = {});
+        const aMin = Math.max(G.alpha_min, 4 * G.epsilon);
+        const aMax = Math.max(G.alpha_max, aMin);
+
+        const acc = {}, s = {};
+        for (const ax in AXES) {
+            const xy = ax !== 'y';
+            const e  = target[ax] - state[ax];
+            const ed = (target[AXES[ax]] || 0) - state[AXES[ax]];
+            const o = asts[ax] || (asts[ax] = { alpha1: aMin, v: 0 });
+
+            s[ax] = ed + (xy ? G.lambda_xy : G.lambda_z) * e;
+            const omega = xy ? G.omega_xy : G.omega_z;
+            o.alpha1 = clamp(o.alpha1 + omega * sign(Math.abs(s[ax]) - G.mu) * dt, aMin, aMax);
+            o.v += G.epsilon * o.alpha1 * sign(s[ax]) * dt;
+
+            acc[ax] = (target['a' + ax] || 0) + o.alpha1 * Math.sqrt(Math.abs(s[ax])) * sign(s[ax]) + o.v;
+        }
+        st.s_x = s.x; st.s_y = s.y; st.s_z = s.z;
+
+        return finishSMC(st, state, target, acc, G);
+    }
+
+    // =====================================================================
+    //  12. BACKSTEPPING
+    // =====================================================================
+    //
+    // Integrator backstepping on every double-integrator chain (Bouabdallah
+    // & Siegwart), translation first. For an axis with error z₁ = r − x:
+    //
+    //   virtual rate  α = ṙ + c₁z₁,      z₂ = α − ẋ = ż₁ + c₁z₁
+    //   control       ẍ = r̈ + z₁ + c₁(z₂ − c₁z₁) + c₂z₂
+    //
+    // which gives ż₁ = z₂ − c₁z₁, ż₂ = −z₁ − c₂z₂ and, for
+    // V = ½(z₁² + z₂²),  V̇ = −c₁z₁² − c₂z₂² ≤ 0. The translational law sets
+    // the acceleration; roll/pitch/yaw follow with the same step on the
+    // small-angle model φ̈ ≈ ṗ = (τ_φ + (I_yy − I_zz)qr)/I_xx, the
+    // gyroscopic term cancelled. r̈ is the reference acceleration; on the
+    // attitude chains ṙ is the tilt rate the jerk gives and r̈ (the snap
+    // term) is taken as zero.
+    //
+    // V is summed over all six chains. st.lyap holds V, the rate
+    // measured from successive V (what the loop actually does, with lag,
+    // saturation and disturbance) and the designed V̇ = −Σ(c₁z₁² + c₂z₂²).
+    function backstep(z1, z1dot, c1, c2, rddot = 0) {
+        const z2 = z1dot + c1 * z1;
+        return {
+            u: rddot + z1 + c1 * (z2 - c1 * z1) + c2 * z2,
+            V: 0.5 * (z1 * z1 + z2 * z2),
+            Vdot: -c1 * z1 * z1 - c2 * z2 * z2,
+        };
+    }
+
+    function computeBS(st, state, target, gains, dt) {
+        const G = gains;
+        const { Ixx, Iyy, Izz } = MODEL;
+        let V = 0, Vdot = 0;
+
+        const acc = {};
+        for (const ax in AXES) {
+            const xy = ax !== 'y';
+            const b = backstep(target[ax] - state[ax], (target[AXES[ax]] || 0) - state[AXES[ax]],
+                               xy ? G.c1_xy : G.c1_z, xy ? G.c2_xy : G.c2_z, target['a' + ax] || 0);
+            acc[ax] = b.u;
+            V += b.V; Vdot += b.Vdot;
+        }
+
+        const { T, phi_des, theta_des } = thrustAndTilt(state, acc.x, acc.y, acc.z);
+        const ePsi = yawError(state, target);
+        const w = tiltRateRef(state, target);
+        const roll  = backstep(phi_des - state.phi, w.p - state.p, G.c1_att, G.c2_att);
+        const pitch = backstep(theta_des - state.theta, w.q - state.q, G.c1_att, G.c2_att);
+        const yaw   = backstep(ePsi.e, ePsi.de, G.c1_yaw, G.c2_yaw);
+        [roll, pitch, yaw].forEach(b => { V += b.V; Vdot += b.Vdot; });
+
+        const tau_phi   = Ixx * roll.u  - (Iyy - Izz) * state.q * state.r;
+        const tau_theta = Iyy * pitch.u - (Izz - Ixx) * state.p * state.r;
+        const tau_psi   = Izz * yaw.u   - (Ixx - Iyy) * state.p * state.q;
+
+        const prev = st.lyap;
+        st.lyap = { V, Vdot: prev ? (V - prev.V) / dt : 0, VdotDesign: Vdot };
+        st.s_x = target.x - state.x;
+        st.s_y = target.y - state.y;
+        st.s_z = target.z - state.z;
+        st.T = T; st.tau_phi = tau_phi;
+        st.tau_theta = tau_theta; st.tau_psi = tau_psi;
+
+        return [T, tau_phi, tau_theta, tau_psi];
+    }
+
+    // =====================================================================
+    //  BUILT-IN CONTROLLERS
+    // =====================================================================
+    // Registered in selector order.
+
+    // Error-chart lines shared by the sliding-mode family
+    const SURFACE_CHART = {
+        series: { label: 'Sliding Surface S_z', value: st => st.s_z },
+        extras: [
+            { label: 'S_x', value: st => st.s_x, color: '#ff4466' },
+            { label: 'S_y (altitude)', value: st => st.s_y, color: '#44ff66' },
+        ],
+    };
+
+    /**
+     * LQR closed-loop poles as continuous-time equivalents s = ln(z)/Δt,
+     * complex pairs shown once
+     */
+    function formatPoles(lqr) {
+        if (!lqr.ok) return '<em>Riccati solution failed — check the weights</em>';
+        const terms = lqr.eig
+            .filter(e => e.z.im >= 0)
+            .map(e => e.z.im > 0
+                ? `${e.s.re.toFixed(2)} ± ${e.s.im.toFixed(2)}j`
+                : e.s.re.toFixed(2));
+        const rho = Math.max(...lqr.eig.map(e => Math.hypot(e.z.re, e.z.im)));
+        return `Closed-loop poles [1/s]: ${terms.join(', ')}<br>max |z| = ${rho.toFixed(4)}`;
+    }
+
+    register({
+        id: 'PID',
+        name: 'Cascaded PID (Proportional-Integral-Derivative)',
+        gains: {
+            // Position PD gains
+            Kp_xy: 4.0,   Ki_xy: 0.2,  Kd_xy: 3.0,
+            Kp_z:  8.0,   Ki_z:  0.5,  Kd_z:  5.0,
+            // Attitude PD gains
+            Kp_att: 12.0,  Kd_att: 4.0,
+            Kp_yaw: 3.0,   Kd_yaw: 1.5,
+            // Integral windup limit
+            iMax: 2.0,
+        },
+        gainDefs: [
+            { key: 'Kp_xy', label: 'Kp (XZ position)', min: 0, max: 20, step: 0.1, tooltip: 'Proportional gain — position loop (horizontal)' },
+            { key: 'Ki_xy', label: 'Ki (XZ integral)', min: 0, max: 2, step: 0.01, decimals: 2, tooltip: 'Integral gain — eliminates steady-state error' },
+            { key: 'Kd_xy', label: 'Kd (XZ derivative)', min: 0, max: 15, step: 0.1, tooltip: 'Derivative gain — damping for horizontal axes' },
+            { key: 'Kp_z', label: 'Kp (altitude)', min: 0, max: 30, step: 0.1, tooltip: 'Proportional gain — altitude loop' },
+            { key: 'Ki_z', label: 'Ki (altitude)', min: 0, max: 3, step: 0.01, decimals: 2, tooltip: 'Integral gain — altitude steady-state error' },
+            { key: 'Kd_z', label: 'Kd (altitude)', min: 0, max: 15, step: 0.1, tooltip: 'Derivative gain — altitude damping' },
+            { key: 'Kp_att', label: 'Kp (attitude)', min: 0, max: 30, step: 0.5, tooltip: 'Attitude proportional gain — inner loop' },
+            { key: 'Kd_att', label: 'Kd (attitude)', min: 0, max: 15, step: 0.1, tooltip: 'Attitude derivative gain' },
+            { key: 'Kp_yaw', label: 'Kp (heading)', min: 0, max: 10, step: 0.1, tooltip: 'Heading error → yaw torque' },
+            { key: 'Kd_yaw', label: 'Kd (yaw rate)', min: 0, max: 5, step: 0.1, tooltip: 'Yaw-rate error → yaw torque' },
+        ],
+        description: `<strong>Cascaded PID Controller</strong><br>
+            Classical proportional-integral-derivative control with cascaded position/attitude loops. 
+            The outer PD loop generates desired roll/pitch angles from position error; the inner PD loop 
+            tracks these angles to produce torque commands. Integral action eliminates steady-state error 
+            but may cause wind-up under saturation.<br>
+            <em>Strengths:</em> Simple tuning, well-understood stability margins<br>
+            <em>Weaknesses:</em> Linear — no robustness guarantees against model uncertainty`,
+        create: () => instance(computePID, { iEx: 0, iEy: 0, iEz: 0 }),
+        chart: {
+            series: { label: 'Altitude integral ∫e_y', value: st => st.iEy },
+        },
+    });
+
+    register({
+        id: 'SMC',
+        name: 'Sliding Mode Control (Standard)',
+        gains: {
+            // Sliding surface slope
+            lambda_xy: 2.5,  lambda_z: 3.0,
+            // Switching gain (η)
+            eta_xy: 3.0,     eta_z: 5.0,
+            // Boundary layer thickness (φ) — 0 = pure signum
+            phi_xy: 0.0,     phi_z: 0.0,
+            // Attitude (linear surface, boundary layer) — stiff enough to
+            // follow the tilt the reference acceleration asks for
+            lambda_att: 8.0, eta_att: 40.0,
+            phi_att: 0.5,
+        },
+        gainDefs: [
+            { key: 'lambda_xy', label: 'λ (XZ surface slope)', min: 0.1, max: 10, step: 0.1, tooltip: 'Sliding surface slope — determines convergence rate on the surface' },
+            { key: 'lambda_z', label: 'λ (altitude slope)', min: 0.1, max: 10, step: 0.1, tooltip: 'Altitude sliding surface slope' },
+            { key: 'eta_xy', label: 'η (XZ switching gain)', min: 0.1, max: 15, step: 0.1, tooltip: 'Switching gain — must exceed matched uncertainty bound' },
+            { key: 'eta_z', label: 'η (altitude switching)', min: 0.1, max: 15, step: 0.1, tooltip: 'Altitude switching gain' },
+            { key: 'phi_xy', label: 'φ (XZ boundary layer)', min: 0, max: 2, step: 0.01, decimals: 2, tooltip: 'Boundary layer thickness — 0 = pure sign(), >0 = sat() for chattering reduction' },
+            { key: 'phi_z', label: 'φ (altitude boundary)', min: 0, max: 2, step: 0.01, decimals: 2, tooltip: 'Altitude boundary layer' },
+            { key: 'lambda_att', label: 'λ (attitude)', min: 1, max: 20, step: 0.5, tooltip: 'Attitude sliding surface slope' },
+            { key: 'eta_att', label: 'η (attitude switching)', min: 1, max: 100, step: 1, decimals: 0, tooltip: 'Attitude switching gain [rad/s²]' },
+            { key: 'phi_att', label: 'φ (attitude boundary)', min: 0, max: 2, step: 0.05, decimals: 2, tooltip: 'Attitude boundary layer' },
+        ],
+        description: `<strong>Sliding Mode Controller</strong><br>
+            Defines a sliding surface <code>s = ė + λe</code> in the error state space. The discontinuous 
+            control law <code>u = u_eq + η·sign(s)</code> drives the state to the surface in finite time, 
+            then constrains it there (sliding phase). Invariant to matched uncertainties once on the surface.<br>
+            <em>Strengths:</em> Robust to bounded disturbances and model mismatch<br>
+            <em>Weaknesses:</em> Chattering from high-frequency switching (set φ > 0 for boundary layer)`,
+        create: () => instance(computeSMC),
+        chart: SURFACE_CHART,
+    });
+
+    register({
+        id: 'STS',
+        name: 'Super-Twisting SMC (2nd Order)',
+        gains: {
+            // Super-twisting gains: ẋ = −α₁|s|^½ sign(s) + v,  v̇ = −α₂ sign(s)
+            lambda_xy: 2.5,  lambda_z: 3.0,
+            alpha1_xy: 5.0,  alpha2_xy: 3.0,
+            alpha1_z: 8.0,   alpha2_z: 5.0,
+            // Attitude
+            lambda_att: 4.0,
+            alpha1_att: 40.0, alpha2_att: 20.0,
+        },
+        gainDefs: [
+            { key: 'lambda_xy', label: 'λ (XZ surface slope)', min: 0.1, max: 10, step: 0.1, tooltip: 'Sliding surface slope parameter' },
+            { key: 'lambda_z', label: 'λ (altitude slope)', min: 0.1, max: 10, step: 0.1 },
+            { key: 'alpha1_xy', label: 'α₁ (XZ)', min: 0.1, max: 20, step: 0.1, tooltip: 'Super-twisting gain — proportional to |s|^(1/2)' },
+            { key: 'alpha2_xy', label: 'α₂ (XZ)', min: 0.1, max: 15, step: 0.1, tooltip: 'Super-twisting integral gain — drives s to zero' },
+            { key: 'alpha1_z', label: 'α₁ (altitude)', min: 0.1, max: 20, step: 0.1, tooltip: 'Altitude super-twisting gain' },
+            { key: 'alpha2_z', label: 'α₂ (altitude)', min: 0.1, max: 15, step: 0.1, tooltip: 'Altitude integral gain' },
+            { key: 'lambda_att', label: 'λ (attitude)', min: 1, max: 20, step: 0.5 },
+            { key: 'alpha1_att', label: 'α₁ (attitude)', min: 1, max: 100, step: 0.5 },
+            { key: 'alpha2_att', label: 'α₂ (attitude)', min: 0.5, max: 60, step: 0.5, tooltip: 'Attitude integral gain' },
+        ],
+        description: `<strong>Super-Twisting SMC</strong><br>
+            A second-order sliding mode algorithm that achieves finite-time convergence to s = 0 without 
+            requiring the sign function in the control signal. The control law 
+            <code>u = −α₁|s|^½ sign(s) + v, v̇ = −α₂sign(s)</code> provides continuous control while 
+            maintaining robustness. The integral term v builds up to compensate for constant disturbances.<br>
+            <em>Strengths:</em> Chattering-free, robust, continuous control signal<br>
+            <em>Weaknesses:</em> Slower convergence than standard SMC, requires careful gain tuning (α₁² ≥ 4α₂)`,
+        create: () => instance(computeSTS, { v_x: 0, v_y: 0, v_z: 0, v_phi: 0, v_theta: 0, v_psi: 0 }),
+        chart: SURFACE_CHART,
+    });
+
+    register({
+        id: 'NTSMC',
+        name: 'Nonsingular Terminal SMC',
+        gains: {
+            // Terminal surface s = e + |ė|^γ sign(ė) / β,  γ = p/q ∈ (1, 2)
+            beta_xy: 2.0,  beta_z: 3.0,
+            gamma: 1.5,
+            // Switching gain (η) and boundary layer (φ) [m]
+            eta_xy: 3.0,   eta_z: 5.0,
+            phi_xy: 0.3,   phi_z: 0.3,
+            // Attitude (linear surface, boundary layer)
+            lambda_att: 8.0, eta_att: 40.0,
+            phi_att: 0.5,
+        },
+        gainDefs: [
+            { key: 'beta_xy', label: 'β (XZ surface)', min: 0.1, max: 10, step: 0.1, tooltip: 'Terminal surface gain — larger converges faster on the surface' },
+            { key: 'beta_z', label: 'β (altitude surface)', min: 0.1, max: 10, step: 0.1, tooltip: 'Altitude terminal surface gain' },
+            { key: 'gamma', label: 'γ = p/q', min: 1.05, max: 1.95, step: 0.05, decimals: 2, tooltip: 'Velocity exponent on the surface, 1 < γ < 2 — closer to 1 is closer to a linear surface' },
+            { key: 'eta_xy', label: 'η (XZ switching gain)', min: 0.1, max: 15, step: 0.1, tooltip: 'Switching gain — must exceed matched uncertainty bound' },
+            { key: 'eta_z', label: 'η (altitude switching)', min: 0.1, max: 15, step: 0.1, tooltip: 'Altitude switching gain' },
+            { key: 'phi_xy', label: 'φ (XZ boundary layer)', min: 0, max: 2, step: 0.01, decimals: 2, tooltip: 'Boundary layer thickness [m] — 0 = pure sign()' },
+            { key: 'phi_z', label: 'φ (altitude boundary)', min: 0, max: 2, step: 0.01, decimals: 2, tooltip: 'Altitude boundary layer [m]' },
+            { key: 'lambda_att', label: 'λ (attitude)', min: 1, max: 20, step: 0.5, tooltip: 'Attitude sliding surface slope' },
+            { key: 'eta_att', label: 'η (attitude switching)', min: 1, max: 100, step: 1, decimals: 0, tooltip: 'Attitude switching gain [rad/s²]' },
+            { key: 'phi_att', label: 'φ (attitude boundary)', min: 0, max: 2, step: 0.05, decimals: 2, tooltip: 'Attitude boundary layer' },
+        ],
+        description: `<strong>Nonsingular Terminal SMC</strong><br>
+            Replaces the linear surface with <code>s = e + |ė|^γ sign(ė) / β</code>, 1 &lt; γ &lt; 2. On the surface 
+            the error reaches zero in finite time rather than decaying exponentially. The control 
+            <code>a = (β/γ)|ė|^(2−γ) sign(ė) + η·sat(s/φ)</code> has only positive powers of the error, so it stays 
+            bounded where the classical terminal surface divides by zero.<br>
+            <em>Strengths:</em> Finite-time convergence, stiffer near the target than a linear surface<br>
+            <em>Weaknesses:</em> Still has a reaching phase; γ and β interact in the transient`,
+        create: () => instance(computeNTSMC),
+        chart: SURFACE_CHART,
+    });
+
+    register({
+        id: 'ISMC',
+        name: 'Integral SMC',
+        gains: {
+            // Nominal PD the integral surface holds the loop to
+            Kp_xy: 4.0,   Kd_xy: 3.0,
+            Kp_z:  8.0,   Kd_z:  5.0,
+            // Switching gain (η) and boundary layer (φ) [m/s]
+            eta_xy: 3.0,  eta_z: 5.0,
+            phi_xy: 0.2,  phi_z: 0.2,
+            // Attitude (linear surface, boundary layer)
+            lambda_att: 8.0, eta_att: 40.0,
+            phi_att: 0.5,
+        },
+        gainDefs: [
+            { key: 'Kp_xy', label: 'Kp (XZ nominal)', min: 0, max: 15, step: 0.1, tooltip: 'Nominal PD the surface holds the loop to — horizontal stiffness' },
+            { key: 'Kd_xy', label: 'Kd (XZ nominal)', min: 0, max: 15, step: 0.1, tooltip: 'Nominal horizontal damping' },
+            { key: 'Kp_z', label: 'Kp (altitude nominal)', min: 0, max: 30, step: 0.1, tooltip: 'Nominal altitude stiffness' },
+            { key: 'Kd_z', label: 'Kd (altitude nominal)', min: 0, max: 15, step: 0.1, tooltip: 'Nominal altitude damping' },
+            { key: 'eta_xy', label: 'η (XZ switching gain)', min: 0.1, max: 15, step: 0.1, tooltip: 'Switching gain — bound on the disturbance it rejects [m/s²]' },
+            { key: 'eta_z', label: 'η (altitude switching)', min: 0.1, max: 15, step: 0.1, tooltip: 'Altitude switching gain' },
+            { key: 'phi_xy', label: 'φ (XZ boundary layer)', min: 0, max: 2, step: 0.01, decimals: 2, tooltip: 'Boundary layer thickness [m/s] — 0 = pure sign()' },
+            { key: 'phi_z', label: 'φ (altitude boundary)', min: 0, max: 2, step: 0.01, decimals: 2, tooltip: 'Altitude boundary layer [m/s]' },
+            { key: 'lambda_att', label: 'λ (attitude)', min: 1, max: 20, step: 0.5, tooltip: 'Attitude sliding surface slope' },
+            { key: 'eta_att', label: 'η (attitude switching)', min: 1, max: 100, step: 1, decimals: 0, tooltip: 'Attitude switching gain [rad/s²]' },
+            { key: 'phi_att', label: 'φ (attitude boundary)', min: 0, max: 2, step: 0.05, decimals: 2, tooltip: 'Attitude boundary layer' },
+        ],
+        description: `<strong>Integral Sliding Mode Control</strong><br>
+            A nominal PD <code>u₀ = K_p e + K_d ė</code> sets the desired closed loop, and the surface 
+            <code>s = ė − ė(0) + ∫u₀ dt</code> measures the departure from it. Since <code>s(0) = 0</code> the state 
+            starts on the surface — there is no reaching phase — and <code>a = u₀ + η·sat(s/φ)</code> keeps it there 
+            against any matched disturbance smaller than η. All three surfaces are plotted on the error chart.<br>
+            <em>Strengths:</em> Nominal-PD response with sliding-mode robustness from t = 0<br>
+            <em>Weaknesses:</em> The integral carries history — actuator saturation leaves a surface offset to unwind`,
+        create: () => instance(computeISMC),
+        chart: SURFACE_CHART,
+    });
+
+    register({
+        id: 'ASTS',
+        name: 'Adaptive Super-Twisting SMC',
+        gains: {
+            // Sliding surface slope
+            lambda_xy: 2.5,  lambda_z: 3.0,
+            // α₁ adaptation rate [1/s], sliding band μ [m/s], α₁ range
+            omega_xy: 2.0,   omega_z: 3.0,
+            mu: 0.2,
+            alpha_min: 2.5,  alpha_max: 6.0,
+            // α₂ = ε·α₁
+            epsilon: 0.6,
+            // Attitude (linear surface, boundary layer)
+            lambda_att: 8.0, eta_att: 40.0,
+            phi_att: 0.5,
+        },
+        gainDefs: [
+            { key: 'lambda_xy', label: 'λ (XZ surface slope)', min: 0.1, max: 10, step: 0.1, tooltip: 'Sliding surface slope parameter' },
+            { key: 'lambda_z', label: 'λ (altitude slope)', min: 0.1, max: 10, step: 0.1, tooltip: 'Altitude sliding surface slope' },
+            { key: 'omega_xy', label: 'ω (XZ adaptation)', min: 0, max: 20, step: 0.1, tooltip: 'Rate at which α₁ grows off the surface and decays on it [1/s]' },
+            { key: 'omega_z', label: 'ω (altitude adaptation)', min: 0, max: 20, step: 0.1, tooltip: 'Altitude adaptation rate [1/s]' },
+            { key: 'mu', label: 'μ (sliding band)', min: 0.01, max: 1, step: 0.01, decimals: 2, tooltip: 'α₁ decays while |s| < μ [m/s]' },
+            { key: 'alpha_min', label: 'α₁ min', min: 0.1, max: 10, step: 0.1, tooltip: 'Lower bound on α₁ — raised to 4ε when set below it' },
+            { key: 'alpha_max', label: 'α₁ max', min: 1, max: 30, step: 0.5, tooltip: 'Upper bound on α₁' },
+            { key: 'epsilon', label: 'ε (α₂ = ε·α₁)', min: 0.05, max: 2, step: 0.05, decimals: 2, tooltip: 'Ratio of the integral gain α₂ to α₁' },
+            { key: 'lambda_att', label: 'λ (attitude)', min: 1, max: 20, step: 0.5, tooltip: 'Attitude sliding surface slope' },
+            { key: 'eta_att', label: 'η (attitude switching)', min: 1, max: 100, step: 1, decimals: 0, tooltip: 'Attitude switching gain [rad/s²]' },
+            { key: 'phi_att', label: 'φ (attitude boundary)', min: 0, max: 2, step: 0.05, decimals: 2, tooltip: 'Attitude boundary layer' },
+        ],
+        description: `<strong>Adaptive-Gain Super-Twisting SMC</strong><br>
+            The super-twisting law <code>a = α₁|s|^½ sign(s) + v, v̇ = α₂ sign(s)</code> with gains adapted on-line: 
+            <code>α₁</code> grows at rate ω while <code>|s| &gt; μ</code> and decays once sliding, with 
+            <code>α₂ = ε·α₁</code>. The gains settle near the smallest values that hold the current disturbance; 
+            the error chart plots <code>α₁</code> on the right axis.<br>
+            <em>Strengths:</em> No disturbance bound needed in advance, low gains (and chattering) in calm conditions<br>
+            <em>Weaknesses:</em> Adaptation lags sudden disturbances; μ too small lets the gain pump up against the inner-loop lag`,
+        create: () => instance(computeASTS),
+        chart: {
+            ...SURFACE_CHART,
+            axis: 'Gain α₁',
+            extras: SURFACE_CHART.extras.concat([
+                { label: 'α₁ (XZ)', value: st => (st.asts && st.asts.x ? st.asts.x.alpha1 : 0), color: '#ffaa00', dash: true, right: true },
+                { label: 'α₁ (altitude)', value: st => (st.asts && st.asts.y ? st.asts.y.alpha1 : 0), color: '#44ff66', dash: true, right: true },
+            ]),
+        },
+    });
+
+    register({
+        id: 'BS',
+        name: 'Backstepping',
+        gains: {
+            // Position: c₁ on the tracking error, c₂ on the virtual-velocity error
+            c1_xy: 2.0,  c2_xy: 2.0,
+            c1_z:  3.0,  c2_z:  3.0,
+            // Roll/pitch and yaw, same structure
+            c1_att: 8.0, c2_att: 8.0,
+            c1_yaw: 4.0, c2_yaw: 4.0,
+        },
+        gainDefs: [
+            { key: 'c1_xy', label: 'c₁ (XZ position)', min: 0.1, max: 10, step: 0.1, tooltip: 'Gain on the position error — sets the virtual velocity' },
+            { key: 'c2_xy', label: 'c₂ (XZ velocity)', min: 0.1, max: 10, step: 0.1, tooltip: 'Gain on the virtual-velocity error' },
+            { key: 'c1_z', label: 'c₁ (altitude)', min: 0.1, max: 10, step: 0.1, tooltip: 'Gain on the altitude error' },
+            { key: 'c2_z', label: 'c₂ (climb rate)', min: 0.1, max: 10, step: 0.1, tooltip: 'Gain on the virtual climb-rate error' },
+            { key: 'c1_att', label: 'c₁ (roll/pitch)', min: 1, max: 30, step: 0.5, tooltip: 'Gain on the roll/pitch angle error' },
+            { key: 'c2_att', label: 'c₂ (roll/pitch rate)', min: 1, max: 30, step: 0.5, tooltip: 'Gain on the virtual body-rate error' },
+            { key: 'c1_yaw', label: 'c₁ (yaw)', min: 0.5, max: 20, step: 0.5, tooltip: 'Gain on the heading error' },
+            { key: 'c2_yaw', label: 'c₂ (yaw rate)', min: 0.5, max: 20, step: 0.5, tooltip: 'Gain on the virtual yaw-rate error' },
+        ],
+        description: `<strong>Backstepping</strong><br>
+            Each double-integrator chain — three position axes, then roll, pitch and yaw — is stabilized in two steps: 
+            the error <code>z₁</code> defines a virtual rate <code>α = ṙ + c₁z₁</code>, and the control drives 
+            <code>z₂ = α − ẋ</code> to zero so that <code>V = ½Σ(z₁² + z₂²)</code> falls with 
+            <code>V̇ = −Σ(c₁z₁² + c₂z₂²)</code>. The torques cancel the gyroscopic coupling. The error chart shows 
+            V and, on the right axis, its measured rate against the designed one — they part when saturation, 
+            motor lag or wind break the model.<br>
+            <em>Strengths:</em> Constructive Lyapunov proof, every gain has a clear meaning<br>
+            <em>Weaknesses:</em> Cancels the nominal model exactly — no integral action, sensitive to model error`,
+        create: () => instance(computeBS),
+        chart: {
+            series: { label: 'Lyapunov V', value: st => (st.lyap ? st.lyap.V : 0) },
+            axis: 'V̇',
+            extras: [
+                { label: 'V̇ (measured)', value: st => (st.lyap ? st.lyap.Vdot : 0), color: '#ffaa00', right: true },
+                { label: 'V̇ (design)', value: st => (st.lyap ? st.lyap.VdotDesign : 0), color: '#ffaa00', dash: true, right: true },
+            ],
+        },
+    });
+
+    register({
+        id: 'MPC',
+        name: 'Model Predictive Control (Receding Horizon)',
+        gains: {
+            // Horizon: N steps of Ts seconds
+            N: 15,        Ts: 0.05,
+            // State cost weights [pos, vel]
+            Q_pos: 8.0,  Q_vel: 2.0,
+            // Control effort weight
+            R: 0.1,
+            // Prediction model: acceleration lag of the inner loop [s]
+            tau_a: 0.1,
+            // Constraints: tilt limit [rad], speed limits [m/s]
+            tiltMax: 0.6,  vMax_xy: 8.0,  vMax_z: 3.0,
+            // Attitude PD (inner loop stays PD); heading gets its own, sized
+            // to the little yaw torque the rotors have. Kd is half PID's: at
+            // 120 Hz the optimizer's sharper tilt demands drive Kd = 4 into a
+            // saturating chatter that eats thrust
+            Kp_att: 12.0, Kd_att: 2.0,
+            Kp_yaw: 0.8,  Kd_yaw: 0.12,
+        },
+        gainDefs: [
+            { key: 'N', label: 'N (horizon steps)', min: 3, max: 30, step: 1, decimals: 0, tooltip: 'Prediction horizon length — longer = better anticipation, more computation' },
+            { key: 'Ts', label: 'Ts (prediction step)', min: 0.01, max: 0.2, step: 0.01, decimals: 2, tooltip: 'Time between horizon steps [s] — the horizon spans N·Ts' },
+            { key: 'Q_pos', label: 'Q (position weight)', min: 0.1, max: 30, step: 0.1, tooltip: 'State cost weight for position error' },
+            { key: 'Q_vel', label: 'Q (velocity weight)', min: 0.1, max: 10, step: 0.1, tooltip: 'State cost weight for velocity error' },
+            { key: 'R', label: 'R (control effort)', min: 0.01, max: 5, step: 0.01, decimals: 2, tooltip: 'Control effort penalty — higher = smoother but slower response' },
+            { key: 'tau_a', label: 'τ_a (accel. lag)', min: 0.02, max: 0.5, step: 0.01, decimals: 2, tooltip: 'Time constant of the acceleration response assumed by the prediction model [s]' },
+            { key: 'tiltMax', label: 'Tilt limit', min: 0.1, max: 0.8, step: 0.05, decimals: 2, tooltip: 'Bounds horizontal acceleration to g·tan(limit) [rad]' },
+            { key: 'vMax_xy', label: 'v max (horizontal)', min: 0.5, max: 15, step: 0.5, tooltip: 'Horizontal speed constraint over the horizon [m/s]' },
+            { key: 'vMax_z', label: 'v max (vertical)', min: 0.5, max: 8, step: 0.5, tooltip: 'Climb/descent speed constraint over the horizon [m/s]' },
+            { key: 'Kp_att', label: 'Kp (attitude inner)', min: 1, max: 30, step: 0.5, tooltip: 'Attitude PD inner loop proportional gain' },
+            { key: 'Kd_att', label: 'Kd (attitude inner)', min: 0.5, max: 15, step: 0.5, tooltip: 'Attitude PD inner loop derivative gain' },
+            { key: 'Kp_yaw', label: 'Kp (heading)', min: 0, max: 5, step: 0.05, decimals: 2, tooltip: 'Heading error → yaw torque' },
+            { key: 'Kd_yaw', label: 'Kd (yaw rate)', min: 0, max: 1, step: 0.01, decimals: 2, tooltip: 'Yaw-rate error → yaw torque' },
+        ],
+        description: `<strong>Model Predictive Control</strong><br>
+            At each control step, solves a quadratic program over a receding N-step horizon, minimizing 
+            <code>J = Σ Q_pos(p−p_ref)² + Q_vel(v−v_ref)² + R(u−u_ref)²</code> per axis subject to tilt, thrust, 
+            speed and ground constraints. The model is a double integrator with a lagged acceleration; the 
+            QP is solved by warm-started ADMM. Only the first input is applied. The yellow line is the 
+            optimizer's predicted trajectory.<br>
+            <em>Strengths:</em> Handles constraints, anticipates future trajectory changes<br>
+            <em>Weaknesses:</em> Computational cost scales with horizon, model-dependent`,
+        create: () => instance(computeMPC),
+        chart: {
+            series: { label: 'Horizon cost J', value: st => (st.mpcStats ? st.mpcStats.cost : 0), right: true },
+            axis: 'Cost J',
+        },
+        diagnostics(st) {
+            const s = st.mpcStats;
+            if (!s) return '';
+            return `QP: ${s.iterations} ADMM iterations (3 axes) · J = ${s.cost.toFixed(2)}<br>` +
+                `${s.active} active constraint${s.active === 1 ? '' : 's'}` +
+                (s.converged ? '' : ' · <em>iteration limit reached</em>');
+        },
+    });
+
+    register({
+        id: 'FTC',
+        name: 'Fault-Tolerant Control (Reduced Attitude)',
+        gains: {
+            // Position PD → desired thrust vector
+            Kp_pos: 4.0,  Kd_pos: 3.0,
+            // Reduced attitude: thrust-axis error → body rate → torque
+            K_att: 10.0,  K_rate: 40.0,
+            // Heading (ignored once the allocator gives up yaw); kept soft
+            // because a hexa that lost a rotor has little yaw authority left
+            K_yaw: 3.0,   K_yawRate: 3.0,
+            // Maximum tilt of the thrust vector [rad]
+            tiltMax: 0.6,
+        },
+        gainDefs: [
+            { key: 'Kp_pos', label: 'Kp (position)', min: 0, max: 15, step: 0.1, tooltip: 'Position error → desired acceleration' },
+            { key: 'Kd_pos', label: 'Kd (velocity)', min: 0, max: 10, step: 0.1, tooltip: 'Velocity error → desired acceleration' },
+            { key: 'K_att', label: 'K (thrust axis)', min: 1, max: 30, step: 0.5, tooltip: 'Thrust-axis error → desired body rate' },
+            { key: 'K_rate', label: 'K (body rate)', min: 5, max: 100, step: 1, decimals: 0, tooltip: 'Body-rate error → angular acceleration' },
+            { key: 'K_yaw', label: 'K (heading)', min: 0, max: 10, step: 0.1, tooltip: 'Heading error → yaw rate (unused once yaw is given up)' },
+            { key: 'K_yawRate', label: 'K (yaw rate)', min: 0, max: 20, step: 0.1, tooltip: 'Yaw-rate error → yaw acceleration' },
+            { key: 'tiltMax', label: 'Max tilt (rad)', min: 0.1, max: 1.2, step: 0.05, decimals: 2, tooltip: 'Limit on the thrust-vector tilt' },
+        ],
+        description: `<strong>Fault-Tolerant Reduced-Attitude Control</strong><br>
+            Controls only the direction of the thrust axis, computed directly from the quaternion: a position PD 
+            gives the desired thrust vector <code>f = m(a + g)</code>, and the body-rate loop turns 
+            <code>e = ê₃ × Rᵀf̂</code> into roll/pitch torques with gyroscopic compensation. Heading is 
+            controlled only while the allocator can still produce yaw. With fault-tolerant allocation on, a quad 
+            that loses a rotor gives up yaw, settles into a steady spin and keeps its position; torque commands 
+            are rotated ahead by <code>r·τ_m</code> to cancel the motor lag at that spin rate.<br>
+            <em>Strengths:</em> No Euler angles — survives rotor loss, large tilts and fast spin<br>
+            <em>Weaknesses:</em> Needs the fault to be known (ideal detection here); a spinning quad can hold a point but not follow fast paths`,
+        create: () => instance(computeFTC),
+    });
+
+    register({
+        id: 'LQR',
+        name: 'Linear-Quadratic Regulator (Riccati)',
+        gains: {
+            // State weights (diagonal of Q)
+            Q_pos_xy: 10.0, Q_pos_z: 20.0,
+            Q_vel_xy: 4.0,  Q_vel_z: 4.0,
+            Q_att: 10.0,    Q_yaw: 5.0,   Q_rate: 0.5,
+            // Input weights (diagonal of R) on T/m and τ/I
+            R_T: 0.5,  R_tau: 0.01,  R_yaw: 0.05,
+        },
+        gainDefs: [
+            { key: 'Q_pos_xy', label: 'Q (XZ position)', min: 0.1, max: 100, step: 0.1, tooltip: 'State weight on horizontal position error' },
+            { key: 'Q_pos_z', label: 'Q (altitude)', min: 0.1, max: 100, step: 0.1, tooltip: 'State weight on altitude error' },
+            { key: 'Q_vel_xy', label: 'Q (XZ velocity)', min: 0, max: 50, step: 0.1, tooltip: 'State weight on horizontal velocity error' },
+            { key: 'Q_vel_z', label: 'Q (climb rate)', min: 0, max: 50, step: 0.1, tooltip: 'State weight on vertical velocity error' },
+            { key: 'Q_att', label: 'Q (roll/pitch)', min: 0.1, max: 100, step: 0.1, tooltip: 'State weight on roll and pitch angles' },
+            { key: 'Q_yaw', label: 'Q (heading)', min: 0.1, max: 50, step: 0.1, tooltip: 'State weight on heading error' },
+            { key: 'Q_rate', label: 'Q (body rates)', min: 0, max: 10, step: 0.05, decimals: 2, tooltip: 'State weight on p, q, r' },
+            { key: 'R_T', label: 'R (thrust)', min: 0.01, max: 5, step: 0.01, decimals: 2, tooltip: 'Input weight on collective acceleration T/m' },
+            { key: 'R_tau', label: 'R (roll/pitch torque)', min: 0.001, max: 0.2, step: 0.001, decimals: 3, tooltip: 'Input weight on angular acceleration τ/I about roll and pitch' },
+            { key: 'R_yaw', label: 'R (yaw torque)', min: 0.001, max: 1, step: 0.001, decimals: 3, tooltip: 'Input weight on yaw angular acceleration' },
+        ],
+        description: `<strong>Linear-Quadratic Regulator</strong><br>
+            Linearizes the 12-state rigid-body model about hover at the current heading, discretizes it at the 
+            controller rate and solves the discrete Riccati equation for the gain <code>K</code> that minimizes 
+            <code>Σ xᵀQx + uᵀRu</code>. All twelve states feed all four inputs through <code>u = u₀ − K(x − x_ref)</code>, 
+            with no separate attitude loop. The design is redone when the weights, rate, airframe or heading 
+            change; the closed-loop poles are listed under the gains.<br>
+            <em>Strengths:</em> Optimal for the linear model, guaranteed margins, one set of weights to tune<br>
+            <em>Weaknesses:</em> No integral action or constraints; degrades far from hover`,
+        create: () => instance(computeLQR),
+        diagnostics: st => (st.lqr ? formatPoles(st.lqr) : ''),
+    });
+
+    register({
+        id: 'SE3',
+        name: 'Geometric Tracking on SE(3)',
+        gains: {
+            // Position/velocity error → desired acceleration
+            k_x: 4.0,  k_v: 3.0,
+            // Attitude error on SO(3) → angular acceleration
+            k_R: 200.0, k_Omega: 28.0,
+            // Maximum tilt of the thrust vector [rad]
+            tiltMax: 1.0,
+        },
+        gainDefs: [
+            { key: 'k_x', label: 'k_x (position)', min: 0, max: 15, step: 0.1, tooltip: 'Position error → desired acceleration' },
+            { key: 'k_v', label: 'k_v (velocity)', min: 0, max: 10, step: 0.1, tooltip: 'Velocity error → desired acceleration' },
+            { key: 'k_R', label: 'k_R (attitude)', min: 10, max: 600, step: 5, decimals: 0, tooltip: 'SO(3) attitude error → angular acceleration' },
+            { key: 'k_Omega', label: 'k_Ω (body rate)', min: 1, max: 60, step: 0.5, tooltip: 'Angular velocity error → angular acceleration' },
+            { key: 'tiltMax', label: 'Max tilt (rad)', min: 0.1, max: 1.4, step: 0.05, decimals: 2, tooltip: 'Limit on the thrust-vector tilt' },
+        ],
+        description: `<strong>Geometric Tracking on SE(3)</strong><br>
+            The Lee–Leok–McClamroch controller. A position PD gives the desired thrust vector 
+            <code>f = m(a_ref − k_x e_x − k_v e_v + g ê₃)</code>; its direction and the reference heading define the 
+            desired rotation <code>R_d</code> directly, and the attitude error 
+            <code>e_R = ½(R_dᵀR − RᵀR_d)^∨</code> is computed on SO(3) with no Euler angles. Torques include 
+            the gyroscopic term <code>Ω × JΩ</code>. The error chart shows <code>Ψ = ½ tr(I − R_dᵀR)</code>.<br>
+            <em>Strengths:</em> Valid at any attitude — recovers from near-inverted starts, exact yaw coupling<br>
+            <em>Weaknesses:</em> No integral action; convergence is almost global — an exactly inverted error (Ψ = 2) is excluded`,
+        create: () => instance(computeSE3),
+        chart: {
+            series: { label: 'Attitude error Ψ(R, R_d)', value: st => st.attErr },
+        },
+    });
+
+    register({
+        id: 'ADRC',
+        name: 'Active Disturbance Rejection (ADRC)',
+        gains: {
+            // Controller bandwidths [rad/s]
+            wc_xy: 2.0,  wc_z: 3.0,
+            // Observer bandwidths [rad/s] — typically 3–10 × the controller
+            wo_xy: 10.0, wo_z: 15.0,
+            // Attitude PD bandwidth [rad/s] (inertia-scaled, ζ = 1)
+            wc_att: 15.0,
+            // Maximum tilt of the commanded acceleration [rad]
+            tiltMax: 0.6,
+        },
+        gainDefs: [
+            { key: 'wc_xy', label: 'ω_c (XZ)', min: 0.2, max: 8, step: 0.1, tooltip: 'Horizontal controller bandwidth [rad/s]' },
+            { key: 'wc_z', label: 'ω_c (altitude)', min: 0.2, max: 10, step: 0.1, tooltip: 'Vertical controller bandwidth [rad/s]' },
+            { key: 'wo_xy', label: 'ω_o (XZ)', min: 1, max: 40, step: 0.5, tooltip: 'Horizontal observer bandwidth [rad/s] — higher tracks disturbances faster but passes more noise' },
+            { key: 'wo_z', label: 'ω_o (altitude)', min: 1, max: 40, step: 0.5, tooltip: 'Vertical observer bandwidth [rad/s]' },
+            { key: 'wc_att', label: 'ω (attitude)', min: 2, max: 40, step: 0.5, tooltip: 'Bandwidth of the inertia-scaled attitude PD [rad/s]' },
+            { key: 'tiltMax', label: 'Max tilt (rad)', min: 0.1, max: 1.0, step: 0.05, decimals: 2, tooltip: 'Limit on the tilt of the commanded acceleration' },
+        ],
+        description: `<strong>Active Disturbance Rejection Control</strong><br>
+            Each axis is modelled as <code>v̇ = u + d</code>, where <code>u</code> is the acceleration of the 
+            thrust vector and <code>d</code> lumps wind, drag and model error. An extended state observer 
+            estimates position, velocity and <code>d</code> from position alone, and the control law 
+            <code>u = a_ref + ω_c²(p_ref − ẑ₁) + 2ω_c(v_ref − ẑ₂) − ẑ₃</code> cancels the estimate. Tuning is two 
+            bandwidths per axis. The error chart compares the estimated disturbance force <code>m·ẑ₃</code> with 
+            the wind force the simulation applies.<br>
+            <em>Strengths:</em> Rejects unknown, slowly varying disturbances without a disturbance model<br>
+            <em>Weaknesses:</em> The observer bandwidth trades disturbance tracking against sensor noise`,
+        create: () => instance(computeADRC),
+        chart: {
+            axis: 'Force (N)',
+            extras: [
+                { label: 'd̂_x (ESO)', value: st => (st.dist ? st.dist.x : 0), color: '#ff4466', right: true },
+                { label: 'F_wind,x', value: (st, s) => (s.windForce ? s.windForce.x : 0), color: '#ff4466', dash: true, right: true },
+                { label: 'd̂_z (ESO)', value: st => (st.dist ? st.dist.z : 0), color: '#4466ff', right: true },
+                { label: 'F_wind,z', value: (st, s) => (s.windForce ? s.windForce.z : 0), color: '#4466ff', dash: true, right: true },
+            ],
+        },
+    });
+
     // =====================================================================
     //  DISPATCH
     // =====================================================================
     function compute(algo, state, target, gains, dt, trajectoryFn, time) {
-        switch (algo) {
-            case 'PID': return computePID(state, target, gains, dt);
-            case 'SMC': return computeSMC(state, target, gains, dt);
-            case 'STS': return computeSTS(state, target, gains, dt);
-            case 'MPC': return computeMPC(state, target, gains, dt, trajectoryFn, time);
+        if (!active || active.id !== algo) active = { id: algo, ctl: create(algo) };
+        if (!config.feedforward) {
+            target = withoutFeedforward(target);
+            if (trajectoryFn) { const fn = trajectoryFn; trajectoryFn = (t) => withoutFeedforward(fn(t)); }
         }
+        const u = active.ctl.compute(state, target, gains, dt, trajectoryFn, time);
+        const st = active.ctl.state;
+        st.T = u[0]; st.tau_phi = u[1]; st.tau_theta = u[2]; st.tau_psi = u[3];
+        return u;
     }
 
-    return { compute, getDefaultGains, resetInternal, getInternalState, defaultGains };
+    function configure(changes) { Object.assign(config, changes); }
+
+    function getConfig() { return { ...config }; }
+
+    return {
+        register, get, list, create,
+        compute, getDefaultGains, resetInternal, getInternalState,
+        configure, getConfig,
+    };
 })();
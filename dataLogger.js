@@ -1,7 +1,8 @@
 /**
  * dataLogger.js — Simulation Data Recording & Export
  *
- * Records full state + control + target at configurable rate.
+ * Records full state + estimate + control + target, motor speeds and the
+ * battery, at configurable rate.
  * Exports to CSV for MATLAB/Python analysis.
  */
 
@@ -23,17 +24,25 @@ const DataLogger = (() => {
 
     function isRecording() { return recording; }
 
-    function log(simTime, state, target, controlState, algo) {
+    function log(simTime, state, target, controlState, algo, estimate, event) {
         if (!recording) return;
-        records.push({
+        const est = estimate || state;
+        const rec = {
             t: (simTime - startTime).toFixed(4),
             // State
             x: state.x.toFixed(6), y: state.y.toFixed(6), z: state.z.toFixed(6),
             vx: state.vx.toFixed(6), vy: state.vy.toFixed(6), vz: state.vz.toFixed(6),
             phi: state.phi.toFixed(6), theta: state.theta.toFixed(6), psi: state.psi.toFixed(6),
+            qw: state.qw.toFixed(6), qx: state.qx.toFixed(6), qy: state.qy.toFixed(6), qz: state.qz.toFixed(6),
             p: state.p.toFixed(6), q: state.q.toFixed(6), r: state.r.toFixed(6),
+            // Estimate (what the controller used)
+            x_est: est.x.toFixed(6), y_est: est.y.toFixed(6), z_est: est.z.toFixed(6),
+            vx_est: est.vx.toFixed(6), vy_est: est.vy.toFixed(6), vz_est: est.vz.toFixed(6),
+            phi_est: est.phi.toFixed(6), theta_est: est.theta.toFixed(6), psi_est: est.psi.toFixed(6),
+            p_est: est.p.toFixed(6), q_est: est.q.toFixed(6), r_est: est.r.toFixed(6),
             // Target
             x_ref: target.x.toFixed(6), y_ref: target.y.toFixed(6), z_ref: target.z.toFixed(6),
+            psi_ref: (target.yaw || 0).toFixed(6), r_ref: (target.yawRate || 0).toFixed(6),
             // Control
             T: controlState.T.toFixed(6),
             tau_phi: controlState.tau_phi.toFixed(6),
@@ -43,14 +52,19 @@ const DataLogger = (() => {
             s_x: (controlState.s_x || 0).toFixed(6),
             s_y: (controlState.s_y || 0).toFixed(6),
             s_z: (controlState.s_z || 0).toFixed(6),
-            // Motors
-            m1: state.motors ? state.motors[0].toFixed(2) : '0',
-            m2: state.motors ? state.motors[1].toFixed(2) : '0',
-            m3: state.motors ? state.motors[2].toFixed(2) : '0',
-            m4: state.motors ? state.motors[3].toFixed(2) : '0',
-            // Meta
-            algo: algo
-        });
+        };
+        // Motors (one column per rotor)
+        (state.motors || []).forEach((w, i) => { rec['m' + (i + 1)] = w.toFixed(2); });
+        // Battery
+        const batt = state.battery || { voltage: 0, current: 0, used: 0, energy: 0 };
+        rec.v_batt = batt.voltage.toFixed(3);
+        rec.i_batt = batt.current.toFixed(3);
+        rec.mah_used = batt.used.toFixed(2);
+        rec.wh_used = batt.energy.toFixed(4);
+        // Meta (event: fault onsets/recoveries since the previous row)
+        rec.algo = algo;
+        rec.event = event || '';
+        records.push(rec);
     }
 
     function exportCSV() {
@@ -1,10 +1,13 @@
 /**
  * drone3d.js — Three.js Visualization
  *
- * - Detailed X-frame quadrotor model with spinning propellers
+ * - Multirotor model generated from the active airframe's rotor list,
+ *   with spinning propellers
  * - Desired trajectory path (cyan)
  * - Actual flown path trail (orange)
  * - MPC prediction horizon visualization
+ * - Wind field arrow glyphs and disturbance source markers
+ * - Look-at point of the yaw policy
  * - Ground grid with coordinate axes
  * - Orbit camera controls (manual implementation)
  */
@@ -17,6 +20,9 @@ const Drone3D = (() => {
     let desiredPathLine, desiredGeometry;
     let mpcPredLine, mpcPredGeometry;
     let groundGrid;
+    let windGlyphGroup, windGlyphs = [];
+    let windSourceGroup;
+    let lookAtMarker;
     let axisLabels = [];
 
     // Camera orbit state
@@ -29,6 +35,10 @@ const Drone3D = (() => {
 
     const MAX_TRAIL = 800;
     const MAX_DESIRED = 400;
+    const MODEL_SCALE = 3;      // vehicle drawn larger than life for visibility
+
+    // Lift that keeps the enlarged model's feet on the grid while landed
+    let gearLift = 0;
 
     function init(container) {
         // Scene
@@ -69,7 +79,7 @@ const Drone3D = (() => {
         createGround();
 
         // Drone model
-        droneGroup = createDroneModel();
+        droneGroup = createDroneModel(Physics.PARAMS);
         scene.add(droneGroup);
 
         // Trail (actual path)
@@ -105,6 +115,24 @@ const Drone3D = (() => {
         mpcPredLine = new THREE.Line(mpcPredGeometry, mpcMat);
         scene.add(mpcPredLine);
 
+        // Wind field overlay
+        windGlyphGroup = new THREE.Group();
+        scene.add(windGlyphGroup);
+        windSourceGroup = new THREE.Group();
+        scene.add(windSourceGroup);
+
+        // Look-at point: ground ring and a post
+        lookAtMarker = new THREE.Group();
+        const lookMat = new THREE.MeshBasicMaterial({ color: 0xff44cc, transparent: true, opacity: 0.7 });
+        const ring = new THREE.Mesh(new THREE.RingGeometry(0.25, 0.35, 32), lookMat);
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.y = 0.01;
+        const post = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, 3, 8), lookMat);
+        post.position.y = 1.5;
+        lookAtMarker.add(ring, post);
+        lookAtMarker.visible = false;
+        scene.add(lookAtMarker);
+
         // Camera controls
         setupCameraControls(renderer.domElement);
 
@@ -154,7 +182,7 @@ const Drone3D = (() => {
         scene.add(plane);
     }
 
-    function createDroneModel() {
+    function createDroneModel(frame) {
         const group = new THREE.Group();
 
         const carbonMat = new THREE.MeshStandardMaterial({
@@ -199,28 +227,25 @@ const Drone3D = (() => {
         battery.position.y = -0.025;
         group.add(battery);
 
-        // X-frame arms
-        const armLength = 0.17;
-        const armGeo = new THREE.BoxGeometry(armLength * 2.2, 0.012, 0.018);
-        const arm1 = new THREE.Mesh(armGeo, carbonMat);
-        arm1.rotation.y = Math.PI / 4;
-        arm1.castShadow = true;
-        group.add(arm1);
-
-        const arm2 = new THREE.Mesh(armGeo, carbonMat);
-        arm2.rotation.y = -Math.PI / 4;
-        arm2.castShadow = true;
-        group.add(arm2);
-
-        // Motors and propellers at 4 positions
-        const s2 = Math.SQRT1_2 * armLength;
-        const motorPositions = [
-            [ s2, 0,  s2],    // Front-Right (CW)
-            [-s2, 0,  s2],    // Front-Left (CCW)
-            [-s2, 0, -s2],    // Rear-Left (CW)
-            [ s2, 0, -s2],    // Rear-Right (CCW)
-        ];
-        const propDirections = [1, -1, 1, -1]; // CW/CCW
+        // Rotor positions in scene coordinates (body X → scene x, body Y → scene −z)
+        const rotors = Airframes.rotorPositions(frame);
+        const motorPositions = rotors.map(r => [r.x, 0, -r.y]);
+        // Visual spin is opposite to the yaw reaction torque
+        const propDirections = rotors.map(r => -r.dir);
+
+        // Blade span: scale with the arm, but never overlap the neighbour
+        const n = rotors.length;
+        const bladeLength = Math.min(0.14 * frame.L / 0.17, 1.8 * frame.L * Math.sin(Math.PI / n));
+
+        // One arm per rotor, from the hub to the motor
+        motorPositions.forEach(pos => {
+            const len = Math.hypot(pos[0], pos[2]);
+            const arm = new THREE.Mesh(new THREE.BoxGeometry(len, 0.012, 0.018), carbonMat);
+            arm.position.set(pos[0] / 2, 0, pos[2] / 2);
+            arm.rotation.y = -Math.atan2(pos[2], pos[0]);
+            arm.castShadow = true;
+            group.add(arm);
+        });
 
         propellers = [];
 
@@ -249,7 +274,7 @@ const Drone3D = (() => {
             // Two blades
             for (let b = 0; b < 2; b++) {
                 const blade = new THREE.Mesh(
-                    new THREE.BoxGeometry(0.14, 0.003, 0.018),
+                    new THREE.BoxGeometry(bladeLength, 0.003, 0.018),
                     propMat
                 );
                 blade.rotation.y = b * Math.PI;
@@ -263,7 +288,7 @@ const Drone3D = (() => {
             group.add(propGroup);
 
             // LED indicators (front = green, rear = red)
-            const isfront = pos[2] > 0;
+            const isfront = pos[2] > 1e-6;
             const led = new THREE.Mesh(
                 new THREE.SphereGeometry(0.006, 8, 8),
                 isfront ? ledGreen : ledRed
@@ -280,23 +305,39 @@ const Drone3D = (() => {
             group.add(glowLight);
         });
 
-        // Landing gear (small legs)
-        const legGeo = new THREE.CylinderGeometry(0.004, 0.004, 0.04, 6);
+        // Landing gear: one leg down to each foot (body Y → scene −z)
         const legMat = new THREE.MeshStandardMaterial({ color: 0x333333, metalness: 0.7 });
-        [[-0.06, -0.035, 0.06], [0.06, -0.035, 0.06], [-0.06, -0.035, -0.06], [0.06, -0.035, -0.06]].forEach(p => {
-            const leg = new THREE.Mesh(legGeo, legMat);
-            leg.position.set(p[0], p[1], p[2]);
+        Airframes.gearPositions(frame).forEach(f => {
+            const h = Math.max(-f.z, 0.005);
+            const leg = new THREE.Mesh(new THREE.CylinderGeometry(0.004, 0.004, h, 6), legMat);
+            leg.position.set(f.x, -h / 2, -f.y);
             group.add(leg);
         });
+        gearLift = (MODEL_SCALE - 1) * (frame.gearHeight || 0);
 
-        group.scale.set(3, 3, 3); // Scale up for visibility
+        group.scale.set(MODEL_SCALE, MODEL_SCALE, MODEL_SCALE);
         return group;
     }
 
+    /**
+     * Rebuild the vehicle model for a new airframe
+     */
+    function setAirframe(frame) {
+        if (!scene) return;
+        const prev = droneGroup;
+        droneGroup = createDroneModel(frame);
+        if (prev) {
+            droneGroup.position.copy(prev.position);
+            droneGroup.rotation.copy(prev.rotation);
+            scene.remove(prev);
+        }
+        scene.add(droneGroup);
+    }
+
     function updateDrone(state) {
         if (!droneGroup) return;
 
-        droneGroup.position.set(state.x, state.y, state.z);
+        droneGroup.position.set(state.x, state.y + gearLift, state.z);
         // Three.js uses intrinsic YXZ for Euler... we need ZYX
         droneGroup.rotation.set(state.theta, state.psi, state.phi, 'YXZ');
 
@@ -332,6 +373,81 @@ const Drone3D = (() => {
         mpcPredGeometry.setFromPoints(vecs);
     }
 
+    /**
+     * Arrow glyphs for sampled wind vectors: [{ x, y, z, v: {x, y, z} }]
+     * Arrows are pooled and reused; length and colour scale with speed.
+     */
+    function setWindGlyphs(samples) {
+        if (!windGlyphGroup) return;
+        const slow = new THREE.Color(0x00d4ff), fast = new THREE.Color(0xffaa22);
+        samples.forEach((smp, i) => {
+            let arrow = windGlyphs[i];
+            if (!arrow) {
+                arrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, 0x00d4ff);
+                arrow.line.material.transparent = true;
+                arrow.line.material.opacity = 0.6;
+                windGlyphs.push(arrow);
+                windGlyphGroup.add(arrow);
+            }
+            const speed = Math.hypot(smp.v.x, smp.v.y, smp.v.z);
+            const len = Math.min(0.25 * speed, 2.0);
+            arrow.position.set(smp.x, smp.y, smp.z);
+            arrow.setDirection(new THREE.Vector3(smp.v.x / speed, smp.v.y / speed, smp.v.z / speed));
+            arrow.setLength(len, Math.min(0.3, 0.35 * len), Math.min(0.15, 0.2 * len));
+            arrow.setColor(slow.clone().lerp(fast, Math.min(speed / 10, 1)));
+            arrow.visible = true;
+        });
+        for (let i = samples.length; i < windGlyphs.length; i++) windGlyphs[i].visible = false;
+    }
+
+    /**
+     * Markers for wind sources: fan discs, shear planes, wake obstacles
+     */
+    function setWindSources(sources) {
+        if (!windSourceGroup) return;
+        while (windSourceGroup.children.length) windSourceGroup.remove(windSourceGroup.children[0]);
+
+        const fanMat = new THREE.MeshStandardMaterial({ color: 0x335566, metalness: 0.6, roughness: 0.4 });
+        const obstacleMat = new THREE.MeshStandardMaterial({ color: 0x2a2f38, roughness: 0.8 });
+        const shearMat = new THREE.MeshBasicMaterial({
+            color: 0x00d4ff, transparent: true, opacity: 0.05, side: THREE.DoubleSide, depthWrite: false
+        });
+
+        sources.forEach(src => {
+            if (src.type === 'FAN') {
+                const d = Wind.direction(src.azimuth, src.elevation);
+                const fan = new THREE.Mesh(new THREE.CylinderGeometry(src.radius, src.radius, 0.15, 24), fanMat);
+                fan.position.set(src.x, src.y, src.z);
+                // Cylinder axis is +y → align with the jet direction
+                fan.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), new THREE.Vector3(d.x, d.y, d.z));
+                windSourceGroup.add(fan);
+            } else if (src.type === 'WAKE') {
+                const post = new THREE.Mesh(new THREE.CylinderGeometry(src.radius, src.radius, src.height, 24), obstacleMat);
+                post.position.set(src.x, src.height / 2, src.z);
+                post.castShadow = true;
+                windSourceGroup.add(post);
+            } else if (src.type === 'SHEAR') {
+                const plane = new THREE.Mesh(new THREE.PlaneGeometry(40, 40), shearMat);
+                plane.rotation.x = -Math.PI / 2;
+                plane.position.y = src.altitude;
+                windSourceGroup.add(plane);
+            }
+        });
+    }
+
+    /**
+     * Show the yaw policy's look-at point { x, z }, or hide it (null)
+     */
+    function setLookAt(point) {
+        if (!lookAtMarker) return;
+        lookAtMarker.visible = !!point;
+        if (point) lookAtMarker.position.set(point.x, 0, point.z);
+    }
+
+    function setWindFieldVisible(v) {
+        if (windGlyphGroup) windGlyphGroup.visible = v;
+    }
+
     function clearTrail() {
         trailPoints = [];
         trailGeometry.setFromPoints([]);
@@ -379,5 +495,8 @@ const Drone3D = (() => {
         element.addEventListener('contextmenu', (e) => e.preventDefault());
     }
 
-    return { init, updateDrone, setDesiredPath, setMPCPrediction, clearTrail, render };
+    return {
+        init, setAirframe, updateDrone, setDesiredPath, setMPCPrediction,
+        setWindGlyphs, setWindSources, setWindFieldVisible, setLookAt, clearTrail, render
+    };
 })();
@@ -0,0 +1,506 @@
+/**
+ * estimator.js — State Estimation
+ *
+ * Fuses the measurements from sensors.js into the state the controllers
+ * consume. Modes:
+ *
+ *   TRUTH          — pass the true plant state through (ideal feedback)
+ *   COMPLEMENTARY  — Mahony attitude filter (gyro integration corrected
+ *                    towards the accelerometer's expected direction —
+ *                    gravity plus the estimated acceleration — and the
+ *                    magnetometer heading, with gyro bias integral) plus a
+ *                    third-order complementary filter on position, velocity
+ *                    and accelerometer bias, corrected by the position fix
+ *                    (gains per source; motion-capture fixes are
+ *                    differenced into a velocity) and the barometer
+ *   EKF            — 17-state extended Kalman filter
+ *                    x = [p(3), v(3), q(4), b_gyro(3), b_accel(3), b_baro]
+ *                    IMU drives the prediction; position fix (with GPS
+ *                    velocity), barometer and magnetometer heading are the
+ *                    updates. Jacobians are taken numerically; covariances
+ *                    come from the sensor specs in sensors.js.
+ *
+ * Both filters work in the physics frame and fuse delayed position fixes
+ * at the measurement's stamp: the complementary filter compares against
+ * its own position/velocity history, the EKF rolls back and replays (see updateEKF).
+ *
+ * The estimate has the same fields as a physics state (x … r, qw … qz,
+ * φ θ ψ), so controllers use it unchanged.
+ *
+ * References:
+ *   Mahony, Hamel, Pflimlin, "Nonlinear Complementary Filters on the
+ *     Special Orthogonal Group," IEEE TAC 2008
+ *   Sola, "Quaternion kinematics for the error-state Kalman filter," 2017
+ */
+
+const Estimator = (() => {
+
+    const config = {
+        mode: 'TRUTH',          // 'TRUTH' | 'COMPLEMENTARY' | 'EKF'
+        cf: {
+            kAcc: 0.5,          // attitude correction from accelerometer [rad/s]
+            kMag: 0.5,          // attitude correction from magnetometer [rad/s]
+            kGyroBias: 0.2,     // gyro bias integral gain
+            // Position-fix gains per source (sensors.js positionSource):
+            //   kPos      fix → position [1/s]
+            //   kVel      fix → velocity [1/s²]
+            //   kAccBias  fix → accelerometer bias [1/s³]
+            //   kVelFix   fix velocity → velocity [1/s] (GPS Doppler, or
+            //             differenced motion-capture positions)
+            gps:   { kPos: 2.0,  kVel: 1.5,  kAccBias: 0.3, kVelFix: 2.0 },
+            mocap: { kPos: 10.0, kVel: 30.0, kAccBias: 5.0, kVelFix: 5.0 },
+            kBaro: 0.5,         // barometer → altitude [1/s]
+            kBaroVel: 0.3,      // barometer → vertical velocity [1/s²]
+            accLag: 0.05,       // time constant of the world-acceleration estimate [s]
+        },
+        ekf: {
+            accelNoise: 0.5,    // process noise on acceleration [m/s²/√Hz]
+            gyroNoise: 0.02,    // process noise on angular rate [rad/s/√Hz]
+        },
+    };
+
+    const HISTORY = 1.5;    // seconds of history kept for delayed fixes
+    const FIX_BASELINE = 0.1;   // span of fixes differenced for a velocity [s]
+    const N = 17;           // EKF state size
+
+    let est = null;         // estimate exposed to controllers (scene fields)
+    let needsInit = true;
+    let history = [];       // complementary: [{ t, p: [3], v: [3] }] physics frame
+    let fixes = [];         // complementary: recent fixes without velocity [{ stamp, z }]
+    let buffer = [];        // EKF: [{ t, meas, dt, x, P }] for replaying delayed fixes
+    let lastFix = 0, lastBaro = 0;
+    let lastMag = null;
+
+    // Complementary filter state (physics frame)
+    let cf = null;
+    // EKF state and covariance
+    let x = null, P = null;
+
+    // =====================================================================
+    //  HELPERS
+    // =====================================================================
+
+    const toPhys = (s) => [s.x, s.z, s.y];
+
+    function quat(v, o) { return { qw: v[o], qx: v[o + 1], qy: v[o + 2], qz: v[o + 3] }; }
+
+    function normalize(v, o) {
+        let n = Math.hypot(v[o], v[o + 1], v[o + 2], v[o + 3]) || 1;
+        if (v[o] < 0) n = -n;
+        for (let i = 0; i < 4; i++) v[o + i] /= n;
+    }
+
+    // q ⊗ [0, ω]·½dt, first order
+    function integrateQuat(v, o, w, dt) {
+        const [qw, qx, qy, qz] = [v[o], v[o + 1], v[o + 2], v[o + 3]];
+        const [p, q, r] = w;
+        v[o]     += 0.5 * dt * (-qx * p - qy * q - qz * r);
+        v[o + 1] += 0.5 * dt * ( qw * p + qy * r - qz * q);
+        v[o + 2] += 0.5 * dt * ( qw * q + qz * p - qx * r);
+        v[o + 3] += 0.5 * dt * ( qw * r + qx * q - qy * p);
+    }
+
+    function rotate(R, v) {
+        return [0, 1, 2].map(i => R[i][0] * v[0] + R[i][1] * v[1] + R[i][2] * v[2]);
+    }
+
+    function rotateT(R, v) {
+        return [0, 1, 2].map(i => R[0][i] * v[0] + R[1][i] * v[1] + R[2][i] * v[2]);
+    }
+
+    function cross(a, b) {
+        return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    }
+
+    function unit(v) {
+        const n = Math.hypot(v[0], v[1], v[2]);
+        return n > 1e-9 ? v.map(c => c / n) : null;
+    }
+
+    function wrap(a) { return a - 2 * Math.PI * Math.round(a / (2 * Math.PI)); }
+
+    /**
+     * Heading error of an attitude estimate: the measured field rotated into
+     * the world frame should point north (+X); its horizontal angle is the
+     * amount the estimate's yaw is too large by.
+     */
+    function magHeadingError(R, mag) {
+        const h = rotate(R, mag);
+        return Math.atan2(h[1], h[0]);
+    }
+
+    function recordHistory(t, p, v) {
+        history.push({ t, p: p.slice(), v: v.slice() });
+        while (history.length && history[0].t < t - HISTORY) history.shift();
+    }
+
+    // Estimate closest to a measurement stamp: { p, v }
+    function historyAt(stamp, fallback) {
+        let best = null;
+        for (const h of history) {
+            if (!best || Math.abs(h.t - stamp) < Math.abs(best.t - stamp)) best = h;
+        }
+        return best || fallback;
+    }
+
+    // Apply a correction made now to the stored past as well
+    function shiftHistory(dp, dv) {
+        for (const h of history) {
+            for (let i = 0; i < 3; i++) {
+                h.p[i] += dp[i];
+                h.v[i] += dv[i];
+            }
+        }
+    }
+
+    // =====================================================================
+    //  INITIALIZATION
+    // =====================================================================
+
+    function init(s) {
+        const p = toPhys(s);
+        const v = [s.vx, s.vz, s.vy];
+        cf = {
+            q: [s.qw, s.qx, s.qy, s.qz],
+            bg: [0, 0, 0],
+            p: p.slice(), v: v.slice(),
+            ba: [0, 0, 0],
+            aw: [0, 0, 0],
+        };
+        x = [...p, ...v, s.qw, s.qx, s.qy, s.qz, 0, 0, 0, 0, 0, 0, 0];
+        const sc = Sensors.getConfig();
+        const k = Math.max(sc.noiseScale, 0.1);
+        const d = [
+            1e-4, 1e-4, 1e-4, 1e-4, 1e-4, 1e-4,
+            1e-6, 1e-6, 1e-6, 1e-6,
+            ...Array(3).fill((sc.imu.gyroBias * k) ** 2),
+            ...Array(3).fill((sc.imu.accelBias * k) ** 2),
+            0.01,
+        ];
+        P = LinAlg.zeros(N, N);
+        d.forEach((v, i) => { P[i][i] = v; });
+        history = [];
+        fixes = [];
+        buffer = [];
+        lastFix = lastBaro = 0;
+        lastMag = null;
+        est = Object.assign({}, s);
+        needsInit = false;
+    }
+
+    function reset(s) {
+        needsInit = true;
+        if (s) init(s);
+    }
+
+    function configure(changes) {
+        for (const key in changes) {
+            const v = changes[key];
+            if (v && typeof v === 'object' && config[key]) Object.assign(config[key], v);
+            else config[key] = v;
+        }
+        // Start a newly selected filter from the current true state
+        if ('mode' in changes) needsInit = true;
+    }
+
+    function getConfig() { return JSON.parse(JSON.stringify(config)); }
+
+    // =====================================================================
+    //  COMPLEMENTARY FILTER
+    // =====================================================================
+
+    function updateComplementary(meas, t, dt) {
+        const G = config.cf;
+        const g = Physics.MODEL.g;
+        let R = Physics.rotationMatrix(quat(cf.q, 0));
+
+        // --- Attitude (Mahony) ---
+        const e = [0, 0, 0];
+        // Expected specific force: the estimated world acceleration plus
+        // gravity, so manoeuvres are not mistaken for tilt
+        const a = unit(meas.accel);
+        const fRef = [cf.aw[0], cf.aw[1], cf.aw[2] + g];
+        const fMag = Math.hypot(...meas.accel);
+        if (a && Math.abs(fMag - Math.hypot(...fRef)) < 0.25 * g) {
+            const ea = cross(a, unit(rotateT(R, fRef)));
+            for (let i = 0; i < 3; i++) e[i] += G.kAcc * ea[i];
+        }
+        if (meas.mag) lastMag = meas.mag;
+        const m = lastMag && unit(lastMag);
+        if (m) {
+            // Reference field direction with the estimate's own dip
+            const h = rotate(R, m);
+            const w = rotateT(R, [Math.hypot(h[0], h[1]), 0, h[2]]);
+            const em = cross(m, w);
+            for (let i = 0; i < 3; i++) e[i] += G.kMag * em[i];
+        }
+        for (let i = 0; i < 3; i++) cf.bg[i] -= G.kGyroBias * e[i] * dt;
+        const w = meas.gyro.map((gi, i) => gi - cf.bg[i] + e[i]);
+        integrateQuat(cf.q, 0, w, dt);
+        normalize(cf.q, 0);
+        R = Physics.rotationMatrix(quat(cf.q, 0));
+
+        // --- Translation: strapdown prediction ---
+        const v0 = cf.v.slice();
+        const fw = rotate(R, meas.accel);
+        const acc = [fw[0] - cf.ba[0], fw[1] - cf.ba[1], fw[2] - g - cf.ba[2]];
+        for (let i = 0; i < 3; i++) {
+            cf.p[i] += cf.v[i] * dt + 0.5 * acc[i] * dt * dt;
+            cf.v[i] += acc[i] * dt;
+        }
+        recordHistory(t, cf.p, cf.v);
+
+        // --- Position fix (compared against where we thought we were) ---
+        if (meas.position) {
+            const fix = meas.position;
+            const K = Sensors.getConfig().positionSource === 'MOCAP' ? G.mocap : G.gps;
+            const z = toPhys(fix);
+            const past = historyAt(fix.stamp, { p: cf.p, v: cf.v });
+            const span = Math.min(t - lastFix, 0.5);
+            lastFix = t;
+            // Velocity: GPS measures it; otherwise difference this fix with
+            // one about FIX_BASELINE older, compared at the midpoint stamp
+            let zv = fix.vel && toPhys(fix.vel), pastV = past.v;
+            if (!zv) {
+                fixes.push({ stamp: fix.stamp, z });
+                while (fixes.length > 1 && fixes[1].stamp <= fix.stamp - FIX_BASELINE) fixes.shift();
+                const old = fixes[0];
+                const base = fix.stamp - old.stamp;
+                if (base > 0.5 * FIX_BASELINE && base < 2 * FIX_BASELINE) {
+                    zv = z.map((zi, i) => (zi - old.z[i]) / base);
+                    pastV = historyAt(0.5 * (fix.stamp + old.stamp), past).v;
+                }
+            }
+            const dp = [0, 0, 0], dv = [0, 0, 0];
+            for (let i = 0; i < 3; i++) {
+                const r = z[i] - past.p[i];
+                dp[i] = K.kPos * span * r;
+                dv[i] = K.kVel * span * r;
+                if (zv) dv[i] += K.kVelFix * span * (zv[i] - pastV[i]);
+                cf.p[i] += dp[i];
+                cf.v[i] += dv[i];
+                cf.ba[i] -= K.kAccBias * span * r;
+            }
+            shiftHistory(dp, dv);
+        }
+
+        // --- Barometer (altitude, no latency) ---
+        if (meas.baro !== null) {
+            const span = Math.min(t - lastBaro, 0.5);
+            lastBaro = t;
+            const r = meas.baro - cf.p[2];
+            cf.p[2] += G.kBaro * span * r;
+            cf.v[2] += G.kBaroVel * span * r;
+            shiftHistory([0, 0, G.kBaro * span * r], [0, 0, G.kBaroVel * span * r]);
+        }
+
+        // World acceleration from the corrected velocity, low-passed: the
+        // fixes keep it unbiased by attitude error (velocity-aided Mahony)
+        const lp = Math.min(dt / G.accLag, 1);
+        for (let i = 0; i < 3; i++) cf.aw[i] += lp * ((cf.v[i] - v0[i]) / dt - cf.aw[i]);
+
+        return { p: cf.p, v: cf.v, q: cf.q, w: meas.gyro.map((gi, i) => gi - cf.bg[i]) };
+    }
+
+    // =====================================================================
+    //  EXTENDED KALMAN FILTER
+    // =====================================================================
+
+    // Discrete process model x⁺ = f(x, u)
+    function ekfPredictState(xs, gyro, accel, dt) {
+        const g = Physics.MODEL.g;
+        const out = xs.slice();
+        const R = Physics.rotationMatrix(quat(xs, 6));
+        const fb = [accel[0] - xs[13], accel[1] - xs[14], accel[2] - xs[15]];
+        const fw = rotate(R, fb);
+        for (let i = 0; i < 3; i++) {
+            out[i] += xs[3 + i] * dt;
+            out[3 + i] += (fw[i] - (i === 2 ? g : 0)) * dt;
+        }
+        integrateQuat(out, 6, [gyro[0] - xs[10], gyro[1] - xs[11], gyro[2] - xs[12]], dt);
+        return out;
+    }
+
+    function numericJacobian(fn, xs, rows) {
+        const f0 = fn(xs);
+        const J = LinAlg.zeros(rows, xs.length);
+        for (let j = 0; j < xs.length; j++) {
+            const h = 1e-6;
+            const xp = xs.slice();
+            xp[j] += h;
+            const f1 = fn(xp);
+            for (let i = 0; i < rows; i++) J[i][j] = (f1[i] - f0[i]) / h;
+        }
+        return J;
+    }
+
+    /**
+     * Measurement update with innovation y = z − h(x) already formed.
+     * Joseph form keeps P symmetric positive definite.
+     */
+    function ekfUpdate(H, y, Rm) {
+        const Ht = LinAlg.transpose(H);
+        const PHt = LinAlg.mul(P, Ht);
+        const S = LinAlg.add(LinAlg.mul(H, PHt), Rm);
+        const Sinv = LinAlg.inv(S);
+        if (!Sinv) return;
+        const K = LinAlg.mul(PHt, Sinv);
+        const dx = LinAlg.mulVec(K, y);
+        for (let i = 0; i < N; i++) x[i] += dx[i];
+        normalize(x, 6);
+
+        const IKH = LinAlg.sub(LinAlg.eye(N), LinAlg.mul(K, H));
+        P = LinAlg.add(
+            LinAlg.mul(LinAlg.mul(IKH, P), LinAlg.transpose(IKH)),
+            LinAlg.mul(LinAlg.mul(K, Rm), LinAlg.transpose(K))
+        );
+        return dx;
+    }
+
+    /**
+     * One IMU step: prediction, then any barometer/magnetometer sample
+     * taken at this step. Position fixes are handled by updateEKF().
+     */
+    function ekfStep(meas, dt, sc) {
+        const k = sc.noiseScale;
+        const E = config.ekf;
+
+        // --- Prediction ---
+        const F = numericJacobian(xs => ekfPredictState(xs, meas.gyro, meas.accel, dt), x, N);
+        x = ekfPredictState(x, meas.gyro, meas.accel, dt);
+        normalize(x, 6);
+
+        const qv = (E.accelNoise ** 2 + (sc.imu.accelNoise * k) ** 2) * dt;
+        const qq = 0.25 * (E.gyroNoise ** 2 + (sc.imu.gyroNoise * k) ** 2) * dt;
+        const qd = [
+            1e-8, 1e-8, 1e-8, qv, qv, qv, qq, qq, qq, qq,
+            ...Array(3).fill((sc.imu.gyroBiasWalk * k) ** 2 * dt + 1e-12),
+            ...Array(3).fill((sc.imu.accelBiasWalk * k) ** 2 * dt + 1e-12),
+            (sc.baro.drift * k) ** 2 * dt + 1e-10,
+        ];
+        P = LinAlg.mul(LinAlg.mul(F, P), LinAlg.transpose(F));
+        for (let i = 0; i < N; i++) P[i][i] += qd[i];
+
+        // --- Barometer: h = altitude + drift ---
+        if (meas.baro !== null) {
+            const H = LinAlg.zeros(1, N);
+            H[0][2] = 1; H[0][16] = 1;
+            const r2 = Math.max(sc.baro.noise * k, 0.01) ** 2;
+            ekfUpdate(H, [meas.baro - (x[2] + x[16])], [[r2]]);
+        }
+
+        // --- Magnetometer heading: the measured field rotated into the world
+        // frame should point north; its horizontal angle is the yaw error.
+        // The update is restricted to rotation about world Z (direction
+        // d = ½·[0,0,0,1]⊗q), so magnetic errors cannot tilt the estimate.
+        if (meas.mag && unit(meas.mag)) {
+            const y = -magHeadingError(Physics.rotationMatrix(quat(x, 6)), meas.mag);
+            const Hq = LinAlg.zeros(1, N);
+            const d = [-x[9], -x[8], x[7], x[6]];     // 2·d
+            for (let i = 0; i < 4; i++) Hq[0][6 + i] = 2 * d[i];
+            const dip = sc.mag.inclination * Math.PI / 180;
+            const r2 = (Math.max(sc.mag.noise * k, 0.005) / Math.max(Math.cos(dip), 0.1)) ** 2;
+            ekfUpdate(Hq, [wrap(y)], [[r2]]);
+        }
+    }
+
+    /**
+     * Delayed position fixes are fused exactly: roll back to the buffered
+     * filter state at the fix's stamp, apply the update there, then replay
+     * the buffered IMU/baro/mag steps up to now. Fusing a late fix into the
+     * current state instead destabilizes the filter once its gain is high.
+     */
+    function updateEKF(meas, t, dt) {
+        const sc = Sensors.getConfig();
+        ekfStep(meas, dt, sc);
+        buffer.push({ t, meas, dt, x: x.slice(), P: P.map(row => row.slice()) });
+        while (buffer.length && buffer[0].t < t - HISTORY) buffer.shift();
+
+        if (meas.position) {
+            let k = -1;
+            for (let i = buffer.length - 1; i >= 0; i--) {
+                if (buffer[i].t <= meas.position.stamp + 1e-9) { k = i; break; }
+            }
+            if (k >= 0) {
+                x = buffer[k].x.slice();
+                P = buffer[k].P.map(row => row.slice());
+            }
+
+            const src = sc.positionSource === 'MOCAP' ? sc.mocap : sc.gps;
+            const fix = meas.position;
+            const z = toPhys(fix);
+            const m = fix.vel ? 6 : 3;
+            const H = LinAlg.zeros(m, N);
+            const Rm = LinAlg.zeros(m, m);
+            const y = [z[0] - x[0], z[1] - x[1], z[2] - x[2]];
+            for (let i = 0; i < 3; i++) {
+                H[i][i] = 1;
+                Rm[i][i] = Math.max(src.noise * sc.noiseScale, 0.01) ** 2;
+            }
+            if (fix.vel) {
+                const zv = toPhys(fix.vel);
+                for (let i = 0; i < 3; i++) {
+                    H[3 + i][3 + i] = 1;
+                    Rm[3 + i][3 + i] = Math.max(src.velNoise * sc.noiseScale, 0.01) ** 2;
+                    y.push(zv[i] - x[3 + i]);
+                }
+            }
+            ekfUpdate(H, y, Rm);
+
+            if (k >= 0) {
+                buffer[k].x = x.slice();
+                buffer[k].P = P.map(row => row.slice());
+                for (let i = k + 1; i < buffer.length; i++) {
+                    ekfStep(buffer[i].meas, buffer[i].dt, sc);
+                    buffer[i].x = x.slice();
+                    buffer[i].P = P.map(row => row.slice());
+                }
+            }
+        }
+
+        return {
+            p: x.slice(0, 3), v: x.slice(3, 6), q: x.slice(6, 10),
+            w: [meas.gyro[0] - x[10], meas.gyro[1] - x[11], meas.gyro[2] - x[12]],
+        };
+    }
+
+    // =====================================================================
+    //  PUBLIC INTERFACE
+    // =====================================================================
+
+    /**
+     * Advance the estimate by one physics step
+     * @param {object} s    - true state (used by TRUTH and to initialize)
+     * @param {object} meas - Sensors.sample() output
+     * @returns {object} estimated state with physics-state field names
+     */
+    function update(s, meas, t, dt) {
+        if (config.mode === 'TRUTH') {
+            needsInit = true;
+            est = s;
+            return est;
+        }
+        if (needsInit) init(s);
+
+        const r = config.mode === 'EKF'
+            ? updateEKF(meas, t, dt)
+            : updateComplementary(meas, t, dt);
+
+        const q = quat(r.q, 0);
+        const e = Physics.quatToEuler(q);
+        const prevPsi = est.psi || 0;
+        est = {
+            x: r.p[0], y: r.p[2], z: r.p[1],
+            vx: r.v[0], vy: r.v[2], vz: r.v[1],
+            qw: q.qw, qx: q.qx, qy: q.qy, qz: q.qz,
+            p: r.w[0], q: r.w[1], r: r.w[2],
+            phi: e.phi, theta: e.theta,
+            psi: prevPsi + wrap(e.psi - prevPsi),
+        };
+        return est;
+    }
+
+    function getEstimate() { return est; }
+
+    return { reset, configure, getConfig, update, getEstimate };
+})();
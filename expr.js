@@ -0,0 +1,356 @@
+/**
+ * expr.js — Safe Math Expressions
+ *
+ * Parses typed formulas such as `R*cos(w*t) + 0.5*sin(2*w*t)^2` into a
+ * tree and evaluates them without eval or Function. Only numbers, named
+ * variables, + − * / ^ (or **), unary signs, parentheses and the functions
+ * in FUNCTIONS are accepted; anything else is a parse error.
+ *
+ * Trees are evaluated on truncated Taylor series ("jets") in one variable:
+ * a value is the array [f, f′, f″/2!, f‴/3!] at the point. Evaluating at
+ * the jet of t, [t, 1, 0, 0], carries the derivatives through every
+ * operation (forward-mode automatic differentiation), so one pass gives
+ * position, velocity, acceleration and jerk to machine precision. The
+ * series recurrences are the standard ones (Griewank & Walther,
+ * "Evaluating Derivatives", ch. 13).
+ */
+
+const Expr = (() => {
+
+    const N = 4;                // jet length: value and three derivatives
+    const MAX_INT_POWER = 64;   // integer exponents up to this are multiplied out
+
+    const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+    // =====================================================================
+    //  JET ARITHMETIC
+    // =====================================================================
+
+    function constant(c) {
+        const r = new Array(N).fill(0);
+        r[0] = c;
+        return r;
+    }
+
+    function isConstant(a) {
+        for (let k = 1; k < N; k++) if (a[k] !== 0) return false;
+        return true;
+    }
+
+    function add(a, b) { return a.map((v, k) => v + b[k]); }
+    function sub(a, b) { return a.map((v, k) => v - b[k]); }
+    function neg(a) { return a.map(v => -v); }
+    function scale(a, c) { return a.map(v => v * c); }
+
+    function mul(a, b) {
+        const r = new Array(N).fill(0);
+        for (let k = 0; k < N; k++) {
+            for (let i = 0; i <= k; i++) r[k] += a[i] * b[k - i];
+        }
+        return r;
+    }
+
+    function div(a, b) {
+        const r = new Array(N);
+        for (let k = 0; k < N; k++) {
+            let s = a[k];
+            for (let i = 1; i <= k; i++) s -= b[i] * r[k - i];
+            r[k] = s / b[0];
+        }
+        return r;
+    }
+
+    function exp(a) {
+        const r = new Array(N);
+        r[0] = Math.exp(a[0]);
+        for (let k = 1; k < N; k++) {
+            let s = 0;
+            for (let i = 1; i <= k; i++) s += i * a[i] * r[k - i];
+            r[k] = s / k;
+        }
+        return r;
+    }
+
+    function log(a) {
+        const r = new Array(N);
+        r[0] = Math.log(a[0]);
+        for (let k = 1; k < N; k++) {
+            let s = k * a[k];
+            for (let i = 1; i < k; i++) s -= i * r[i] * a[k - i];
+            r[k] = s / (k * a[0]);
+        }
+        return r;
+    }
+
+    // sin and cos of a jet, built together
+    function sinCos(a) {
+        const s = new Array(N), c = new Array(N);
+        s[0] = Math.sin(a[0]);
+        c[0] = Math.cos(a[0]);
+        for (let k = 1; k < N; k++) {
+            let ss = 0, cc = 0;
+            for (let i = 1; i <= k; i++) {
+                ss += i * a[i] * c[k - i];
+                cc -= i * a[i] * s[k - i];
+            }
+            s[k] = ss / k;
+            c[k] = cc / k;
+        }
+        return [s, c];
+    }
+
+    function sqrt(a) {
+        const r = new Array(N);
+        r[0] = Math.sqrt(a[0]);
+        for (let k = 1; k < N; k++) {
+            let s = a[k];
+            for (let i = 1; i < k; i++) s -= r[i] * r[k - i];
+            r[k] = s / (2 * r[0]);
+        }
+        return r;
+    }
+
+    /**
+     * Jet of y with y′ = a′/d, starting from y(a₀) = y0 (the inverse
+     * trigonometric functions)
+     */
+    function integrateOver(a, d, y0) {
+        const r = new Array(N);
+        r[0] = y0;
+        for (let k = 1; k < N; k++) {
+            let s = k * a[k];
+            for (let i = 1; i < k; i++) s -= d[i] * (k - i) * r[k - i];
+            r[k] = s / (k * d[0]);
+        }
+        return r;
+    }
+
+    function pow(a, b) {
+        if (!isConstant(b)) return exp(mul(b, log(a)));
+        const p = b[0];
+        if (Number.isInteger(p) && Math.abs(p) <= MAX_INT_POWER) {
+            // Square and multiply, so a base of zero or below is fine
+            let r = constant(1), base = a;
+            for (let n = Math.abs(p); n > 0; n >>= 1) {
+                if (n & 1) r = mul(r, base);
+                base = mul(base, base);
+            }
+            return p < 0 ? div(constant(1), r) : r;
+        }
+        // y = aᵖ: a y′ = p a′ y
+        const r = new Array(N);
+        r[0] = Math.pow(a[0], p);
+        for (let k = 1; k < N; k++) {
+            let s = 0;
+            for (let i = 1; i <= k; i++) s += ((p + 1) * i - k) * a[i] * r[k - i];
+            r[k] = s / (k * a[0]);
+        }
+        return r;
+    }
+
+    // Piecewise constant: value only, no derivatives
+    const flat = f => a => constant(f(a[0]));
+
+    /**
+     * Functions a formula may call: arity and jet implementation
+     */
+    const FUNCTIONS = {
+        sin:   { arity: 1, fn: a => sinCos(a)[0] },
+        cos:   { arity: 1, fn: a => sinCos(a)[1] },
+        tan:   { arity: 1, fn: a => { const [s, c] = sinCos(a); return div(s, c); } },
+        asin:  { arity: 1, fn: a => integrateOver(a, sqrt(sub(constant(1), mul(a, a))), Math.asin(a[0])) },
+        acos:  { arity: 1, fn: a => neg(integrateOver(a, sqrt(sub(constant(1), mul(a, a))), -Math.acos(a[0]))) },
+        atan:  { arity: 1, fn: a => integrateOver(a, add(constant(1), mul(a, a)), Math.atan(a[0])) },
+        sinh:  { arity: 1, fn: a => scale(sub(exp(a), exp(neg(a))), 0.5) },
+        cosh:  { arity: 1, fn: a => scale(add(exp(a), exp(neg(a))), 0.5) },
+        tanh:  { arity: 1, fn: a => { const e = exp(scale(a, 2)); return div(sub(e, constant(1)), add(e, constant(1))); } },
+        exp:   { arity: 1, fn: exp },
+        log:   { arity: 1, fn: log },
+        sqrt:  { arity: 1, fn: sqrt },
+        abs:   { arity: 1, fn: a => a[0] < 0 ? neg(a) : a },
+        sign:  { arity: 1, fn: flat(Math.sign) },
+        floor: { arity: 1, fn: flat(Math.floor) },
+        mod:   { arity: 2, fn: (a, b) => sub(a, mul(b, constant(Math.floor(a[0] / b[0])))) },
+        min:   { arity: 2, fn: (a, b) => a[0] <= b[0] ? a : b },
+        max:   { arity: 2, fn: (a, b) => a[0] >= b[0] ? a : b },
+    };
+
+    const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+    // =====================================================================
+    //  PARSER
+    // =====================================================================
+    //   sum     := product (('+' | '-') product)*
+    //   product := unary (('*' | '/') unary)*
+    //   unary   := ('+' | '-') unary | power
+    //   power   := atom ('^' unary)?            right-associative, -2^2 = -4
+    //   atom    := number | name | name '(' sum (',' sum)* ')' | '(' sum ')'
+
+    function tokenize(src) {
+        const tokens = [];
+        const re = /(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(\*\*|[-+*/^(),])/y;
+        let pos = 0;
+        for (;;) {
+            while (pos < src.length && /\s/.test(src[pos])) pos++;
+            if (pos >= src.length) break;
+            re.lastIndex = pos;
+            const m = re.exec(src);
+            if (!m) throw new Error(`Expr: unexpected '${src[pos]}' at ${pos + 1}`);
+            if (m[1] !== undefined) tokens.push({ type: 'num', value: parseFloat(m[1]), at: pos });
+            else if (m[2] !== undefined) tokens.push({ type: 'name', value: m[2], at: pos });
+            else tokens.push({ type: 'op', value: m[3] === '**' ? '^' : m[3], at: pos });
+            pos = re.lastIndex;
+        }
+        return tokens;
+    }
+
+    /**
+     * Parse a formula into a tree
+     * @param {string} src
+     * @returns {object} tree of { type: 'num' | 'var' | 'neg' | 'op' | 'call', … }
+     * @throws {Error} with the position of the first thing it cannot read
+     */
+    function parse(src) {
+        const tokens = tokenize(src);
+        let i = 0;
+        const peek = () => tokens[i];
+        const isOp = (v) => peek() && peek().type === 'op' && peek().value === v;
+        const fail = (msg) => {
+            const tok = peek();
+            throw new Error(`Expr: ${msg} ${tok ? `at ${tok.at + 1}` : 'at the end'}`);
+        };
+        const expect = (v) => { if (!isOp(v)) fail(`expected '${v}'`); i++; };
+
+        function sum() {
+            let node = product();
+            while (isOp('+') || isOp('-')) {
+                const op = tokens[i++].value;
+                node = { type: 'op', op, a: node, b: product() };
+            }
+            return node;
+        }
+
+        function product() {
+            let node = unary();
+            while (isOp('*') || isOp('/')) {
+                const op = tokens[i++].value;
+                node = { type: 'op', op, a: node, b: unary() };
+            }
+            return node;
+        }
+
+        function unary() {
+            if (isOp('+')) { i++; return unary(); }
+            if (isOp('-')) { i++; return { type: 'neg', a: unary() }; }
+            return power();
+        }
+
+        function power() {
+            const base = atom();
+            if (isOp('^')) { i++; return { type: 'op', op: '^', a: base, b: unary() }; }
+            return base;
+        }
+
+        function atom() {
+            const tok = peek();
+            if (!tok) fail('expected a value');
+            if (tok.type === 'num') { i++; return { type: 'num', value: tok.value }; }
+            if (tok.type === 'name') {
+                i++;
+                if (!isOp('(')) return { type: 'var', name: tok.value };
+                if (!has(FUNCTIONS, tok.value)) { i--; fail(`unknown function '${tok.value}'`); }
+                i++;
+                const args = [sum()];
+                while (isOp(',')) { i++; args.push(sum()); }
+                expect(')');
+                const arity = FUNCTIONS[tok.value].arity;
+                if (args.length !== arity) {
+                    throw new Error(`Expr: ${tok.value}() takes ${arity} argument${arity > 1 ? 's' : ''}`);
+                }
+                return { type: 'call', name: tok.value, args };
+            }
+            if (isOp('(')) {
+                i++;
+                const node = sum();
+                expect(')');
+                return node;
+            }
+            return fail('expected a value');
+        }
+
+        if (tokens.length === 0) throw new Error('Expr: empty formula');
+        const tree = sum();
+        if (i < tokens.length) fail(`unexpected '${peek().value}'`);
+        return tree;
+    }
+
+    // =====================================================================
+    //  PUBLIC INTERFACE
+    // =====================================================================
+
+    /**
+     * Names a tree reads that are not built-in constants, in order of first
+     * use
+     */
+    function variables(tree, out = []) {
+        if (tree.type === 'var' && !has(CONSTANTS, tree.name) && !out.includes(tree.name)) out.push(tree.name);
+        if (tree.a) variables(tree.a, out);
+        if (tree.b) variables(tree.b, out);
+        if (tree.args) tree.args.forEach(arg => variables(arg, out));
+        return out;
+    }
+
+    /**
+     * Evaluate a tree on jets
+     * @param {object} tree - from parse()
+     * @param {object} vars - name → jet, or name → number for a constant
+     * @returns {number[]} [f, f′, f″/2, f‴/6]
+     */
+    function evaluate(tree, vars) {
+        switch (tree.type) {
+            case 'num':
+                return constant(tree.value);
+            case 'var': {
+                if (has(vars, tree.name)) {
+                    const v = vars[tree.name];
+                    return typeof v === 'number' ? constant(v) : v;
+                }
+                if (has(CONSTANTS, tree.name)) return constant(CONSTANTS[tree.name]);
+                throw new Error(`Expr: unknown name '${tree.name}'`);
+            }
+            case 'neg':
+                return neg(evaluate(tree.a, vars));
+            case 'op': {
+                const a = evaluate(tree.a, vars), b = evaluate(tree.b, vars);
+                switch (tree.op) {
+                    case '+': return add(a, b);
+                    case '-': return sub(a, b);
+                    case '*': return mul(a, b);
+                    case '/': return div(a, b);
+                    default:  return pow(a, b);
+                }
+            }
+            default:
+                return FUNCTIONS[tree.name].fn(...tree.args.map(arg => evaluate(arg, vars)));
+        }
+    }
+
+    /**
+     * Jet of the independent variable at x: value x, unit rate
+     */
+    function variable(x) {
+        const r = constant(x);
+        r[1] = 1;
+        return r;
+    }
+
+    /**
+     * The derivatives [f, f′, f″, f‴] held in a jet
+     */
+    function derivatives(jet) {
+        let factorial = 1;
+        return jet.map((c, k) => c * (factorial *= k || 1));
+    }
+
+    return { parse, variables, evaluate, variable, derivatives, FUNCTIONS, CONSTANTS };
+})();
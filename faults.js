@@ -0,0 +1,169 @@
+/**
+ * faults.js — Scripted Fault Injection
+ *
+ * A schedule of fault events, each active from its start time for a
+ * duration (0 = until reset):
+ *
+ *   MOTOR_EFFICIENCY — rotor produces only η % of its thrust and torque
+ *   MOTOR_DEAD       — rotor loses power and spins down
+ *   MOTOR_STUCK      — rotor holds the speed it had at the fault
+ *   GYRO_STUCK       — gyro output freezes at its last value
+ *   GYRO_NOISE       — gyro white noise multiplied by a factor
+ *
+ * Motor faults act on the plant through Physics.setRotorFaults(); gyro
+ * faults act on Sensors, so they only reach a controller through an
+ * estimator. In fault-tolerant mode the allocator is rebuilt around the
+ * active motor faults (ideal detection: the fault is known the step it
+ * happens — see Physics.reconfigureAllocator).
+ *
+ * Onsets and recoveries are reported as short labels so the charts and
+ * the CSV log can mark them.
+ */
+
+const Faults = (() => {
+
+    const types = {
+        MOTOR_EFFICIENCY: { name: 'Motor efficiency', motor: true, value: { label: 'η %', default: 60 } },
+        MOTOR_DEAD:       { name: 'Motor dead',       motor: true },
+        MOTOR_STUCK:      { name: 'Motor stuck',      motor: true },
+        GYRO_STUCK:       { name: 'Gyro frozen' },
+        GYRO_NOISE:       { name: 'Gyro noisy',       value: { label: 'σ ×', default: 20 } },
+    };
+
+    let events = [];            // [{ t, duration, type, motor, value }] sorted by t
+    let active = new Set();     // events active on the previous update
+    let faultTolerant = false;
+    let allocation = { ok: true, yawDropped: false };
+    let appliedKey = null;      // last applied fault set, to skip redundant rebuilds
+    let lastT = -Infinity;      // time of the last update
+
+    // =====================================================================
+    //  HELPERS
+    // =====================================================================
+
+    function isActive(ev, t) {
+        return t >= ev.t && (ev.duration <= 0 || t < ev.t + ev.duration);
+    }
+
+    function describe(ev) {
+        const who = types[ev.type].motor ? `M${ev.motor + 1} ` : '';
+        switch (ev.type) {
+            case 'MOTOR_EFFICIENCY': return `${who}η=${ev.value}%`;
+            case 'MOTOR_DEAD':       return `${who}dead`;
+            case 'MOTOR_STUCK':      return `${who}stuck`;
+            case 'GYRO_STUCK':       return 'gyro frozen';
+            case 'GYRO_NOISE':       return `gyro noise ×${ev.value}`;
+        }
+        return ev.type;
+    }
+
+    /**
+     * Combine every active event into the per-rotor plant condition and the
+     * sensor fault flags. Overlapping efficiency faults multiply.
+     */
+    function combine(t) {
+        const n = Physics.getRotorCount();
+        const rotors = [];
+        for (let i = 0; i < n; i++) rotors.push({ efficiency: 1, dead: false, stuck: false });
+        const sensors = { gyroStuck: false, gyroNoise: 1 };
+
+        events.forEach(ev => {
+            if (!isActive(ev, t)) return;
+            const r = types[ev.type].motor ? rotors[ev.motor] : null;
+            if (types[ev.type].motor && !r) return;   // rotor not on this airframe
+            switch (ev.type) {
+                case 'MOTOR_EFFICIENCY': r.efficiency *= Math.max(0, ev.value) / 100; break;
+                case 'MOTOR_DEAD':       r.dead = true; break;
+                case 'MOTOR_STUCK':      r.stuck = true; break;
+                case 'GYRO_STUCK':       sensors.gyroStuck = true; break;
+                case 'GYRO_NOISE':       sensors.gyroNoise *= Math.max(0, ev.value); break;
+            }
+        });
+        return { rotors, sensors };
+    }
+
+    function apply(state) {
+        const key = JSON.stringify(state) + faultTolerant;
+        if (key === appliedKey) return;
+        appliedKey = key;
+        Physics.setRotorFaults(state.rotors);
+        Sensors.setFaults(state.sensors);
+        allocation = Physics.reconfigureAllocator(faultTolerant ? state.rotors : null);
+    }
+
+    // =====================================================================
+    //  PUBLIC INTERFACE
+    // =====================================================================
+
+    /**
+     * Clear all active faults (the schedule is kept and replays from t = 0)
+     */
+    function reset() {
+        active.clear();
+        appliedKey = null;
+        lastT = -Infinity;
+        apply(combine(lastT));
+    }
+
+    /**
+     * Apply the faults active at time t
+     * @returns {string[]} labels of faults that started or cleared this step
+     */
+    function update(t) {
+        const fired = [];
+        events.forEach(ev => {
+            const now = isActive(ev, t);
+            if (now === active.has(ev)) return;
+            fired.push(now ? describe(ev) : describe(ev) + ' cleared');
+            if (now) active.add(ev); else active.delete(ev);
+        });
+        lastT = t;
+        apply(combine(t));
+        return fired;
+    }
+
+    function addEvent(ev) {
+        if (!types[ev.type]) return null;
+        const def = types[ev.type];
+        const e = {
+            t: Math.max(0, ev.t || 0),
+            duration: Math.max(0, ev.duration || 0),
+            type: ev.type,
+            motor: def.motor ? Math.max(0, Math.floor(ev.motor || 0)) : null,
+            value: def.value ? (ev.value === undefined ? def.value.default : ev.value) : null,
+        };
+        events.push(e);
+        events.sort((a, b) => a.t - b.t);
+        return e;
+    }
+
+    function removeEvent(idx) {
+        const [ev] = events.splice(idx, 1);
+        active.delete(ev);
+        apply(combine(lastT));
+    }
+
+    function clear() {
+        events = [];
+        active.clear();
+        apply(combine(lastT));
+    }
+
+    /**
+     * Switch fault-tolerant allocation on/off (takes effect immediately)
+     */
+    function setFaultTolerant(on) {
+        faultTolerant = !!on;
+        apply(combine(lastT));
+    }
+
+    function getEvents() { return events; }
+    function getTypes() { return types; }
+    function getAllocation() { return { ...allocation, faultTolerant }; }
+    function getActiveLabels(t) { return events.filter(ev => isActive(ev, t)).map(describe); }
+
+    return {
+        reset, update, addEvent, removeEvent, clear, setFaultTolerant,
+        getEvents, getTypes, getAllocation, getActiveLabels, describe,
+    };
+})();
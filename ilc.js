@@ -0,0 +1,256 @@
+/**
+ * ilc.js — Iterative Learning Control
+ *
+ * A learning layer that wraps whichever controller is flying. On periodic
+ * patterns (Trajectories.getPeriod) the position error of every lap is
+ * binned by lap phase, and after each complete lap the correction table
+ * is updated
+ *
+ *   Δ_{k+1}(φ) = Q[ Δ_k(φ) + γ · e_k(φ + t_lead) ]
+ *
+ * with e = r − p the position error, γ the learning gain, t_lead a phase
+ * lead that makes up for the closed-loop lag, and Q a zero-phase low-pass
+ * (first-order filter run forwards and backwards around the lap) that
+ * keeps the learning out of the band the loop cannot follow.
+ *
+ * The correction is a feedforward on the reference: the base controller
+ * is asked to track r + Δ (and ṙ + Δ̇), so it works the same for every
+ * controller, including MPC through its lookahead function. The error is
+ * taken from the same (estimated) state the controller sees.
+ *
+ * A lap is learned from only if the vehicle was armed for all of it, so the
+ * take-off lap and laps cut by a disarm or crash are reported but skipped.
+ * If a lap comes out more than 20 % (and 2 cm) worse than the best so far, the
+ * table goes back to the one that flew the best lap and the gain is halved:
+ * the loop only learns what actually repeats, and a limit cycle or gusts
+ * do not. The table is dropped whenever the pattern or its parameters change.
+ */
+
+const ILC = (() => {
+
+    const BIN_DT = 0.05;        // phase resolution of the tables [s]
+    const MAX_LAPS = 60;        // lap history kept for the convergence chart
+    const AXES = ['x', 'y', 'z'];
+    const WORSE = 1.2;          // lap RMS over the best lap's that triggers a rollback,
+    const SCATTER = 0.02;       // once past the lap-to-lap scatter of a converged loop [m]
+
+    const config = {
+        enabled: false,
+        gain: 0.6,              // learning gain γ
+        lead: 0.3,              // phase lead t_lead [s]
+        cutoff: 0.5,            // Q-filter cutoff [Hz]
+    };
+
+    let key = null;             // pattern and parameters the tables belong to
+    let period = 0;             // [s]
+    let bins = 0;
+    let corr = null;            // { x, y, z } correction per bin [m]
+    let best = null;            // table that flew the best learned lap, and its RMS
+    let step = 1;               // learning gain scale, halved on each rollback
+    let lap = null;             // lap being recorded
+    let laps = [];              // [{ lap, rms, ilc, learned }]
+
+    // =====================================================================
+    //  HELPERS
+    // =====================================================================
+
+    function zeros() {
+        return { x: new Float64Array(bins), y: new Float64Array(bins), z: new Float64Array(bins) };
+    }
+
+    function newLap(index) {
+        return {
+            index,
+            sum: zeros(),               // summed error per bin
+            count: new Uint16Array(bins),
+            sq: 0, n: 0,                // running Σ‖e‖² for the RMS
+            clean: true,                // armed for the whole lap
+            ilc: config.enabled,
+        };
+    }
+
+    /**
+     * Point the tables at a pattern; returns false when it is not periodic
+     */
+    function sync(pattern) {
+        const T = Trajectories.getPeriod(pattern);
+        if (!T) return false;
+        const k = pattern + JSON.stringify(Trajectories.getPatterns()[pattern].params);
+        if (k !== key) {
+            key = k;
+            period = T;
+            bins = Math.max(4, Math.round(T / BIN_DT));
+            corr = zeros();
+            best = null;
+            step = 1;
+            lap = null;
+            laps = [];
+        }
+        return true;
+    }
+
+    /**
+     * Zero-phase first-order low-pass on a periodic signal: one pass each
+     * way around the lap, each started from a warm-up lap.
+     */
+    function zeroPhase(u) {
+        const n = u.length;
+        const a = 1 - Math.exp(-2 * Math.PI * config.cutoff * period / n);
+        const out = new Float64Array(n);
+        let y = u[n - 1];
+        for (let pass = 0; pass < 2; pass++) {
+            for (let i = 0; i < n; i++) { y += a * (u[i] - y); if (pass) out[i] = y; }
+        }
+        y = out[0];
+        for (let pass = 0; pass < 2; pass++) {
+            for (let i = n - 1; i >= 0; i--) { y += a * (out[i] - y); if (pass) out[i] = y; }
+        }
+        return out;
+    }
+
+    /**
+     * Close the recorded lap: log its RMS and, if it was complete, learn
+     * from it
+     */
+    function finishLap() {
+        if (!lap || lap.n === 0) return;
+        const filled = lap.count.reduce((c, v) => c + (v > 0), 0);
+        const rms = Math.sqrt(lap.sq / lap.n);
+        let learned = config.enabled && lap.clean && filled > 0.9 * bins;
+        let rolledBack = false;
+        if (learned && best && rms > WORSE * best.rms + SCATTER) {
+            // Learning made things worse (non-repeating error, or too much
+            // gain/bandwidth): go back to the best table, take smaller steps
+            corr = best.corr;
+            step *= 0.5;
+            learned = false;
+            rolledBack = true;
+        }
+        laps.push({ lap: lap.index, rms, ilc: lap.ilc, learned, rolledBack });
+        if (laps.length > MAX_LAPS) laps.shift();
+        if (!learned) return;
+
+        if (!best || rms <= best.rms) best = { corr, rms };
+
+        const shift = Math.round(config.lead / period * bins);
+        const next = {};
+        AXES.forEach(ax => {
+            // Mean error per bin; the odd empty bin takes its predecessor's
+            const e = new Float64Array(bins);
+            let last = 0;
+            for (let i = 0; i < bins; i++) {
+                if (lap.count[i]) last = lap.sum[ax][i] / lap.count[i];
+                e[i] = last;
+            }
+            const raw = new Float64Array(bins);
+            for (let i = 0; i < bins; i++) {
+                raw[i] = corr[ax][i] + step * config.gain * e[(i + shift) % bins];
+            }
+            next[ax] = zeroPhase(raw);
+        });
+        corr = next;
+    }
+
+    // =====================================================================
+    //  PUBLIC INTERFACE
+    // =====================================================================
+
+    /**
+     * Forget the learned correction and the lap history
+     */
+    function reset() {
+        key = null;
+        corr = null;
+        best = null;
+        step = 1;
+        lap = null;
+        laps = [];
+    }
+
+    function configure(changes) {
+        Object.assign(config, changes);
+        if (lap && 'enabled' in changes) lap.clean = false;
+    }
+
+    function getConfig() { return { ...config }; }
+
+    /**
+     * The reference the base controller should track at time t: the target
+     * shifted by the learned correction, with its phase derivative added
+     * to the velocity. Unchanged when learning is off or the pattern does
+     * not repeat.
+     */
+    function apply(pattern, target, t) {
+        if (!config.enabled || !sync(pattern)) return target;
+        const u = ((t % period) + period) % period / period * bins;
+        const i0 = Math.floor(u) % bins, i1 = (i0 + 1) % bins, f = u - Math.floor(u);
+        const out = { ...target };
+        AXES.forEach(ax => {
+            const c = corr[ax];
+            out[ax] += c[i0] + f * (c[i1] - c[i0]);
+            out['v' + ax] = (target['v' + ax] || 0) + (c[i1] - c[i0]) * bins / period;
+        });
+        return out;
+    }
+
+    /**
+     * Lookahead function with the correction applied (for MPC)
+     */
+    function wrapTrajectory(pattern, trajFn) {
+        if (!config.enabled || !Trajectories.getPeriod(pattern)) return trajFn;
+        return (t) => apply(pattern, trajFn(t), t);
+    }
+
+    /**
+     * Record one control step of tracking error against the true target
+     * (not the shifted one), from the state the controller sees. Called
+     * every control step; flying is false while disarmed or crashed, which
+     * spoils the lap.
+     */
+    function record(pattern, t, target, state, flying) {
+        if (!sync(pattern)) return;
+        const index = Math.floor(t / period + 1e-9);
+        if (!lap || lap.index !== index) {
+            finishLap();
+            lap = newLap(index);
+        }
+        if (!flying) { lap.clean = false; return; }
+        const i = Math.min(bins - 1, Math.floor((t - index * period) / period * bins));
+        let sq = 0;
+        AXES.forEach(ax => {
+            const e = target[ax] - state[ax];
+            lap.sum[ax][i] += e;
+            sq += e * e;
+        });
+        lap.count[i]++;
+        lap.sq += sq;
+        lap.n++;
+    }
+
+    /**
+     * Completed laps, oldest first: { lap, rms [m], ilc, learned, rolledBack }
+     */
+    function getLaps() { return laps.slice(); }
+
+    /**
+     * Period, current lap and the largest correction in the table
+     */
+    function getStatus() {
+        let maxCorr = 0;
+        if (corr) {
+            for (let i = 0; i < bins; i++) {
+                maxCorr = Math.max(maxCorr, Math.hypot(corr.x[i], corr.y[i], corr.z[i]));
+            }
+        }
+        return {
+            period: corr ? period : 0,
+            bins: corr ? bins : 0,
+            lap: lap ? lap.index : 0,
+            learnedLaps: laps.filter(l => l.learned).length,
+            step,
+            maxCorr,
+        };
+    }
+
+    return { reset, configure, getConfig, apply, wrapTrajectory, record, getLaps, getStatus };
+})();
@@ -0,0 +1,356 @@
+/**
+ * linalg.js — Small Dense Linear Algebra
+ *
+ * Matrices are plain arrays of row arrays, vectors are plain arrays.
+ * Sized for the problems in this lab (mixers, estimators, horizons of a
+ * few dozen steps, 12-state LQR designs) — no attempt at sparsity or
+ * blocking.
+ */
+
+const LinAlg = (() => {
+
+    function zeros(rows, cols) {
+        const A = new Array(rows);
+        for (let i = 0; i < rows; i++) A[i] = new Array(cols).fill(0);
+        return A;
+    }
+
+    function eye(n) {
+        const A = zeros(n, n);
+        for (let i = 0; i < n; i++) A[i][i] = 1;
+        return A;
+    }
+
+    function transpose(A) {
+        const rows = A.length, cols = A[0].length;
+        const T = zeros(cols, rows);
+        for (let i = 0; i < rows; i++)
+            for (let j = 0; j < cols; j++) T[j][i] = A[i][j];
+        return T;
+    }
+
+    function mul(A, B) {
+        const n = A.length, k = B.length, m = B[0].length;
+        const C = zeros(n, m);
+        for (let i = 0; i < n; i++) {
+            const Ai = A[i], Ci = C[i];
+            for (let l = 0; l < k; l++) {
+                const a = Ai[l];
+                if (a === 0) continue;
+                const Bl = B[l];
+                for (let j = 0; j < m; j++) Ci[j] += a * Bl[j];
+            }
+        }
+        return C;
+    }
+
+    function mulVec(A, x) {
+        const y = new Array(A.length).fill(0);
+        for (let i = 0; i < A.length; i++) {
+            let acc = 0;
+            const Ai = A[i];
+            for (let j = 0; j < x.length; j++) acc += Ai[j] * x[j];
+            y[i] = acc;
+        }
+        return y;
+    }
+
+    /**
+     * Inverse via Gauss-Jordan elimination with partial pivoting.
+     * Returns null if the matrix is singular to working precision.
+     */
+    function inv(A) {
+        const n = A.length;
+        const M = A.map((row, i) => {
+            const r = row.slice();
+            for (let j = 0; j < n; j++) r.push(i === j ? 1 : 0);
+            return r;
+        });
+        for (let c = 0; c < n; c++) {
+            let piv = c;
+            for (let r = c + 1; r < n; r++) {
+                if (Math.abs(M[r][c]) > Math.abs(M[piv][c])) piv = r;
+            }
+            if (Math.abs(M[piv][c]) < 1e-14) return null;
+            [M[c], M[piv]] = [M[piv], M[c]];
+            const d = M[c][c];
+            for (let j = 0; j < 2 * n; j++) M[c][j] /= d;
+            for (let r = 0; r < n; r++) {
+                if (r === c) continue;
+                const f = M[r][c];
+                if (f === 0) continue;
+                for (let j = 0; j < 2 * n; j++) M[r][j] -= f * M[c][j];
+            }
+        }
+        return M.map(row => row.slice(n));
+    }
+
+    /**
+     * Moore–Penrose right pseudo-inverse Aᵀ(AAᵀ)⁻¹ for a full-row-rank A
+     */
+    function pinvRight(A) {
+        const At = transpose(A);
+        const AAtInv = inv(mul(A, At));
+        return AAtInv ? mul(At, AAtInv) : null;
+    }
+
+    function add(A, B) { return A.map((row, i) => row.map((v, j) => v + B[i][j])); }
+    function sub(A, B) { return A.map((row, i) => row.map((v, j) => v - B[i][j])); }
+    function scale(A, k) { return A.map(row => row.map(v => v * k)); }
+
+    /**
+     * Matrix exponential — scaling and squaring with a Taylor core
+     */
+    function expm(A) {
+        const n = A.length;
+        let norm = 0;
+        for (const row of A) norm = Math.max(norm, row.reduce((acc, v) => acc + Math.abs(v), 0));
+        const sq = Math.max(0, Math.ceil(Math.log2(norm || 1)) + 1);
+        const As = scale(A, 1 / Math.pow(2, sq));
+        let E = eye(n), term = eye(n);
+        for (let k = 1; k <= 12; k++) {
+            term = scale(mul(term, As), 1 / k);
+            E = add(E, term);
+        }
+        for (let i = 0; i < sq; i++) E = mul(E, E);
+        return E;
+    }
+
+    /**
+     * Zero-order-hold discretization of ẋ = Ax + Bu
+     * Uses exp([[A, B], [0, 0]]·dt) = [[Ad, Bd], [0, I]]
+     */
+    function c2d(A, B, dt) {
+        const n = A.length, m = B[0].length;
+        const M = zeros(n + m, n + m);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) M[i][j] = A[i][j] * dt;
+            for (let j = 0; j < m; j++) M[i][n + j] = B[i][j] * dt;
+        }
+        const E = expm(M);
+        return {
+            Ad: E.slice(0, n).map(row => row.slice(0, n)),
+            Bd: E.slice(0, n).map(row => row.slice(n)),
+        };
+    }
+
+    /**
+     * Stabilizing solution of the discrete algebraic Riccati equation
+     *   X = AᵀXA − AᵀXB(R + BᵀXB)⁻¹BᵀXA + Q
+     * by the structure-preserving doubling algorithm (quadratic
+     * convergence). Needs (A, B) stabilizable and (A, Q) detectable.
+     * @returns {number[][]|null} X, or null if it did not converge
+     */
+    function dare(A, B, Q, R, tol = 1e-10, maxIter = 60) {
+        const n = A.length;
+        const Rinv = inv(R);
+        if (!Rinv) return null;
+        let Ak = A, Gk = mul(mul(B, Rinv), transpose(B)), Hk = Q;
+        for (let it = 0; it < maxIter; it++) {
+            const W = add(eye(n), mul(Gk, Hk));
+            const Winv = inv(W);
+            if (!Winv) return null;
+            const WA = mul(Winv, Ak);
+            const AkT = transpose(Ak);
+            const Hn = add(Hk, mul(mul(AkT, Hk), WA));
+            const Gn = add(Gk, mul(mul(Ak, mul(Winv, Gk)), AkT));
+            Ak = mul(Ak, WA);
+            let diff = 0, size = 0;
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    diff = Math.max(diff, Math.abs(Hn[i][j] - Hk[i][j]));
+                    size = Math.max(size, Math.abs(Hn[i][j]));
+                }
+            }
+            Hk = Hn; Gk = Gn;
+            if (diff <= tol * Math.max(size, 1)) return Hk;
+        }
+        return null;
+    }
+
+    /**
+     * Eigenvalues of a real square matrix: balancing, reduction to upper
+     * Hessenberg form by elimination, then the Francis double-shift QR
+     * iteration (after Numerical Recipes' balanc/elmhes/hqr).
+     * @returns {{re: number, im: number}[]|null} null if QR did not converge
+     */
+    function eigenvalues(M) {
+        const n = M.length;
+        // 1-based working copy keeps the classic indexing
+        const a = [null, ...M.map(row => [0, ...row])];
+
+        // Balance rows and columns to comparable norms
+        const RADIX = 2, sqrdx = RADIX * RADIX;
+        let done = false;
+        while (!done) {
+            done = true;
+            for (let i = 1; i <= n; i++) {
+                let r = 0, c = 0;
+                for (let j = 1; j <= n; j++) {
+                    if (j !== i) { c += Math.abs(a[j][i]); r += Math.abs(a[i][j]); }
+                }
+                if (c && r) {
+                    let g = r / RADIX, f = 1;
+                    const s = c + r;
+                    while (c < g) { f *= RADIX; c *= sqrdx; }
+                    g = r * RADIX;
+                    while (c > g) { f /= RADIX; c /= sqrdx; }
+                    if ((c + r) / f < 0.95 * s) {
+                        done = false;
+                        g = 1 / f;
+                        for (let j = 1; j <= n; j++) a[i][j] *= g;
+                        for (let j = 1; j <= n; j++) a[j][i] *= f;
+                    }
+                }
+            }
+        }
+
+        // Hessenberg reduction by Gaussian elimination with pivoting
+        for (let m = 2; m < n; m++) {
+            let x = 0, i = m;
+            for (let j = m; j <= n; j++) {
+                if (Math.abs(a[j][m - 1]) > Math.abs(x)) { x = a[j][m - 1]; i = j; }
+            }
+            if (i !== m) {
+                for (let j = m - 1; j <= n; j++) [a[i][j], a[m][j]] = [a[m][j], a[i][j]];
+                for (let j = 1; j <= n; j++) [a[j][i], a[j][m]] = [a[j][m], a[j][i]];
+            }
+            if (x) {
+                for (i = m + 1; i <= n; i++) {
+                    let y = a[i][m - 1];
+                    if (y) {
+                        y /= x;
+                        a[i][m - 1] = 0;
+                        for (let j = m; j <= n; j++) a[i][j] -= y * a[m][j];
+                        for (let j = 1; j <= n; j++) a[j][m] += y * a[j][i];
+                    }
+                }
+            }
+        }
+
+        // Shifted QR on the Hessenberg matrix
+        const wr = new Array(n + 1).fill(0), wi = new Array(n + 1).fill(0);
+        const sign = (v, s) => (s >= 0 ? Math.abs(v) : -Math.abs(v));
+        let anorm = 0;
+        for (let i = 1; i <= n; i++)
+            for (let j = Math.max(i - 1, 1); j <= n; j++) anorm += Math.abs(a[i][j]);
+
+        let nn = n, t = 0;
+        let p = 0, q = 0, r = 0, s = 0, w = 0, x = 0, y = 0, z = 0;
+        while (nn >= 1) {
+            let its = 0, l;
+            do {
+                for (l = nn; l >= 2; l--) {
+                    s = Math.abs(a[l - 1][l - 1]) + Math.abs(a[l][l]);
+                    if (s === 0) s = anorm;
+                    if (Math.abs(a[l][l - 1]) <= Number.EPSILON * s) {
+                        a[l][l - 1] = 0;
+                        break;
+                    }
+                }
+                x = a[nn][nn];
+                if (l === nn) {
+                    // One root found
+                    wr[nn] = x + t;
+                    wi[nn--] = 0;
+                } else {
+                    y = a[nn - 1][nn - 1];
+                    w = a[nn][nn - 1] * a[nn - 1][nn];
+                    if (l === nn - 1) {
+                        // Two roots found
+                        p = 0.5 * (y - x);
+                        q = p * p + w;
+                        z = Math.sqrt(Math.abs(q));
+                        x += t;
+                        if (q >= 0) {
+                            z = p + sign(z, p);
+                            wr[nn - 1] = wr[nn] = x + z;
+                            if (z) wr[nn] = x - w / z;
+                            wi[nn - 1] = wi[nn] = 0;
+                        } else {
+                            wr[nn - 1] = wr[nn] = x + p;
+                            wi[nn - 1] = -(wi[nn] = z);
+                        }
+                        nn -= 2;
+                    } else {
+                        if (its === 60) return null;
+                        if (its === 10 || its === 20) {
+                            // Exceptional shift
+                            t += x;
+                            for (let i = 1; i <= nn; i++) a[i][i] -= x;
+                            s = Math.abs(a[nn][nn - 1]) + Math.abs(a[nn - 1][nn - 2]);
+                            y = x = 0.75 * s;
+                            w = -0.4375 * s * s;
+                        }
+                        ++its;
+                        let m;
+                        for (m = nn - 2; m >= l; m--) {
+                            z = a[m][m];
+                            r = x - z;
+                            s = y - z;
+                            p = (r * s - w) / a[m + 1][m] + a[m][m + 1];
+                            q = a[m + 1][m + 1] - z - r - s;
+                            r = a[m + 2][m + 1];
+                            s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                            p /= s; q /= s; r /= s;
+                            if (m === l) break;
+                            const u = Math.abs(a[m][m - 1]) * (Math.abs(q) + Math.abs(r));
+                            const v = Math.abs(p) * (Math.abs(a[m - 1][m - 1]) + Math.abs(z) + Math.abs(a[m + 1][m + 1]));
+                            if (u <= Number.EPSILON * v) break;
+                        }
+                        for (let i = m + 2; i <= nn; i++) {
+                            a[i][i - 2] = 0;
+                            if (i !== m + 2) a[i][i - 3] = 0;
+                        }
+                        for (let k = m; k <= nn - 1; k++) {
+                            if (k !== m) {
+                                p = a[k][k - 1];
+                                q = a[k + 1][k - 1];
+                                r = 0;
+                                if (k !== nn - 1) r = a[k + 2][k - 1];
+                                if ((x = Math.abs(p) + Math.abs(q) + Math.abs(r)) !== 0) {
+                                    p /= x; q /= x; r /= x;
+                                }
+                            }
+                            if ((s = sign(Math.sqrt(p * p + q * q + r * r), p)) !== 0) {
+                                if (k === m) {
+                                    if (l !== m) a[k][k - 1] = -a[k][k - 1];
+                                } else {
+                                    a[k][k - 1] = -s * x;
+                                }
+                                p += s;
+                                x = p / s; y = q / s; z = r / s;
+                                q /= p; r /= p;
+                                for (let j = k; j <= nn; j++) {
+                                    p = a[k][j] + q * a[k + 1][j];
+                                    if (k !== nn - 1) {
+                                        p += r * a[k + 2][j];
+                                        a[k + 2][j] -= p * z;
+                                    }
+                                    a[k + 1][j] -= p * y;
+                                    a[k][j] -= p * x;
+                                }
+                                const mmin = nn < k + 3 ? nn : k + 3;
+                                for (let i = l; i <= mmin; i++) {
+                                    p = x * a[i][k] + y * a[i][k + 1];
+                                    if (k !== nn - 1) {
+                                        p += z * a[i][k + 2];
+                                        a[i][k + 2] -= p * r;
+                                    }
+                                    a[i][k + 1] -= p * q;
+                                    a[i][k] -= p;
+                                }
+                            }
+                        }
+                    }
+                }
+            } while (l < nn - 1);
+        }
+
+        const out = [];
+        for (let i = 1; i <= n; i++) out.push({ re: wr[i], im: wi[i] });
+        return out;
+    }
+
+    return { zeros, eye, transpose, mul, mulVec, add, sub, scale, inv, pinvRight, expm, c2d, dare, eigenvalues };
+})();
@@ -1,13 +1,48 @@
 /**
  * physics.js — 6-DOF Rigid Body Quadrotor Dynamics
  * 
- * State vector: [x, y, z, vx, vy, vz, φ, θ, ψ, p, q, r]
+ * State vector: [x, y, z, vx, vy, vz, qw, qx, qy, qz, p, q, r]
  *   Position (x,y,z) in world frame
  *   Velocity (vx,vy,vz) in world frame
- *   Euler angles (φ=roll, θ=pitch, ψ=yaw) ZYX convention
+ *   Attitude quaternion (qw,qx,qy,qz), body → world, renormalized each step
  *   Angular rates (p,q,r) in body frame
  *
- * Inputs: [T, τ_φ, τ_θ, τ_ψ] — total thrust + torques
+ * Euler angles (φ=roll, θ=pitch, ψ=yaw, ZYX convention) are derived from the
+ * quaternion after every step and exposed on the state for telemetry,
+ * logging and rendering. They are never integrated, so there is no gimbal
+ * singularity at θ = ±90°.
+ *
+ * Inputs: [T, τ_φ, τ_θ, τ_ψ] — total thrust + torques (commanded)
+ *
+ * Actuator layer: the commanded wrench is mixed into rotor speeds, clamped
+ * to [wMin, wMax], then passed through a first-order motor lag with a
+ * spin-up/down rate limit. The forces and torques that drive the dynamics
+ * are recomputed from those actual rotor speeds.
+ *
+ * Rotor faults (see faults.js) act on the plant side of this path: a rotor
+ * can lose efficiency (thrust and reaction torque scaled), die (no power,
+ * spins down through the motor lag) or stick at its current speed. The
+ * allocator only learns about them through reconfigureAllocator().
+ *
+ * Ground contact: the landing-gear feet and the rotor hubs are contact
+ * points against the plane y = 0. Each penetrating point gets a
+ * spring-damper normal force and regularized Coulomb friction, applied at
+ * the point, so the vehicle can sit, slide or tip over. Touchdowns that are
+ * too fast or too tilted, and any hub striking the ground, mark the state as
+ * crashed. A disarmed vehicle (the initial state) gets no motor power.
+ *
+ * Integration: explicit Euler, semi-implicit (symplectic) Euler, classic
+ * RK4 (default) or adaptive Dormand–Prince RK4(5), which subdivides each
+ * step to keep the local error within tolerance. The actuator layer and the
+ * wrench are held constant over a step in every scheme.
+ *
+ * The battery (see battery.js) limits the reachable motor speed to
+ * wMax × supplyScale, the loaded pack voltage over its full-charge value.
+ *
+ * Optional rotor aerodynamics (all off by default, see setAero): ground
+ * effect and thrust loss with axial inflow scale each rotor's thrust; rotor
+ * drag and blade flapping add a force and a moment proportional to thrust
+ * times the in-plane airspeed. None of them is known to the controllers.
  *
  * References:
  *   Bouabdallah, "Design and control of quadrotors with application to autonomous flying," EPFL 2007
@@ -15,7 +50,10 @@
 
 const Physics = (() => {
 
-    // --- Quadrotor Parameters ---
+    // --- Vehicle Parameters (true plant) ---
+    // What the dynamics actually fly: the nominal airframe (MODEL) with the
+    // plant/model mismatch below applied. Quad-X defaults shown; updated in
+    // place by setAirframe() / setMismatch().
     const PARAMS = {
         m:    0.5,        // mass [kg] (Crazyflie-scale)
         g:    9.81,       // gravity [m/s²]
@@ -23,146 +61,877 @@ const Physics = (() => {
         Iyy:  0.0023,     // pitch inertia
         Izz:  0.004,      // yaw inertia
         L:    0.17,       // arm length [m]
+        rProp: 0.065,     // propeller radius [m]
         kT:   2.98e-6,    // thrust coefficient [N/(rad/s)²]
         kD:   1.14e-7,    // drag coefficient [N·m/(rad/s)²]
-        Cd:   0.04,       // translational drag coefficient
+        Cd:   0.04,       // linear drag on airspeed [1/s]
+        CdA:  0.02,       // quadratic body drag area Cd·A [m²]
+        CdRot: 3e-4,      // quadratic rotational drag, τ = −CdRot·ω|ω| [N·m·s²]
         wMax: 2200,       // max motor speed [rad/s]
         wMin: 0,          // min motor speed
+        tauM: 0.03,       // motor time constant [s]
+        wDotMax: 30000,   // max motor spin-up/down rate [rad/s²]
+        gearHeight: 0.05, // landing-gear feet below the rotor plane [m]
+        gearRadius: 0.08, // feet radius around body Z [m]
+        kGear: 450,       // ground stiffness per contact point [N/m]
+        cGear: 10,        // ground damping per contact point [N·s/m]
+        muGear: 0.6,      // ground friction coefficient
+        cells: 3,         // battery cells in series
+        capacity: 1500,   // battery capacity [mAh]
+        rBattery: 0.03,   // pack internal resistance [Ω]
+        rotors: [],       // [{ angle, dir, arm? }] — see airframes.js
     };
 
-    // Motor mixing for X-configuration:
-    //   Motor layout (top view):
-    //     1(CW)   2(CCW)
-    //        \ /
-    //        / \
-    //     3(CCW) 4(CW)
+    // --- Controller's Belief ---
+    // The nominal airframe exactly as loaded. Controllers and the motor
+    // allocator use these values; they never see the mismatch.
+    const MODEL = { g: 9.81 };
+
+    // --- Plant/Model Mismatch ---
+    const mismatch = {
+        payload: 0,         // extra mass carried by the plant [kg]
+        comX: 0,            // centre-of-mass offset along body X [m]
+        comY: 0,            // centre-of-mass offset along body Y [m]
+        inertiaScale: 1,    // true inertia = nominal × scale
+        kTScale: 1,         // true thrust coefficient = nominal × scale
+    };
+
+    // Motor mixing, generated from the rotor list. For rotor i at body
+    // position (xᵢ, yᵢ) relative to the centre of mass, with yaw-reaction
+    // sign dᵢ:
     //
-    //   T   = kT*(w1² + w2² + w3² + w4²)
+    //   T   = Σ kT·wᵢ²
+    //   τ_φ = Σ kT·yᵢ·wᵢ²
+    //   τ_θ = Σ −kT·xᵢ·wᵢ²
+    //   τ_ψ = Σ kD·dᵢ·wᵢ²
+    //
+    // For quad-X this reproduces the classic matrix, e.g.
     //   τ_φ = kT*L*(−w1² − w2² + w3² + w4²) / √2
-    //   τ_θ = kT*L*(−w1² + w2² + w3² − w4²) / √2
-    //   τ_ψ = kD*(−w1² + w2² − w3² + w4²)
+    //
+    // Allocation uses the right pseudo-inverse of the nominal matrix, which
+    // is the exact inverse for four rotors and the minimum-norm solution for
+    // hexa/octo layouts. The plant matrix (CoM shift, kT scale) maps the
+    // actual rotor speeds back to forces.
+    let rotorPos = [];
+    let allocator = null;     // n × 4, from the nominal mixer
+    let plantMixer = null;    // 4 × n, true geometry
+
+    // --- Rotor Faults ---
+    // Plant truth per rotor: { efficiency, dead, stuck }. A stuck rotor
+    // holds the speed it had on the first step of the fault.
+    let rotorFaults = [];
+    let stuckSpeed = [];
+    // Allocator reconfigured around known faults (null = nominal allocator)
+    let faultAllocator = null;  // { Binv, stuck[], yawDropped }
+
+    // Reachable fraction of wMax at the present battery voltage
+    let supplyScale = 1;
+
+    // --- Integration Scheme ---
+    let integrator = 'RK4';
+    const RK45_TOL = { abs: 1e-6, rel: 1e-6 };
+    let rk45h = null;           // step size carried over between calls [s]
+    let integratorStats = { substeps: 1, rejected: 0 };
+
+    // --- Optional Rotor Aerodynamics ---
+    const aero = {
+        groundEffect: false,    // thrust boost near the ground
+        rotorDrag: false,       // induced drag ∝ thrust × in-plane airspeed
+        flapping: false,        // blade-flapping moment tilting away from the airspeed
+        inflow: false,          // thrust loss with axial inflow (climb)
+    };
+    const AERO = {
+        geMax: 1.5,         // cap on the ground-effect thrust ratio
+        kRotorDrag: 0.04,   // drag per unit thrust and in-plane airspeed [s/m]
+        kFlap: 0.005,       // flapping moment per unit thrust, airspeed and arm length [s/m]
+        kInflow: 0.2,       // axial speed at full thrust loss, as a fraction of tip speed
+    };
+
+    // --- Ground Contact ---
+    const GROUND = {
+        slipVel: 0.05,                  // friction regularization speed [m/s]
+        crashSpeed: 2.0,                // touchdown sink rate counted as a crash [m/s]
+        crashTilt: 35 * Math.PI / 180,  // touchdown tilt counted as a crash [rad]
+    };
+    // Body-frame contact points relative to the centre of mass (physics
+    // frame): { r: [x, y, z], foot } — feet first, then rotor hubs
+    let contactPoints = [];
+    let contactReach = 0;     // farthest point from the CoM [m]
+
+    function buildMixer(pos, kT, kD) {
+        return [
+            pos.map(() => kT),
+            pos.map(r => kT * r.y),
+            pos.map(r => -kT * r.x),
+            pos.map(r => kD * r.dir),
+        ];
+    }
+
+    /**
+     * Load an airframe profile into MODEL/PARAMS and rebuild the mixers.
+     * Returns false (and changes nothing) if the rotor layout cannot
+     * produce independent thrust, roll, pitch and yaw.
+     */
+    function setAirframe(frame) {
+        const pos = Airframes.rotorPositions(frame);
+        const Binv = LinAlg.pinvRight(buildMixer(pos, frame.kT, frame.kD));
+        if (!Binv) return false;
+
+        for (const key in frame) {
+            if (key !== 'name') MODEL[key] = frame[key];
+        }
+        rotorPos = pos;
+        allocator = Binv;
+        setRotorFaults(null);
+        faultAllocator = null;
+        applyMismatch();
+        return true;
+    }
+
+    /**
+     * Update any subset of the mismatch fields. Safe to call mid-flight.
+     */
+    function setMismatch(changes) {
+        Object.assign(mismatch, changes);
+        applyMismatch();
+    }
+
+    function getMismatch() { return { ...mismatch }; }
+
+    function applyMismatch() {
+        Object.assign(PARAMS, MODEL);
+        PARAMS.m   = MODEL.m + mismatch.payload;
+        PARAMS.Ixx = MODEL.Ixx * mismatch.inertiaScale;
+        PARAMS.Iyy = MODEL.Iyy * mismatch.inertiaScale;
+        PARAMS.Izz = MODEL.Izz * mismatch.inertiaScale;
+        PARAMS.kT  = MODEL.kT * mismatch.kTScale;
+        const shifted = rotorPos.map(r => ({ x: r.x - mismatch.comX, y: r.y - mismatch.comY, dir: r.dir }));
+        plantMixer = buildMixer(shifted, PARAMS.kT, PARAMS.kD);
+
+        const feet = Airframes.gearPositions(PARAMS).map(f => ({ r: [f.x, f.y, f.z], foot: true }));
+        const hubs = shifted.map(h => ({ r: [h.x, h.y, 0], foot: false }));
+        contactPoints = feet.concat(hubs);
+        contactPoints.forEach(cp => {
+            if (cp.foot) { cp.r[0] -= mismatch.comX; cp.r[1] -= mismatch.comY; }
+        });
+        contactReach = Math.max(...contactPoints.map(cp => Math.hypot(...cp.r)));
+    }
+
+    function getRotorCount() { return rotorPos.length; }
+
+    /**
+     * Switch any subset of the optional aerodynamic effects on or off
+     */
+    function setAero(changes) {
+        for (const key in changes) {
+            if (key in aero) aero[key] = !!changes[key];
+        }
+    }
+
+    function getAero() { return { ...aero }; }
+
+    /**
+     * Limit the reachable motor speed to wMax × scale (battery voltage sag)
+     */
+    function setSupplyScale(scale) {
+        supplyScale = clamp(scale, 0, 1);
+    }
+
+    function getSupplyScale() { return supplyScale; }
+
+    /**
+     * Select the integration scheme: 'EULER' | 'SEMI_IMPLICIT' | 'RK4' | 'RK45'
+     */
+    function setIntegrator(name) {
+        if (!integrators[name]) return false;
+        integrator = name;
+        rk45h = null;
+        return true;
+    }
 
+    function getIntegrator() { return integrator; }
+
+    /**
+     * Work done by the last step: { substeps, rejected } (RK45 only varies)
+     */
+    function getIntegratorStats() { return { ...integratorStats }; }
+
+    /**
+     * Set the true condition of every rotor (null = all healthy).
+     * @param {Array<{efficiency, dead, stuck}>|null} faults - one entry per rotor
+     */
+    function setRotorFaults(faults) {
+        rotorFaults = normalizeFaults(faults);
+        stuckSpeed = rotorFaults.map((f, i) => (f.stuck ? stuckSpeed[i] : undefined));
+    }
+
+    function getRotorFaults() { return rotorFaults.map(f => ({ ...f })); }
+
+    function normalizeFaults(faults) {
+        return rotorPos.map((_, i) => {
+            const f = (faults && faults[i]) || {};
+            return {
+                efficiency: f.efficiency === undefined ? 1 : f.efficiency,
+                dead: !!f.dead,
+                stuck: !!f.stuck,
+            };
+        });
+    }
+
+    /**
+     * Fault-tolerant allocation: rebuild the allocator from the nominal
+     * mixer with each rotor's column scaled by its known efficiency, and
+     * dead or stuck rotors removed (a stuck rotor's wrench is subtracted
+     * from the demand instead). When the remaining rotors cannot produce
+     * all four axes — any quad that loses a rotor — yaw is given up and
+     * only thrust, roll and pitch are allocated.
+     *
+     * @param {Array<{efficiency, dead, stuck}>|null} known - null restores
+     *   the nominal allocator
+     * @returns {{ ok, yawDropped }} — ok is false if even thrust/roll/pitch
+     *   cannot be allocated (the nominal allocator is kept)
+     */
+    function reconfigureAllocator(known) {
+        faultAllocator = null;
+        const faults = normalizeFaults(known);
+        if (faults.every(f => !f.dead && !f.stuck && f.efficiency === 1)) {
+            return { ok: true, yawDropped: false };
+        }
+        const n = rotorPos.length;
+        const B = buildMixer(rotorPos, MODEL.kT, MODEL.kD);
+        const cols = [];
+        faults.forEach((f, i) => {
+            if (!f.dead && !f.stuck && f.efficiency > 0.05) cols.push(i);
+        });
+        const scaled = B.map(row => cols.map(i => row[i] * faults[i].efficiency));
+
+        let yawDropped = false;
+        let Bpinv = cols.length >= 4 ? LinAlg.pinvRight(scaled) : null;
+        if (!Bpinv) {
+            Bpinv = cols.length >= 3 ? LinAlg.pinvRight(scaled.slice(0, 3)) : null;
+            yawDropped = true;
+        }
+        if (!Bpinv) return { ok: false, yawDropped: false };
+
+        // Expand back to n × 4 (zero rows for excluded rotors, zero yaw column if dropped)
+        const Binv = LinAlg.zeros(n, 4);
+        cols.forEach((i, k) => {
+            for (let j = 0; j < Bpinv[k].length; j++) Binv[i][j] = Bpinv[k][j];
+        });
+        faultAllocator = {
+            Binv,
+            B,
+            stuck: faults.map(f => f.stuck),
+            yawDropped,
+        };
+        return { ok: true, yawDropped };
+    }
+
+    /**
+     * What the allocator can currently deliver (controllers use this to stop
+     * fighting for an axis that has been given up)
+     */
+    function getAllocatorInfo() {
+        return {
+            reconfigured: !!faultAllocator,
+            yawDropped: !!(faultAllocator && faultAllocator.yawDropped),
+        };
+    }
+
+    /**
+     * A disarmed vehicle resting on its landing gear at the origin
+     */
     function createState() {
         return {
-            x: 0, y: 0, z: 0,
+            x: 0, y: PARAMS.gearHeight || 0, z: 0,
             vx: 0, vy: 0, vz: 0,
-            phi: 0, theta: 0, psi: 0,
+            qw: 1, qx: 0, qy: 0, qz: 0,
             p: 0, q: 0, r: 0,
-            // Motor speeds (for visualization)
-            motors: [0, 0, 0, 0],
+            // Derived Euler angles (read-only view of the quaternion)
+            phi: 0, theta: 0, psi: 0,
+            // Actual rotor speeds (drive the dynamics) and mixer commands
+            motors: new Array(rotorPos.length).fill(0),
+            motorCmd: new Array(rotorPos.length).fill(0),
+            // Wrench actually produced by the rotors [T, τφ, τθ, τψ]
+            wrench: [0, 0, 0, 0],
+            // Wind velocity at the vehicle [m/s] and the force it adds [N]
+            wind: { x: 0, y: 0, z: 0 },
+            windForce: { x: 0, y: 0, z: 0 },
+            // Motors only receive power while armed
+            armed: false,
+            // Any contact point touching the ground; crash reason once crashed
+            onGround: false,
+            crashed: null,
         };
     }
 
+    const RHO = 1.225;  // air density [kg/m³]
+    const NO_WIND = { x: 0, y: 0, z: 0 };
+
+    // Integrated state components (derivative keys are 'd' + key)
+    const STATE_KEYS = ['x', 'y', 'z', 'vx', 'vy', 'vz', 'qw', 'qx', 'qy', 'qz', 'p', 'q', 'r'];
+
     function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
 
+    // =====================================================================
+    //  ATTITUDE REPRESENTATION
+    // =====================================================================
+    //
+    // Physics uses the right-handed frame (X, Y, Z) = (x, z, y) of the scene,
+    // i.e. Z (= scene y) is up and thrust acts along body Z.
+
     /**
-     * Convert desired [T, τφ, τθ, τψ] → motor speeds squared
-     * Inverse of the mixing matrix
+     * ZYX Euler angles → unit quaternion
      */
-    function allocateMotors(T, tauPhi, tauTheta, tauPsi) {
-        const { kT, kD, L } = PARAMS;
-        const s2 = Math.SQRT2;
-        // Invert mixing matrix
-        const a = T / (4 * kT);
-        const b = tauPhi * s2 / (4 * kT * L);
-        const c = tauTheta * s2 / (4 * kT * L);
-        const d = tauPsi / (4 * kD);
+    function eulerToQuat(phi, theta, psi) {
+        const cr = Math.cos(phi / 2),   sr = Math.sin(phi / 2);
+        const cp = Math.cos(theta / 2), sp = Math.sin(theta / 2);
+        const cy = Math.cos(psi / 2),   sy = Math.sin(psi / 2);
+        return {
+            qw: cr * cp * cy + sr * sp * sy,
+            qx: sr * cp * cy - cr * sp * sy,
+            qy: cr * sp * cy + sr * cp * sy,
+            qz: cr * cp * sy - sr * sp * cy,
+        };
+    }
 
-        let w1sq = a - b - c - d;
-        let w2sq = a - b + c + d;
-        let w3sq = a + b + c - d;
-        let w4sq = a + b - c + d;
+    /**
+     * Unit quaternion → ZYX Euler angles
+     * θ is clamped at ±90° rather than producing NaN.
+     */
+    function quatToEuler(q) {
+        const { qw, qx, qy, qz } = q;
+        return {
+            phi:   Math.atan2(2 * (qw * qx + qy * qz), 1 - 2 * (qx * qx + qy * qy)),
+            theta: Math.asin(clamp(2 * (qw * qy - qz * qx), -1, 1)),
+            psi:   Math.atan2(2 * (qw * qz + qx * qy), 1 - 2 * (qy * qy + qz * qz)),
+        };
+    }
+
+    /**
+     * Body → world rotation matrix (rows) from the state quaternion
+     */
+    function rotationMatrix(q) {
+        const { qw, qx, qy, qz } = q;
+        return [
+            [1 - 2 * (qy * qy + qz * qz), 2 * (qx * qy - qw * qz),     2 * (qx * qz + qw * qy)],
+            [2 * (qx * qy + qw * qz),     1 - 2 * (qx * qx + qz * qz), 2 * (qy * qz - qw * qx)],
+            [2 * (qx * qz - qw * qy),     2 * (qy * qz + qw * qx),     1 - 2 * (qx * qx + qy * qy)],
+        ];
+    }
 
-        const wMaxSq = PARAMS.wMax * PARAMS.wMax;
-        w1sq = clamp(w1sq, 0, wMaxSq);
-        w2sq = clamp(w2sq, 0, wMaxSq);
-        w3sq = clamp(w3sq, 0, wMaxSq);
-        w4sq = clamp(w4sq, 0, wMaxSq);
+    function normalizeQuat(s) {
+        const n = Math.hypot(s.qw, s.qx, s.qy, s.qz) || 1;
+        s.qw /= n; s.qx /= n; s.qy /= n; s.qz /= n;
+        // Keep the scalar part non-negative so logged components don't flip sign
+        if (s.qw < 0) { s.qw = -s.qw; s.qx = -s.qx; s.qy = -s.qy; s.qz = -s.qz; }
+    }
 
-        return [Math.sqrt(w1sq), Math.sqrt(w2sq), Math.sqrt(w3sq), Math.sqrt(w4sq)];
+    /**
+     * Refresh the derived Euler view. ψ is unwrapped against its previous
+     * value so heading stays continuous across ±180°.
+     */
+    function updateEuler(s) {
+        const e = quatToEuler(s);
+        const prevPsi = s.psi || 0;
+        let d = e.psi - prevPsi;
+        d -= 2 * Math.PI * Math.round(d / (2 * Math.PI));
+        s.phi = e.phi;
+        s.theta = e.theta;
+        s.psi = prevPsi + d;
+    }
+
+    /**
+     * Set attitude from Euler angles (initial conditions, tumble tests)
+     */
+    function setAttitude(s, phi, theta, psi) {
+        Object.assign(s, eulerToQuat(phi, theta, psi));
+        s.phi = phi; s.theta = theta; s.psi = psi;
+        return s;
+    }
+
+    /**
+     * Convert desired [T, τφ, τθ, τψ] → motor speeds
+     * Pseudo-inverse of the nominal mixing matrix, clamped per rotor.
+     * With a reconfigured allocator, the wrench of stuck rotors (from the
+     * measured speeds in `motors`) is taken out of the demand first.
+     */
+    function allocateMotors(T, tauPhi, tauTheta, tauPsi, motors) {
+        const demand = [T, tauPhi, tauTheta, tauPsi];
+        let Binv = allocator;
+        if (faultAllocator) {
+            const fa = faultAllocator;
+            Binv = fa.Binv;
+            fa.stuck.forEach((isStuck, i) => {
+                if (!isStuck || !motors) return;
+                const w2 = motors[i] * motors[i];
+                for (let j = 0; j < 4; j++) demand[j] -= fa.B[j][i] * w2;
+            });
+        }
+        const wSq = LinAlg.mulVec(Binv, demand);
+        const wMax = PARAMS.wMax * supplyScale;
+        const wMaxSq = wMax * wMax;
+        const wMinSq = PARAMS.wMin * PARAMS.wMin;
+        return wSq.map(w2 => Math.sqrt(clamp(w2, wMinSq, wMaxSq)));
+    }
+
+    /**
+     * Forward mixing: rotor speeds → [T, τφ, τθ, τψ] on the true plant,
+     * with each rotor's output scaled by its efficiency and by the optional
+     * per-rotor aerodynamic gains
+     */
+    function motorWrench(w, gains) {
+        return LinAlg.mulVec(plantMixer, w.map((wi, i) => {
+            const f = rotorFaults[i];
+            return wi * wi * (f ? f.efficiency : 1) * (gains ? gains[i] : 1);
+        }));
+    }
+
+    /**
+     * Per-rotor thrust gains from ground effect and axial inflow, evaluated
+     * at the start of the step (like the motor speeds themselves).
+     *
+     * Ground effect (Cheeseman & Bennett):  T/T∞ = 1 / (1 − (R / 4z)²)
+     *   with z the rotor's height above the ground, capped at geMax.
+     * Inflow: blade-element thrust falls roughly linearly with the axial
+     *   inflow ratio, T/T₀ = 1 − v_c / (kInflow·ω·R), v_c the climb speed
+     *   through the disc (negative when descending, which adds thrust).
+     */
+    function rotorGains(s, env) {
+        const gains = s.motors.map(() => 1);
+        if (!aero.groundEffect && !aero.inflow) return gains;
+        const R = rotationMatrix(s);
+        const rp = PARAMS.rProp || 0;
+
+        if (aero.groundEffect && rp > 0) {
+            rotorPos.forEach((h, i) => {
+                const z = s.y + R[2][0] * (h.x - mismatch.comX) + R[2][1] * (h.y - mismatch.comY);
+                const ratio = z > 0 ? rp / (4 * z) : 1;
+                gains[i] *= ratio < 1 ? Math.min(AERO.geMax, 1 / (1 - ratio * ratio)) : AERO.geMax;
+            });
+        }
+        if (aero.inflow && rp > 0) {
+            const w = windAt(s, env);
+            const va = [s.vx - w.x, s.vz - w.z, s.vy - w.y];
+            const vc = R[0][2] * va[0] + R[1][2] * va[1] + R[2][2] * va[2];
+            s.motors.forEach((wi, i) => {
+                const vRef = AERO.kInflow * Math.max(wi, 1) * rp;
+                gains[i] *= clamp(1 - vc / vRef, 0, AERO.geMax);
+            });
+        }
+        return gains;
+    }
+
+    /**
+     * Dead rotors get no power; stuck rotors hold their speed
+     */
+    function applyRotorFaults(s) {
+        rotorFaults.forEach((f, i) => {
+            if (f.stuck) {
+                if (stuckSpeed[i] === undefined) stuckSpeed[i] = s.motors[i];
+                s.motors[i] = stuckSpeed[i];
+            }
+        });
+    }
+
+    /**
+     * First-order motor lag with spin-up/down rate limit.
+     * Exact discretization of ẇ = (w_cmd − w)/τ, then rate-clamped.
+     */
+    function updateMotors(motors, cmd, dt) {
+        const { tauM, wDotMax, wMin } = PARAMS;
+        const wMax = PARAMS.wMax * supplyScale;
+        const alpha = tauM > 0 ? 1 - Math.exp(-dt / tauM) : 1;
+        const maxStep = wDotMax * dt;
+        for (let i = 0; i < motors.length; i++) {
+            const dw = clamp((cmd[i] - motors[i]) * alpha, -maxStep, maxStep);
+            motors[i] = clamp(motors[i] + dw, wMin, wMax);
+        }
+        return motors;
     }
 
     /**
      * Full 6-DOF dynamics step (RK4 integration)
      * @param {object} s  - state
-     * @param {array} u   - [T, τφ, τθ, τψ]
-     * @param {object} env - { windX, windY, windZ }
+     * @param {array} u   - commanded [T, τφ, τθ, τψ]
+     * @param {object} env - { wind: {x, y, z}, field, t }
+     *   wind  — uniform wind velocity [m/s]
+     *   field — optional spatial field with sample(x, y, z, t) (see windField.js),
+     *           evaluated at the vehicle position in every RK stage
      * @param {number} dt
      */
     function step(s, u, env, dt) {
-        // RK4
-        const k1 = derivatives(s, u, env);
-        const s2 = addScaled(s, k1, dt / 2);
-        const k2 = derivatives(s2, u, env);
-        const s3 = addScaled(s, k2, dt / 2);
-        const k3 = derivatives(s3, u, env);
-        const s4 = addScaled(s, k3, dt);
-        const k4 = derivatives(s4, u, env);
-
-        // Combine
-        s.x     += dt / 6 * (k1.dx + 2*k2.dx + 2*k3.dx + k4.dx);
-        s.y     += dt / 6 * (k1.dy + 2*k2.dy + 2*k3.dy + k4.dy);
-        s.z     += dt / 6 * (k1.dz + 2*k2.dz + 2*k3.dz + k4.dz);
-        s.vx    += dt / 6 * (k1.dvx + 2*k2.dvx + 2*k3.dvx + k4.dvx);
-        s.vy    += dt / 6 * (k1.dvy + 2*k2.dvy + 2*k3.dvy + k4.dvy);
-        s.vz    += dt / 6 * (k1.dvz + 2*k2.dvz + 2*k3.dvz + k4.dvz);
-        s.phi   += dt / 6 * (k1.dphi + 2*k2.dphi + 2*k3.dphi + k4.dphi);
-        s.theta += dt / 6 * (k1.dtheta + 2*k2.dtheta + 2*k3.dtheta + k4.dtheta);
-        s.psi   += dt / 6 * (k1.dpsi + 2*k2.dpsi + 2*k3.dpsi + k4.dpsi);
-        s.p     += dt / 6 * (k1.dp + 2*k2.dp + 2*k3.dp + k4.dp);
-        s.q     += dt / 6 * (k1.dq + 2*k2.dq + 2*k3.dq + k4.dq);
-        s.r     += dt / 6 * (k1.dr + 2*k2.dr + 2*k3.dr + k4.dr);
-
-        // Ground contact
-        if (s.y < 0) { s.y = 0; s.vy = Math.max(0, s.vy); }
-
-        // Store motor speeds for visual
-        s.motors = allocateMotors(u[0], u[1], u[2], u[3]);
+        // Actuator layer: mixer → saturation → motor dynamics → actual wrench
+        s.motorCmd = s.armed
+            ? allocateMotors(u[0], u[1], u[2], u[3], s.motors)
+            : new Array(rotorPos.length).fill(0);
+        const cmd = s.motorCmd.map((c, i) => (rotorFaults[i] && rotorFaults[i].dead ? 0 : c));
+        updateMotors(s.motors, cmd, dt);
+        applyRotorFaults(s);
+        s.wrench = motorWrench(s.motors, rotorGains(s, env));
+        u = s.wrench;
+
+        const sinkRate = -s.vy;     // before the contact can absorb it
+        integratorStats = { substeps: 1, rejected: 0 };
+        integrators[integrator](s, u, env, dt);
+        normalizeQuat(s);
+        updateEuler(s);
+
+        // Wind contribution: aerodynamic force in the wind minus in still air
+        const w = windAt(s, env);
+        const fa = aeroForce(s.vx, s.vy, s.vz, w);
+        const f0 = aeroForce(s.vx, s.vy, s.vz, NO_WIND);
+        s.wind = { x: w.x, y: w.y, z: w.z };
+        s.windForce = { x: fa.x - f0.x, y: fa.y - f0.y, z: fa.z - f0.z };
+
+        updateContact(s, Math.max(sinkRate, -s.vy));
 
         return s;
     }
 
+    // =====================================================================
+    //  GROUND CONTACT
+    // =====================================================================
+
+    /**
+     * Height of each contact point above the ground [m]
+     */
+    function contactHeights(s, R) {
+        return contactPoints.map(({ r }) => s.y + R[2][0] * r[0] + R[2][1] * r[1] + R[2][2] * r[2]);
+    }
+
+    /**
+     * Ground reaction on the vehicle: net force (physics world frame) and
+     * torque about the CoM (body frame). Each penetrating point gets
+     *   Fn = max(0, −kGear·h − cGear·ḣ)
+     *   Ft = −μ·Fn · vₜ / √(|vₜ|² + v_slip²)
+     * where vₜ is the point's ground-plane velocity. The regularization turns
+     * static friction into a stiff viscous law near zero slip.
+     */
+    function contactWrench(s) {
+        const force = [0, 0, 0], torque = [0, 0, 0];
+        if (s.y > contactReach) return { force, torque };
+
+        const { kGear, cGear, muGear } = PARAMS;
+        const R = rotationMatrix(s);
+        const heights = contactHeights(s, R);
+        const v = [s.vx, s.vz, s.vy];
+        const w = [s.p, s.q, s.r];
+
+        contactPoints.forEach(({ r }, k) => {
+            if (heights[k] >= 0) return;
+            // Point velocity v + R(ω × r)
+            const wr = [w[1] * r[2] - w[2] * r[1], w[2] * r[0] - w[0] * r[2], w[0] * r[1] - w[1] * r[0]];
+            const vp = [0, 1, 2].map(i => v[i] + R[i][0] * wr[0] + R[i][1] * wr[1] + R[i][2] * wr[2]);
+
+            const fn = Math.max(0, -kGear * heights[k] - cGear * vp[2]);
+            const kf = muGear * fn / Math.hypot(vp[0], vp[1], GROUND.slipVel);
+            const f = [-kf * vp[0], -kf * vp[1], fn];
+
+            // Torque r × (Rᵀ f) in the body frame
+            const fb = [0, 1, 2].map(i => R[0][i] * f[0] + R[1][i] * f[1] + R[2][i] * f[2]);
+            for (let i = 0; i < 3; i++) force[i] += f[i];
+            torque[0] += r[1] * fb[2] - r[2] * fb[1];
+            torque[1] += r[2] * fb[0] - r[0] * fb[2];
+            torque[2] += r[0] * fb[1] - r[1] * fb[0];
+        });
+        return { force, torque };
+    }
+
+    /**
+     * Contact bookkeeping after a step: touchdown checks and crash flags.
+     * sinkRate is the larger of the descent speeds before and after the
+     * step, so the check doesn't depend on how much of the impact the
+     * integrator already absorbed. A crash is latched until the state is
+     * recreated.
+     */
+    function updateContact(s, sinkRate) {
+        const heights = contactHeights(s, rotationMatrix(s));
+        const touching = heights.some(h => h < 0);
+        const hubStrike = contactPoints.some((cp, k) => !cp.foot && heights[k] < 0);
+
+        if (!s.crashed) {
+            if (touching && !s.onGround) {
+                const tilt = Math.acos(clamp(1 - 2 * (s.qx * s.qx + s.qy * s.qy), -1, 1));
+                if (sinkRate > GROUND.crashSpeed) {
+                    s.crashed = `hard landing (${sinkRate.toFixed(1)} m/s)`;
+                } else if (tilt > GROUND.crashTilt) {
+                    s.crashed = `tilted touchdown (${(tilt * 180 / Math.PI).toFixed(0)}°)`;
+                }
+            }
+            if (!s.crashed && hubStrike) s.crashed = 'tipped over';
+        }
+        s.onGround = touching;
+    }
+
+    /**
+     * Drag on the air-relative velocity: linear Cd term plus quadratic
+     * body drag ½ρ·CdA·|vₐ|·vₐ. Returns force [N] in world frame.
+     */
+    function aeroForce(vx, vy, vz, w) {
+        const { m, Cd, CdA } = PARAMS;
+        const ax = vx - w.x, ay = vy - w.y, az = vz - w.z;
+        const kq = 0.5 * RHO * (CdA || 0) * Math.sqrt(ax * ax + ay * ay + az * az);
+        const k = m * Cd + kq;
+        return { x: -k * ax, y: -k * ay, z: -k * az };
+    }
+
+    /**
+     * Rotor drag and blade flapping from the in-plane airspeed vₕ (body X/Y
+     * components of the air-relative velocity). Both grow with thrust:
+     *   F = −kRotorDrag·T·vₕ        (body frame, then rotated to world)
+     *   τ = −kFlap·L·T·(e₃ × vₕ)    (nose tilts up, away from the airspeed)
+     * Returns force in the physics world frame and torque in the body frame.
+     */
+    function rotorAero(s, T, wind) {
+        const out = { force: [0, 0, 0], torque: [0, 0, 0] };
+        if (!aero.rotorDrag && !aero.flapping) return out;
+        const R = rotationMatrix(s);
+        const va = [s.vx - wind.x, s.vz - wind.z, s.vy - wind.y];
+        const vb = [0, 1].map(i => R[0][i] * va[0] + R[1][i] * va[1] + R[2][i] * va[2]);
+
+        if (aero.rotorDrag) {
+            const fb = [-AERO.kRotorDrag * T * vb[0], -AERO.kRotorDrag * T * vb[1]];
+            for (let i = 0; i < 3; i++) out.force[i] = R[i][0] * fb[0] + R[i][1] * fb[1];
+        }
+        if (aero.flapping) {
+            const k = AERO.kFlap * PARAMS.L * T;
+            out.torque[0] = k * vb[1];
+            out.torque[1] = -k * vb[0];
+        }
+        return out;
+    }
+
+    /**
+     * Wind velocity at the vehicle: uniform part plus the spatial field
+     */
+    function windAt(s, env) {
+        const w = env.wind || NO_WIND;
+        if (!env.field) return w;
+        const f = env.field.sample(s.x, s.y, s.z, env.t || 0);
+        return { x: w.x + f.x, y: w.y + f.y, z: w.z + f.z };
+    }
+
     function derivatives(s, u, env) {
-        const { m, g, Ixx, Iyy, Izz, Cd } = PARAMS;
+        const { m, g, Ixx, Iyy, Izz } = PARAMS;
+        const kr = PARAMS.CdRot || 0;
         const [T, tphi, ttheta, tpsi] = u;
+        const { qw, qx, qy, qz, p, q, r } = s;
 
-        const cphi = Math.cos(s.phi), sphi = Math.sin(s.phi);
-        const cth  = Math.cos(s.theta), sth = Math.sin(s.theta);
-        const cpsi = Math.cos(s.psi), spsi = Math.sin(s.psi);
-
-        // Rotation matrix body→world (ZYX)
-        // Thrust is along body z-axis → world components
-        const Tx = T * (cpsi * sth * cphi + spsi * sphi);
-        const Ty = T * (cth * cphi);
-        const Tz = T * (spsi * sth * cphi - cpsi * sphi);
+        // Thrust is along body Z → world components (third column of R)
+        const Tx = T * 2 * (qx * qz + qw * qy);
+        const Ty = T * (1 - 2 * (qx * qx + qy * qy));
+        const Tz = T * 2 * (qy * qz - qw * qx);
 
-        // Translational dynamics with drag and wind
-        const dvx = (Tx / m) - Cd * s.vx + (env.windX || 0);
-        const dvy = (Ty / m) - g - Cd * s.vy + (env.windY || 0);
-        const dvz = (Tz / m) - Cd * s.vz + (env.windZ || 0);
+        // Translational dynamics with drag on airspeed, ground reaction and
+        // the optional rotor aerodynamics
+        const wind = windAt(s, env);
+        const fa = aeroForce(s.vx, s.vy, s.vz, wind);
+        const gc = contactWrench(s);
+        const ra = rotorAero(s, T, wind);
+        const dvx = (Tx + fa.x + gc.force[0] + ra.force[0]) / m;
+        const dvy = (Ty + fa.y + gc.force[2] + ra.force[2]) / m - g;
+        const dvz = (Tz + fa.z + gc.force[1] + ra.force[1]) / m;
 
-        // Euler angle rates from body angular velocities
-        // (small angle approximation avoided — full kinematics)
-        const dphi   = s.p + (sphi * sth / cth) * s.q + (cphi * sth / cth) * s.r;
-        const dtheta = cphi * s.q - sphi * s.r;
-        const dpsi   = (sphi / cth) * s.q + (cphi / cth) * s.r;
+        // Quaternion kinematics: q̇ = ½ q ⊗ [0, p, q, r]
+        const dqw = 0.5 * (-qx * p - qy * q - qz * r);
+        const dqx = 0.5 * ( qw * p + qy * r - qz * q);
+        const dqy = 0.5 * ( qw * q + qz * p - qx * r);
+        const dqz = 0.5 * ( qw * r + qx * q - qy * p);
 
-        // Rotational dynamics (Euler equations)
-        const dp = (tphi  - (Izz - Iyy) * s.q * s.r) / Ixx;
-        const dq = (ttheta - (Ixx - Izz) * s.p * s.r) / Iyy;
-        const dr = (tpsi  - (Iyy - Ixx) * s.p * s.q) / Izz;
+        // Rotational dynamics (Euler equations) with quadratic rotational
+        // drag — what limits the spin of a multirotor that has given up yaw
+        const dp = (tphi  + gc.torque[0] + ra.torque[0] - (Izz - Iyy) * q * r - kr * p * Math.abs(p)) / Ixx;
+        const dq = (ttheta + gc.torque[1] + ra.torque[1] - (Ixx - Izz) * p * r - kr * q * Math.abs(q)) / Iyy;
+        const dr = (tpsi  + gc.torque[2] - (Iyy - Ixx) * p * q - kr * r * Math.abs(r)) / Izz;
 
-        return { dx: s.vx, dy: s.vy, dz: s.vz, dvx, dvy, dvz, dphi, dtheta, dpsi, dp, dq, dr };
+        return { dx: s.vx, dy: s.vy, dz: s.vz, dvx, dvy, dvz, dqw, dqx, dqy, dqz, dp, dq, dr };
     }
 
     function addScaled(s, k, h) {
-        return {
-            x: s.x + k.dx * h, y: s.y + k.dy * h, z: s.z + k.dz * h,
-            vx: s.vx + k.dvx * h, vy: s.vy + k.dvy * h, vz: s.vz + k.dvz * h,
-            phi: s.phi + k.dphi * h, theta: s.theta + k.dtheta * h, psi: s.psi + k.dpsi * h,
-            p: s.p + k.dp * h, q: s.q + k.dq * h, r: s.r + k.dr * h,
+        const out = {};
+        for (const key of STATE_KEYS) out[key] = s[key] + k['d' + key] * h;
+        return out;
+    }
+
+    /**
+     * s + h·Σ wᵢ·kᵢ over the integrated keys (zero weights skipped)
+     */
+    function combine(s, ks, weights, h) {
+        const out = {};
+        for (const key of STATE_KEYS) {
+            const d = 'd' + key;
+            let sum = 0;
+            for (let i = 0; i < ks.length; i++) {
+                if (weights[i]) sum += weights[i] * ks[i][d];
+            }
+            out[key] = s[key] + h * sum;
+        }
+        return out;
+    }
+
+    function assign(s, next) {
+        for (const key of STATE_KEYS) s[key] = next[key];
+    }
+
+    // =====================================================================
+    //  INTEGRATORS — advance the STATE_KEYS of s in place by dt
+    // =====================================================================
+
+    function integrateEuler(s, u, env, dt) {
+        assign(s, addScaled(s, derivatives(s, u, env), dt));
+    }
+
+    /**
+     * Semi-implicit (symplectic) Euler: velocities and body rates first,
+     * then position and attitude from the updated ones
+     */
+    function integrateSemiImplicit(s, u, env, dt) {
+        const k = derivatives(s, u, env);
+        for (const key of ['vx', 'vy', 'vz', 'p', 'q', 'r']) s[key] += dt * k['d' + key];
+        const kin = derivatives(s, u, env);
+        for (const key of ['x', 'y', 'z', 'qw', 'qx', 'qy', 'qz']) s[key] += dt * kin['d' + key];
+    }
+
+    function integrateRK4(s, u, env, dt) {
+        const k1 = derivatives(s, u, env);
+        const k2 = derivatives(addScaled(s, k1, dt / 2), u, env);
+        const k3 = derivatives(addScaled(s, k2, dt / 2), u, env);
+        const k4 = derivatives(addScaled(s, k3, dt), u, env);
+        assign(s, combine(s, [k1, k2, k3, k4], [1 / 6, 1 / 3, 1 / 3, 1 / 6], dt));
+    }
+
+    // Dormand–Prince 5(4) tableau (FSAL: the 7th stage is the 5th-order result)
+    const DP_A = [
+        [],
+        [1 / 5],
+        [3 / 40, 9 / 40],
+        [44 / 45, -56 / 15, 32 / 9],
+        [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+        [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+        [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84],
+    ];
+    // 5th-order weights minus 4th-order weights, for the error estimate
+    const DP_E = [
+        35 / 384 - 5179 / 57600, 0, 500 / 1113 - 7571 / 16695, 125 / 192 - 393 / 640,
+        -2187 / 6784 + 92097 / 339200, 11 / 84 - 187 / 2100, -1 / 40,
+    ];
+
+    /**
+     * Adaptive RK4(5): substeps of size h until dt is covered. A substep is
+     * accepted when max |errᵢ| / (abs + rel·|xᵢ|) ≤ 1; h then scales by
+     * 0.9·err^(−1/5), limited to [0.2, 5]×, and carries over to the next call.
+     */
+    function integrateRK45(s, u, env, dt) {
+        let h = Math.min(rk45h || dt, dt);
+        let t = 0, substeps = 0, rejected = 0;
+        while (t < dt - 1e-12) {
+            h = Math.min(h, dt - t);
+            const ks = [derivatives(s, u, env)];
+            for (let i = 1; i < 7; i++) ks.push(derivatives(combine(s, ks, DP_A[i], h), u, env));
+            const next = combine(s, ks, DP_A[6], h);
+
+            let err = 0;
+            for (const key of STATE_KEYS) {
+                const d = 'd' + key;
+                let e = 0;
+                for (let i = 0; i < 7; i++) e += DP_E[i] * ks[i][d];
+                const scale = RK45_TOL.abs + RK45_TOL.rel * Math.max(Math.abs(s[key]), Math.abs(next[key]));
+                err = Math.max(err, Math.abs(h * e) / scale);
+            }
+
+            const factor = clamp(0.9 * Math.pow(Math.max(err, 1e-10), -0.2), 0.2, 5);
+            if (err <= 1 || h < 1e-7) {
+                assign(s, next);
+                normalizeQuat(s);
+                t += h;
+                substeps++;
+                // Don't let the final short substep shrink the carried-over size
+                if (t < dt - 1e-12 || factor < 1) rk45h = h * factor;
+            } else {
+                rejected++;
+            }
+            h *= factor;
+        }
+        integratorStats = { substeps, rejected };
+    }
+
+    const integrators = {
+        EULER: integrateEuler,
+        SEMI_IMPLICIT: integrateSemiImplicit,
+        RK4: integrateRK4,
+        RK45: integrateRK45,
+    };
+
+    // =====================================================================
+    //  NOMINAL MODEL — what model-based controllers linearize
+    // =====================================================================
+    //
+    // 12-state Euler-angle form of the rigid body on MODEL (nominal mass,
+    // inertia and body drag; no motor lag, ground or rotor aerodynamics):
+    //
+    //   x = [X, Y, Z, Ẋ, Ẏ, Ż, φ, θ, ψ, p, q, r]   (physics frame, Z up)
+    //   u = [T, τφ, τθ, τψ]
+
+    function nominalDerivatives(x, u) {
+        const { m, g, Ixx, Iyy, Izz, Cd, CdA } = MODEL;
+        const kr = MODEL.CdRot || 0;
+        const [, , , vx, vy, vz, phi, theta, psi, p, q, r] = x;
+        const [T, tphi, ttheta, tpsi] = u;
+        const R = rotationMatrix(eulerToQuat(phi, theta, psi));
+
+        const kDrag = m * Cd + 0.5 * RHO * (CdA || 0) * Math.hypot(vx, vy, vz);
+        const sphi = Math.sin(phi), cphi = Math.cos(phi);
+        const tth = Math.tan(theta), cth = Math.cos(theta);
+
+        return [
+            vx, vy, vz,
+            (T * R[0][2] - kDrag * vx) / m,
+            (T * R[1][2] - kDrag * vy) / m,
+            (T * R[2][2] - kDrag * vz) / m - g,
+            p + (sphi * q + cphi * r) * tth,
+            cphi * q - sphi * r,
+            (sphi * q + cphi * r) / cth,
+            (tphi   - (Izz - Iyy) * q * r - kr * p * Math.abs(p)) / Ixx,
+            (ttheta - (Ixx - Izz) * p * r - kr * q * Math.abs(q)) / Iyy,
+            (tpsi   - (Iyy - Ixx) * p * q - kr * r * Math.abs(r)) / Izz,
+        ];
+    }
+
+    /**
+     * Jacobians of the nominal model at (x0, u0) by central differences
+     * @returns {{ A: number[][], B: number[][] }} 12 × 12 and 12 × 4
+     */
+    function linearize(x0, u0) {
+        const n = x0.length, nu = u0.length;
+        const A = Array.from({ length: n }, () => new Array(n).fill(0));
+        const B = Array.from({ length: n }, () => new Array(nu).fill(0));
+        const column = (M, j, fPlus, fMinus, h) => {
+            for (let i = 0; i < n; i++) M[i][j] = (fPlus[i] - fMinus[i]) / (2 * h);
         };
+        for (let j = 0; j < n; j++) {
+            const h = 1e-6 * Math.max(1, Math.abs(x0[j]));
+            const xp = x0.slice(), xm = x0.slice();
+            xp[j] += h; xm[j] -= h;
+            column(A, j, nominalDerivatives(xp, u0), nominalDerivatives(xm, u0), h);
+        }
+        for (let j = 0; j < nu; j++) {
+            const h = 1e-6 * Math.max(1, Math.abs(u0[j]));
+            const up = u0.slice(), um = u0.slice();
+            up[j] += h; um[j] -= h;
+            column(B, j, nominalDerivatives(x0, up), nominalDerivatives(x0, um), h);
+        }
+        return { A, B };
     }
 
-    return { PARAMS, createState, step, allocateMotors, clamp };
+    setAirframe(Airframes.get('QUAD_X'));
+
+    return {
+        PARAMS, MODEL, setAirframe, setMismatch, getMismatch, getRotorCount, createState, step, allocateMotors, motorWrench, clamp,
+        setAero, getAero, setSupplyScale, getSupplyScale,
+        setIntegrator, getIntegrator, getIntegratorStats,
+        setRotorFaults, getRotorFaults, reconfigureAllocator, getAllocatorInfo,
+        eulerToQuat, quatToEuler, rotationMatrix, setAttitude,
+        nominalDerivatives, linearize
+    };
 })();
@@ -0,0 +1,122 @@
+/**
+ * qp.js — Small Convex Quadratic Programs
+ *
+ * Solves
+ *
+ *   min  ½ xᵀP x + qᵀx    s.t.  l ≤ A x ≤ u
+ *
+ * with the ADMM splitting used by OSQP (Stellato et al., 2020): every
+ * iteration solves one linear system with the fixed matrix P + σI + ρAᵀA
+ * and projects onto the bounds. The matrix is inverted once in setup(), so
+ * a problem whose P and A stay the same (an MPC horizon) only pays for
+ * matrix-vector products at each solve. Bounds may be ±Infinity.
+ *
+ * Dense, no scaling or ρ adaptation — sized for horizons of a few dozen
+ * steps.
+ */
+
+const QP = (() => {
+
+    const DEFAULTS = {
+        rho: 0.1,           // ADMM penalty
+        sigma: 1e-6,        // primal regularization
+        alpha: 1.6,         // over-relaxation
+        maxIter: 200,
+        epsAbs: 1e-4,
+        epsRel: 1e-4,
+        checkEvery: 5,      // residuals are checked every few iterations
+    };
+
+    function infNorm(v) {
+        let m = 0;
+        for (let i = 0; i < v.length; i++) m = Math.max(m, Math.abs(v[i]));
+        return m;
+    }
+
+    // =====================================================================
+    //  PUBLIC INTERFACE
+    // =====================================================================
+
+    /**
+     * Prepare a workspace for repeated solves with the same P and A
+     * @param {number[][]} P - n × n, symmetric positive semidefinite
+     * @param {number[][]} A - m × n constraint matrix
+     * @param {object} [options] - overrides for DEFAULTS
+     * @returns {object|null} workspace, or null if the KKT matrix is singular
+     */
+    function setup(P, A, options) {
+        const opts = { ...DEFAULTS, ...options };
+        const n = P.length, m = A.length;
+        const At = LinAlg.transpose(A);
+        const K = LinAlg.add(P, LinAlg.scale(LinAlg.mul(At, A), opts.rho));
+        for (let i = 0; i < n; i++) K[i][i] += opts.sigma;
+        const Kinv = LinAlg.inv(K);
+        if (!Kinv) return null;
+        return { P, A, At, Kinv, n, m, opts };
+    }
+
+    /**
+     * Solve for one linear cost and set of bounds
+     * @param {object} ws - workspace from setup()
+     * @param {number[]} q - linear cost (length n)
+     * @param {number[]} l - lower bounds (length m)
+     * @param {number[]} u - upper bounds (length m)
+     * @param {{x, z, y}} [warm] - previous primal, constraint and dual iterates
+     * @returns {{ x, z, y, iterations, converged }}
+     */
+    function solve(ws, q, l, u, warm) {
+        const { P, A, At, Kinv, n, m, opts } = ws;
+        const { rho, sigma, alpha } = opts;
+        const clampTo = (v, j) => Math.min(Math.max(v, l[j]), u[j]);
+
+        let x = warm && warm.x ? warm.x.slice() : new Array(n).fill(0);
+        let z = warm && warm.z ? warm.z.map(clampTo) : LinAlg.mulVec(A, x).map(clampTo);
+        let y = warm && warm.y ? warm.y.slice() : new Array(m).fill(0);
+
+        const rhs = new Array(n);
+        const w = new Array(m);
+        let iterations = 0, converged = false;
+
+        for (let it = 1; it <= opts.maxIter; it++) {
+            iterations = it;
+
+            // x̃ = (P + σI + ρAᵀA)⁻¹ (σx − q + Aᵀ(ρz − y))
+            for (let j = 0; j < m; j++) w[j] = rho * z[j] - y[j];
+            for (let i = 0; i < n; i++) {
+                let acc = sigma * x[i] - q[i];
+                const Ati = At[i];
+                for (let j = 0; j < m; j++) acc += Ati[j] * w[j];
+                rhs[i] = acc;
+            }
+            const xt = LinAlg.mulVec(Kinv, rhs);
+            const zt = LinAlg.mulVec(A, xt);
+
+            // Relaxed updates, projection onto [l, u], dual ascent
+            for (let i = 0; i < n; i++) x[i] = alpha * xt[i] + (1 - alpha) * x[i];
+            for (let j = 0; j < m; j++) {
+                const zr = alpha * zt[j] + (1 - alpha) * z[j];
+                const zNew = clampTo(zr + y[j] / rho, j);
+                y[j] += rho * (zr - zNew);
+                z[j] = zNew;
+            }
+
+            if (it % opts.checkEvery === 0 || it === opts.maxIter) {
+                const Ax = LinAlg.mulVec(A, x);
+                const Px = LinAlg.mulVec(P, x);
+                const Aty = LinAlg.mulVec(At, y);
+                const rPrim = infNorm(Ax.map((v, j) => v - z[j]));
+                const rDual = infNorm(Px.map((v, i) => v + q[i] + Aty[i]));
+                const epsPrim = opts.epsAbs + opts.epsRel * Math.max(infNorm(Ax), infNorm(z));
+                const epsDual = opts.epsAbs + opts.epsRel * Math.max(infNorm(Px), infNorm(Aty), infNorm(q));
+                if (rPrim <= epsPrim && rDual <= epsDual) {
+                    converged = true;
+                    break;
+                }
+            }
+        }
+
+        return { x, z, y, iterations, converged };
+    }
+
+    return { setup, solve, DEFAULTS };
+})();
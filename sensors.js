@@ -0,0 +1,211 @@
+/**
+ * sensors.js — Onboard Sensor Models
+ *
+ * Turns the true plant state into the measurements a flight controller
+ * actually gets, each at its own rate:
+ *
+ *   IMU      — gyro and accelerometer (specific force) in the body frame,
+ *              white noise plus random-walk bias, every physics step
+ *   Baro     — altitude with white noise and a slow random-walk drift
+ *   Position — GPS (position and Doppler velocity) or motion capture
+ *              (position only): noise, a transport latency and random
+ *              dropouts
+ *   Mag      — unit Earth field in the body frame, with a hard-iron
+ *              offset and white noise
+ *
+ * Body vectors use the physics frame (see physics.js); positions and
+ * altitude are scene coordinates. Delayed measurements carry the time they
+ * were taken (stamp) so an estimator can fuse them against its own past.
+ *
+ * Gyro faults (frozen output, extra noise) are injected by faults.js.
+ *
+ * Noise comes from a seeded generator that is re-seeded on reset, so runs
+ * are reproducible across controllers.
+ */
+
+const Sensors = (() => {
+
+    const config = {
+        noiseScale: 1,          // multiplies every noise/bias/drift term
+        seed: 7,
+        imu: {
+            gyroNoise: 0.01,        // [rad/s]
+            gyroBias: 0.005,        // initial bias magnitude per axis [rad/s]
+            gyroBiasWalk: 0.0003,   // [rad/s/√s]
+            accelNoise: 0.15,       // [m/s²]
+            accelBias: 0.05,        // [m/s²]
+            accelBiasWalk: 0.001,   // [m/s²/√s]
+        },
+        baro: { rate: 25, noise: 0.1, drift: 0.03 },          // [Hz], [m], [m/√s]
+        positionSource: 'GPS',  // 'GPS' | 'MOCAP'
+        // [Hz], [m], [m/s], [s], probability per sample
+        gps:   { rate: 10,  noise: 0.3,   velNoise: 0.1, latency: 0.2,  dropout: 0 },
+        mocap: { rate: 100, noise: 0.002, velNoise: 0,   latency: 0.01, dropout: 0 },
+        mag: {
+            rate: 50,
+            noise: 0.02,            // [field units]
+            hardIron: 0.03,         // body-fixed offset magnitude [field units]
+            inclination: 60,        // field dip below the horizon [deg]
+        },
+    };
+
+    let rng = null;
+    let gaussian = null;    // standard normal samples drawn from rng
+    let bias = null;        // { gyro[3], accel[3], baro }
+    let pending = [];       // delayed position samples waiting to be delivered
+    let next = null;        // next sample time per sensor
+    let prevVel = null;
+
+    // Injected faults (see faults.js)
+    let faults = { gyroStuck: false, gyroNoise: 1 };
+    let lastGyro = [0, 0, 0];
+
+    // =====================================================================
+    //  NOISE
+    // =====================================================================
+
+    function noise3(sigma) {
+        return [sigma * gaussian(), sigma * gaussian(), sigma * gaussian()];
+    }
+
+    // =====================================================================
+    //  PUBLIC INTERFACE
+    // =====================================================================
+
+    function reset() {
+        rng = Wind.makeRng(config.seed);
+        gaussian = Wind.makeGaussian(rng);
+        const k = config.noiseScale;
+        bias = {
+            gyro: noise3(config.imu.gyroBias * k),
+            accel: noise3(config.imu.accelBias * k),
+            baro: 0,
+        };
+        pending = [];
+        next = { baro: 0, position: 0, mag: 0 };
+        prevVel = null;
+        lastGyro = [0, 0, 0];
+    }
+
+    /**
+     * Update any subset of the configuration (nested groups are merged).
+     * Initial biases are redrawn on the next reset().
+     */
+    function configure(changes) {
+        for (const key in changes) {
+            const v = changes[key];
+            if (v && typeof v === 'object' && config[key]) Object.assign(config[key], v);
+            else config[key] = v;
+        }
+    }
+
+    function getConfig() { return JSON.parse(JSON.stringify(config)); }
+
+    /**
+     * Injected sensor faults: { gyroStuck, gyroNoise (noise multiplier) }
+     */
+    function setFaults(f) {
+        faults = { gyroStuck: !!f.gyroStuck, gyroNoise: f.gyroNoise === undefined ? 1 : f.gyroNoise };
+    }
+
+    /**
+     * Sample every sensor that is due after a physics step
+     * @param {object} s  - true state (after Physics.step)
+     * @param {number} t  - simulation time [s]
+     * @param {number} dt - physics timestep [s]
+     * @returns {{ gyro, accel, baro, position, mag }} — baro/position/mag are
+     *   null when no new sample arrived this step
+     */
+    function sample(s, t, dt) {
+        if (!rng) reset();
+        const k = config.noiseScale;
+        const { imu } = config;
+        const R = Physics.rotationMatrix(s);
+        const g = Physics.PARAMS.g;
+
+        // Bias random walks
+        const walk = Math.sqrt(dt) * k;
+        for (let i = 0; i < 3; i++) {
+            bias.gyro[i] += imu.gyroBiasWalk * walk * gaussian();
+            bias.accel[i] += imu.accelBiasWalk * walk * gaussian();
+        }
+        bias.baro += config.baro.drift * walk * gaussian();
+
+        // Gyro (a frozen gyro repeats its last output)
+        const gn = noise3(imu.gyroNoise * k * faults.gyroNoise);
+        const gyro = faults.gyroStuck ? lastGyro.slice() : [
+            s.p + bias.gyro[0] + gn[0],
+            s.q + bias.gyro[1] + gn[1],
+            s.r + bias.gyro[2] + gn[2],
+        ];
+        lastGyro = gyro;
+
+        // Accelerometer: specific force f = a − g, rotated into the body
+        // frame. World acceleration from the change in velocity over the step.
+        const v = [s.vx, s.vz, s.vy];
+        const a = prevVel ? v.map((vi, i) => (vi - prevVel[i]) / dt) : [0, 0, 0];
+        prevVel = v;
+        const fw = [a[0], a[1], a[2] + g];
+        const an = noise3(imu.accelNoise * k);
+        const accel = [0, 1, 2].map(i =>
+            R[0][i] * fw[0] + R[1][i] * fw[1] + R[2][i] * fw[2] + bias.accel[i] + an[i]);
+
+        const out = { gyro, accel, baro: null, position: null, mag: null };
+
+        // Barometer
+        if (t >= next.baro) {
+            next.baro = t + 1 / config.baro.rate;
+            out.baro = s.y + bias.baro + config.baro.noise * k * gaussian();
+        }
+
+        // Position fix (GPS or motion capture), queued for its latency
+        const src = config.positionSource === 'MOCAP' ? config.mocap : config.gps;
+        if (t >= next.position) {
+            next.position = t + 1 / src.rate;
+            if (rng() >= src.dropout) {
+                const fix = {
+                    release: t + src.latency,
+                    stamp: t,
+                    x: s.x + src.noise * k * gaussian(),
+                    y: s.y + src.noise * k * gaussian(),
+                    z: s.z + src.noise * k * gaussian(),
+                    vel: null,
+                };
+                if (src.velNoise > 0) {
+                    fix.vel = {
+                        x: s.vx + src.velNoise * k * gaussian(),
+                        y: s.vy + src.velNoise * k * gaussian(),
+                        z: s.vz + src.velNoise * k * gaussian(),
+                    };
+                }
+                pending.push(fix);
+            }
+        }
+        while (pending.length && pending[0].release <= t + 1e-9) {
+            out.position = pending.shift();
+        }
+
+        // Magnetometer: field points north (+X) and dips below the horizon
+        if (t >= next.mag) {
+            next.mag = t + 1 / config.mag.rate;
+            const dip = config.mag.inclination * Math.PI / 180;
+            const mw = [Math.cos(dip), 0, -Math.sin(dip)];
+            const mn = noise3(config.mag.noise * k);
+            const hi = config.mag.hardIron * k;
+            out.mag = [0, 1, 2].map(i =>
+                R[0][i] * mw[0] + R[1][i] * mw[1] + R[2][i] * mw[2] + (i === 0 ? hi : 0) + mn[i]);
+        }
+
+        return out;
+    }
+
+    /**
+     * Reference Earth field in the physics world frame (for estimators)
+     */
+    function magReference() {
+        const dip = config.mag.inclination * Math.PI / 180;
+        return [Math.cos(dip), 0, -Math.sin(dip)];
+    }
+
+    return { reset, configure, getConfig, setFaults, sample, magReference };
+})();
@@ -8,45 +8,140 @@
  *   FIGURE8   — Lemniscate of Gerono
  *   SQUARE    — Waypoint sequence with linear interpolation
  *
+ * Typed:
+ *   PARAMETRIC — x(t), y(t), z(t) and optionally yaw(t) as formulas
+ *                (expr.js); other names in them become parameters
+ *
+ * CIRCLE, FIGURE8 and SQUARE repeat; their lap time (getPeriod) is what
+ * the ILC layer learns over.
+ *
+ * Every reference carries velocity (vx, vy, vz), acceleration (ax, ay, az)
+ * and jerk (jx, jy, jz) for the controllers' feedforward. The predefined
+ * patterns give them in closed form; a pattern that leaves any out has
+ * them filled in by finite differences.
+ *
+ * Heading is not part of a pattern: a yaw policy (fixed, face the
+ * direction of travel, look at a point, constant spin) is laid over
+ * whichever path is flown and supplies yaw and its rate yawRate, the
+ * controllers' feedforward. KEYBOARD keeps its manual yaw, and a
+ * parametric yaw(t) replaces the policy.
+ *
  * Custom:
- *   CUSTOM    — User-placed 3D waypoints
+ *   CUSTOM    — User-placed 3D waypoints, flown as a closed minimum-snap
+ *               (or minimum-jerk) loop timed to speed and acceleration limits
  *   KEYBOARD  — Manual keyboard piloting
  */
 
 const Trajectories = (() => {
 
-    // Current waypoint list for custom mode
+    // Custom mode: the waypoint list and the closed spline flown through it
+    const SPLINE_ORDERS = {
+        SNAP: { name: 'Minimum snap', degree: 7 },
+        JERK: { name: 'Minimum jerk', degree: 5 },
+    };
+    const customConfig = {
+        order: 'SNAP',
+        vMax: 1.5,          // peak speed along the loop [m/s]
+        aMax: 1.5,          // peak acceleration along the loop [m/s²]
+    };
+    const PEAK_SAMPLES = 40;    // samples per segment when looking for the peaks
     let customWaypoints = [];
-    let customSpeed = 1.0;  // m/s traversal speed
-    let customIdx = 0;
-    let customT = 0;
+    let customPath = null;      // fitted loop, null with fewer than two distinct waypoints
+
+    // Yaw policy laid over every pattern but KEYBOARD
+    const YAW_POLICIES = {
+        FIXED:    'Fixed heading',
+        VELOCITY: 'Face direction of travel',
+        LOOK_AT:  'Look at a point',
+        SPIN:     'Constant spin',
+    };
+    const yawPolicy = {
+        mode: 'FIXED',
+        heading: 0,         // fixed heading, spin start and fallback ψ₀ [rad]
+        lookX: 0, lookZ: 0, // point to look at (scene x, z) [m]
+        rate: Math.PI / 6,  // spin rate [rad/s]
+    };
+    const DIFF_DT = 0.02;       // step for differentiating a pattern [s]
+    const DERIVATIVES = ['vx', 'vy', 'vz', 'ax', 'ay', 'az', 'jx', 'jy', 'jz'];
+    const MIN_SPEED = 0.2;      // slower than this the path has no direction [m/s]
+    const LOOKAHEAD = 3;        // how far a stopped path looks for its next move [s]
+    const MAX_YAW_RATE = 1.5;   // feedforward limit, e.g. passing under a look-at point [rad/s]
+
+    const PARAMETRIC_AXES = ['x', 'y', 'z', 'yaw'];
+    const PARAMETRIC_KEYS = {   // every value a formula gives, by formula
+        x: ['x', 'vx', 'ax', 'jx'], y: ['y', 'vy', 'ay', 'jy'], z: ['z', 'vz', 'az', 'jz'],
+        yaw: ['yaw', 'yawRate'],
+    };
+    const CHECK_SPAN = 40;      // a new parametric formula must be defined over [0, CHECK_SPAN] [s]
+    let parametricTrees = {};   // parsed formulas of the PARAMETRIC pattern
+    let parametricHold = null;  // last finite position and heading flown, held where a formula is undefined
 
     // Keyboard accumulator
     let kbTarget = { x: 0, y: 2, z: 0, yaw: 0 };
     let kbVel = { x: 0, y: 0, z: 0, yaw: 0 };
 
+    // =====================================================================
+    //  PATH SHAPES
+    // =====================================================================
+
+    // Zero velocity, acceleration and jerk
+    function rest() {
+        return { vx: 0, vy: 0, vz: 0, ax: 0, ay: 0, az: 0, jx: 0, jy: 0, jz: 0 };
+    }
+
+    /**
+     * Straight move from a to b along the smoothstep s = 3f² − 2f³ at
+     * fraction f of duration T, with its derivatives ṡ = 6f(1 − f)/T,
+     * s̈ = (6 − 12f)/T², s⃛ = −12/T³
+     */
+    function smoothSegment(a, b, f, T) {
+        const s = f * f * (3 - 2 * f);
+        const sd = 6 * f * (1 - f) / T, sdd = (6 - 12 * f) / (T * T), sddd = -12 / (T * T * T);
+        const d = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        return {
+            x: a[0] + d[0] * s, y: a[1] + d[1] * s, z: a[2] + d[2] * s,
+            vx: d[0] * sd,   vy: d[1] * sd,   vz: d[2] * sd,
+            ax: d[0] * sdd,  ay: d[1] * sdd,  az: d[2] * sdd,
+            jx: d[0] * sddd, jy: d[1] * sddd, jz: d[2] * sddd,
+        };
+    }
+
+    // Each pattern: name, params, paramDefs (sliders: { key, label, unit,
+    // min, max, step, decimals? }), period(params) if it repeats,
+    // fn(t, params) and a description
     const patterns = {
         HOVER: {
             name: 'Hover (Fixed Setpoint)',
             params: { x: 0, y: 3, z: 0 },
+            paramDefs: [
+                { key: 'x', label: 'X', unit: 'm', min: -10, max: 10, step: 0.5 },
+                { key: 'y', label: 'Altitude', unit: 'm', min: 0.5, max: 10, step: 0.5 },
+                { key: 'z', label: 'Z', unit: 'm', min: -10, max: 10, step: 0.5 },
+            ],
             fn(t, p) {
-                return { x: p.x, y: p.y, z: p.z, vx: 0, vy: 0, vz: 0, yaw: 0 };
+                return { x: p.x, y: p.y, z: p.z, ...rest() };
             },
             description: 'Stationary hover — ideal for comparing transient response and steady-state error between controllers.'
         },
         CIRCLE: {
             name: 'Horizontal Circle',
             params: { radius: 4, altitude: 3, speed: 0.5 },
+            paramDefs: [
+                { key: 'radius', label: 'Radius', unit: 'm', min: 0.5, max: 10, step: 0.5 },
+                { key: 'altitude', label: 'Altitude', unit: 'm', min: 0.5, max: 10, step: 0.5 },
+                { key: 'speed', label: 'Angular speed', unit: 'rad/s', min: 0.05, max: 2, step: 0.05, decimals: 2 },
+            ],
+            period: p => 2 * Math.PI / p.speed,
             fn(t, p) {
-                const w = p.speed;
+                const w = p.speed, r = p.radius;
+                const c = Math.cos(w * t), s = Math.sin(w * t);
                 return {
-                    x:  p.radius * Math.cos(w * t),
+                    x:  r * c,
                     y:  p.altitude,
-                    z:  p.radius * Math.sin(w * t),
-                    vx: -p.radius * w * Math.sin(w * t),
-                    vy: 0,
-                    vz:  p.radius * w * Math.cos(w * t),
-                    yaw: 0
+                    z:  r * s,
+                    vx: -r * w * s,                 vy: 0, vz:  r * w * c,
+                    ax: -r * w * w * c,             ay: 0, az: -r * w * w * s,
+                    jx:  r * w * w * w * s,         jy: 0, jz: -r * w * w * w * c,
                 };
             },
             description: 'Constant curvature path — tests centripetal acceleration tracking and coupling between axes.'
@@ -54,16 +149,21 @@ const Trajectories = (() => {
         HELIX: {
             name: 'Ascending Helix',
             params: { radius: 3, climbRate: 0.3, speed: 0.4 },
+            paramDefs: [
+                { key: 'radius', label: 'Radius', unit: 'm', min: 0.5, max: 10, step: 0.5 },
+                { key: 'climbRate', label: 'Climb rate', unit: 'm/s', min: 0, max: 1, step: 0.05, decimals: 2 },
+                { key: 'speed', label: 'Angular speed', unit: 'rad/s', min: 0.05, max: 2, step: 0.05, decimals: 2 },
+            ],
             fn(t, p) {
-                const w = p.speed;
+                const w = p.speed, r = p.radius;
+                const c = Math.cos(w * t), s = Math.sin(w * t);
                 return {
-                    x:  p.radius * Math.cos(w * t),
+                    x:  r * c,
                     y:  1 + p.climbRate * t,
-                    z:  p.radius * Math.sin(w * t),
-                    vx: -p.radius * w * Math.sin(w * t),
-                    vy: p.climbRate,
-                    vz:  p.radius * w * Math.cos(w * t),
-                    yaw: 0
+                    z:  r * s,
+                    vx: -r * w * s,                 vy: p.climbRate, vz:  r * w * c,
+                    ax: -r * w * w * c,             ay: 0,           az: -r * w * w * s,
+                    jx:  r * w * w * w * s,         jy: 0,           jz: -r * w * w * w * c,
                 };
             },
             description: 'Combined circular + vertical tracking — exposes altitude controller coupling with lateral dynamics.'
@@ -71,17 +171,27 @@ const Trajectories = (() => {
         FIGURE8: {
             name: 'Lemniscate (Figure-8)',
             params: { scaleX: 5, scaleZ: 3, altitude: 3.5, speed: 0.4 },
+            paramDefs: [
+                { key: 'scaleX', label: 'Half length X', unit: 'm', min: 1, max: 10, step: 0.5 },
+                { key: 'scaleZ', label: 'Width Z', unit: 'm', min: 1, max: 10, step: 0.5 },
+                { key: 'altitude', label: 'Altitude', unit: 'm', min: 1, max: 10, step: 0.5 },
+                { key: 'speed', label: 'Angular speed', unit: 'rad/s', min: 0.05, max: 2, step: 0.05, decimals: 2 },
+            ],
+            period: p => 4 * Math.PI / p.speed,     // altitude bob runs at w/2
             fn(t, p) {
-                const w = p.speed;
+                const w = p.speed, X = p.scaleX, Z = p.scaleZ;
+                const w2 = w * w, w3 = w2 * w;
+                const c1 = Math.cos(w * t), s1 = Math.sin(w * t);
+                const ch = Math.cos(w * t * 0.5), sh = Math.sin(w * t * 0.5);
+                const c2 = Math.cos(2 * w * t), s2 = Math.sin(2 * w * t);
                 // Lemniscate of Gerono: x = cos(t), z = sin(2t)/2
                 return {
-                    x: p.scaleX * Math.cos(w * t),
-                    y: p.altitude + 0.5 * Math.sin(w * t * 0.5),
-                    z: p.scaleZ * Math.sin(2 * w * t) / 2,
-                    vx: -p.scaleX * w * Math.sin(w * t),
-                    vy: 0.5 * 0.5 * w * Math.cos(w * t * 0.5),
-                    vz: p.scaleZ * w * Math.cos(2 * w * t),
-                    yaw: 0
+                    x: X * c1,
+                    y: p.altitude + 0.5 * sh,
+                    z: Z * s2 / 2,
+                    vx: -X * w * s1,    vy:  0.25 * w * ch,      vz:  Z * w * c2,
+                    ax: -X * w2 * c1,   ay: -0.125 * w2 * sh,    az: -2 * Z * w2 * s2,
+                    jx:  X * w3 * s1,   jy: -0.0625 * w3 * ch,   jz: -4 * Z * w3 * c2,
                 };
             },
             description: 'Self-intersecting path with varying curvature — aggressive test for tracking fidelity and phase lag.'
@@ -89,6 +199,12 @@ const Trajectories = (() => {
         SQUARE: {
             name: 'Waypoint Square',
             params: { size: 4, altitude: 3, holdTime: 3 },
+            paramDefs: [
+                { key: 'size', label: 'Half side', unit: 'm', min: 0.5, max: 10, step: 0.5 },
+                { key: 'altitude', label: 'Altitude', unit: 'm', min: 0.5, max: 10, step: 0.5 },
+                { key: 'holdTime', label: 'Time per side', unit: 's', min: 0.5, max: 10, step: 0.5 },
+            ],
+            period: p => 4 * p.holdTime,
             fn(t, p) {
                 const corners = [
                     [p.size, p.altitude, p.size],
@@ -105,51 +221,417 @@ const Trajectories = (() => {
                 const next = corners[(segIdx + 1) % corners.length];
 
                 // Smooth cubic interpolation
-                const s = segFrac * segFrac * (3 - 2 * segFrac); // smoothstep
-
-                return {
-                    x: curr[0] + (next[0] - curr[0]) * s,
-                    y: curr[1] + (next[1] - curr[1]) * s,
-                    z: curr[2] + (next[2] - curr[2]) * s,
-                    vx: 0, vy: 0, vz: 0, yaw: 0
-                };
+                return smoothSegment(curr, next, segFrac, p.holdTime);
             },
-            description: 'Discontinuous velocity reference — tests controller response to step-like setpoint changes.'
+            description: 'Smoothstep moves that stop at each corner, acceleration reversing in a step there — tests controller response to step-like setpoint changes.'
+        },
+        PARAMETRIC: {
+            name: 'Parametric (typed formulas)',
+            params: { A: 4, w: 0.15, h: 3 },
+            paramDefs: [],          // one per parameter, from setParametric
+            formulas: { x: 'A*sin(3*w*t)', y: 'h + 0.5*cos(w*t)', z: 'A*sin(2*w*t)', yaw: '' },
+            fn(t, p, flown) { return holdParametric(parametricRef(parametricTrees, t, p), flown); },
+            description: 'Your own curve: x(t), y(t), z(t) and optionally yaw(t) typed as formulas, every other name a parameter with a slider. Velocity, acceleration and jerk come from automatic differentiation.'
         },
         STEP: {
             name: 'Step Response',
             params: { startAlt: 1, endAlt: 4, stepTime: 3 },
+            paramDefs: [
+                { key: 'startAlt', label: 'Start altitude', unit: 'm', min: 0.5, max: 10, step: 0.5 },
+                { key: 'endAlt', label: 'End altitude', unit: 'm', min: 0.5, max: 10, step: 0.5 },
+                { key: 'stepTime', label: 'Step time', unit: 's', min: 0.5, max: 20, step: 0.5 },
+            ],
             fn(t, p) {
                 const y = t < p.stepTime ? p.startAlt : p.endAlt;
-                return { x: 0, y: y, z: 0, vx: 0, vy: 0, vz: 0, yaw: 0 };
+                return { x: 0, y: y, z: 0, ...rest() };
             },
             description: 'Classical step input — directly measures rise time, overshoot, settling time, and steady-state error.'
         },
     };
+    setParametric(patterns.PARAMETRIC.formulas);
+
+    // =====================================================================
+    //  PARAMETRIC FORMULAS
+    // =====================================================================
+
+    /**
+     * Position through jerk of parsed formulas at time t, with yaw and
+     * yawRate when there is a yaw(t). Values may be non-finite where a
+     * formula or one of its derivatives is undefined (log of a negative,
+     * 1/0, √ at 0).
+     */
+    function parametricRef(trees, t, p) {
+        const vars = { ...p, t: Expr.variable(t) };
+        const ref = {};
+        ['x', 'y', 'z'].forEach(ax => {
+            const [f, v, a, j] = Expr.derivatives(Expr.evaluate(trees[ax], vars));
+            ref[ax] = f;
+            ref['v' + ax] = v;
+            ref['a' + ax] = a;
+            ref['j' + ax] = j;
+        });
+        if (trees.yaw) {
+            const [psi, r] = Expr.derivatives(Expr.evaluate(trees.yaw, vars));
+            ref.yaw = wrapAngle(psi);
+            ref.yawRate = r;
+        }
+        return ref;
+    }
+
+    /**
+     * Make a parametric reference flyable: an undefined position or heading
+     * holds the last finite one of the flown path at rest, an undefined
+     * derivative reads as 0. Only the flown reference (update set) moves
+     * the hold; previews and MPC's lookahead just read it.
+     */
+    function holdParametric(ref, update) {
+        const hold = parametricHold || (parametricHold = { x: 0, y: 3, z: 0, yaw: 0 });
+        Object.keys(PARAMETRIC_KEYS).forEach(ax => {
+            if (!(ax in ref)) return;
+            const [pos, ...derivs] = PARAMETRIC_KEYS[ax];
+            if (isFinite(ref[pos])) {
+                if (update) hold[pos] = ref[pos];
+                derivs.forEach(k => { if (!isFinite(ref[k])) ref[k] = 0; });
+            } else {
+                ref[pos] = hold[pos];
+                derivs.forEach(k => { ref[k] = 0; });
+            }
+        });
+        return ref;
+    }
+
+    /**
+     * First sample time in [0, CHECK_SPAN] at which the formulas or the
+     * derivatives fed forward are undefined for the given parameters, as an
+     * Error, or null
+     */
+    function parametricFault(trees, params) {
+        for (let t = 0; t <= CHECK_SPAN; t += 0.25) {
+            const ref = parametricRef(trees, t, params);
+            for (const ax of PARAMETRIC_AXES) {
+                if (!(ax in ref)) continue;
+                const bad = PARAMETRIC_KEYS[ax].find(k => !isFinite(ref[k]));
+                if (!bad) continue;
+                const what = bad === ax ? 'is undefined' : 'has an undefined derivative';
+                return new Error(`${ax}(t) ${what} at t = ${t.toFixed(2)} s`);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Give the parametric pattern new formulas { x, y, z, yaw }, yaw
+     * optional. Every name other than t and the constants becomes a
+     * parameter: names already in use keep their value, new ones start at 1.
+     * The formulas are kept only if each parses and the path is defined
+     * over the first CHECK_SPAN seconds.
+     * @returns {string[]} the parameter names
+     * @throws {Error} saying which formula is at fault and why
+     */
+    function setParametric(formulas) {
+        const pat = patterns.PARAMETRIC;
+        const trees = {};
+        PARAMETRIC_AXES.forEach(ax => {
+            const src = (formulas[ax] || '').trim();
+            if (!src && ax === 'yaw') return;
+            try {
+                trees[ax] = Expr.parse(src);
+            } catch (e) {
+                throw new Error(`${ax}(t): ${e.message.replace(/^Expr: /, '')}`);
+            }
+        });
+
+        const names = [];
+        Object.values(trees).forEach(tree => Expr.variables(tree, names));
+        const params = {};
+        names.filter(n => n !== 't').forEach(n => {
+            if (n in Object.prototype) throw new Error(`'${n}' cannot be a parameter name`);
+            params[n] = Object.prototype.hasOwnProperty.call(pat.params, n) ? pat.params[n] : 1;
+        });
+
+        const fault = parametricFault(trees, params);
+        if (fault) throw fault;
+
+        parametricTrees = trees;
+        parametricHold = null;
+        pat.params = params;
+        pat.paramDefs = Object.keys(params).map(key => {
+            const span = Math.max(10, Math.ceil(2 * Math.abs(params[key])));
+            return { key, label: key, unit: '', min: -span, max: span, step: 0.01, decimals: 2 };
+        });
+        pat.formulas = {};
+        PARAMETRIC_AXES.forEach(ax => { pat.formulas[ax] = (formulas[ax] || '').trim(); });
+        return Object.keys(params);
+    }
+
+    // =====================================================================
+    //  WAYPOINT SPLINES
+    // =====================================================================
+    // The custom loop minimises ∫‖p⁽ʳ⁾‖² dt (r = 4 snap, r = 3 jerk) with
+    // the path pinned to each waypoint. The optimum is a polynomial of
+    // degree 2r − 1 per segment, joined with 2r − 2 continuous derivatives;
+    // around a closed loop that is a square linear system. Coefficients are
+    // kept in each segment's own time τ = t/Tᵢ ∈ [0, 1].
+
+    function dist(a, b) { return Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]); }
+
+    // Falling factorial k!/(k − r)!, the factor d^r/dτ^r puts on τ^k
+    function fall(k, r) {
+        let f = 1;
+        for (let i = 0; i < r; i++) f *= k - i;
+        return f;
+    }
+
+    /**
+     * Waypoints without repeats of the one before (around the loop too),
+     * which would make zero-length segments
+     */
+    function distinctWaypoints(wps) {
+        const out = [];
+        wps.forEach(w => {
+            if (!out.length || dist(out[out.length - 1], w) > 1e-6) out.push(w.slice());
+        });
+        while (out.length > 1 && dist(out[out.length - 1], out[0]) <= 1e-6) out.pop();
+        return out;
+    }
+
+    /**
+     * Coefficients coef[i][axis][k] of the closed loop through wps with
+     * segment times T, or null if the system is singular
+     */
+    function fitLoop(wps, T, degree) {
+        const n = wps.length, m = degree + 1, N = n * m;
+        const A = LinAlg.zeros(N, N);
+        const b = [0, 1, 2].map(() => new Array(N).fill(0));
+        let row = 0;
+        for (let i = 0; i < n; i++) {
+            const j = (i + 1) % n, ci = i * m, cj = j * m;
+            // pᵢ(0) = wᵢ, pᵢ(1) = wᵢ₊₁
+            A[row][ci] = 1;
+            b.forEach((rhs, ax) => { rhs[row] = wps[i][ax]; });
+            row++;
+            for (let k = 0; k < m; k++) A[row][ci + k] = 1;
+            b.forEach((rhs, ax) => { rhs[row] = wps[j][ax]; });
+            row++;
+            // d^r/dt^r continuous at the join, times Tᵢ^r:
+            // pᵢ⁽ʳ⁾(1) − (Tᵢ/Tⱼ)^r pⱼ⁽ʳ⁾(0) = 0
+            for (let r = 1; r < degree; r++) {
+                for (let k = r; k < m; k++) A[row][ci + k] = fall(k, r);
+                A[row][cj + r] = -fall(r, r) * Math.pow(T[i] / T[j], r);
+                row++;
+            }
+        }
+        const Ainv = LinAlg.inv(A);
+        if (!Ainv) return null;
+        const sol = b.map(rhs => LinAlg.mulVec(Ainv, rhs));
+        return wps.map((_, i) => sol.map(c => c.slice(i * m, (i + 1) * m)));
+    }
+
+    /**
+     * Position through jerk of one segment at τ ∈ [0, 1] (duration T)
+     */
+    function segmentRef(coef, T, tau) {
+        const ref = {};
+        ['x', 'y', 'z'].forEach((ax, a) => {
+            const c = coef[a];
+            const d = [0, 1, 2, 3].map(r => {
+                let s = 0;
+                for (let k = c.length - 1; k >= r; k--) s = s * tau + c[k] * fall(k, r);
+                return s / Math.pow(T, r);
+            });
+            ref[ax] = d[0];
+            ref['v' + ax] = d[1];
+            ref['a' + ax] = d[2];
+            ref['j' + ax] = d[3];
+        });
+        return ref;
+    }
+
+    /**
+     * Fit the loop through the current waypoints. Each segment first gets
+     * the longer of its cruise time d/v_max and its rest-to-rest time
+     * 2√(d/a_max); all are then stretched or shrunk by one factor until the
+     * peak speed or acceleration sits on its limit. A common time scale
+     * leaves the τ coefficients as they are, so one solve does.
+     */
+    function buildCustomPath() {
+        customPath = null;
+        const wps = distinctWaypoints(customWaypoints);
+        const n = wps.length;
+        if (n < 2) return;
+        const { vMax, aMax } = customConfig;
+        const T = wps.map((w, i) => {
+            const d = dist(w, wps[(i + 1) % n]);
+            return Math.max(d / vMax, 2 * Math.sqrt(d / aMax));
+        });
+        const coef = fitLoop(wps, T, SPLINE_ORDERS[customConfig.order].degree);
+        if (!coef) return;
+
+        let vPeak = 0, aPeak = 0;
+        coef.forEach((c, i) => {
+            for (let s = 0; s <= PEAK_SAMPLES; s++) {
+                const r = segmentRef(c, T[i], s / PEAK_SAMPLES);
+                vPeak = Math.max(vPeak, Math.hypot(r.vx, r.vy, r.vz));
+                aPeak = Math.max(aPeak, Math.hypot(r.ax, r.ay, r.az));
+            }
+        });
+        const k = Math.max(vPeak / vMax, Math.sqrt(aPeak / aMax));
+        const times = T.map(t => t * k);
+        const start = [0];
+        times.forEach((t, i) => start.push(start[i] + t));
+        customPath = {
+            times, start, coef,
+            period: start[n],
+            vPeak: vPeak / k,
+            aPeak: aPeak / (k * k),
+        };
+    }
+
+    /**
+     * The custom loop at time t, position through jerk
+     */
+    function customRef(t) {
+        const P = customPath;
+        const u = ((t % P.period) + P.period) % P.period;
+        let i = 0;
+        while (i < P.times.length - 1 && u >= P.start[i + 1]) i++;
+        return segmentRef(P.coef[i], P.times[i], Math.min(1, (u - P.start[i]) / P.times[i]));
+    }
+
+    // =====================================================================
+    //  YAW POLICIES
+    // =====================================================================
+    // ψ = 0 faces scene +x and ψ grows from +x towards +z, so the direction
+    // of travel is atan2(v_z, v_x).
+
+    function wrapAngle(a) { return a - 2 * Math.PI * Math.round(a / (2 * Math.PI)); }
+
+    function limitRate(r) { return Math.max(-MAX_YAW_RATE, Math.min(MAX_YAW_RATE, r)); }
+
+    /**
+     * Direction of the path's next move from time t, or null if it stays
+     * put for the whole lookahead
+     */
+    function nextDirection(fn, t) {
+        const p0 = fn(t);
+        for (let dt = 0.1; dt <= LOOKAHEAD + 1e-9; dt += 0.1) {
+            const p = fn(t + dt);
+            if (Math.hypot(p.x - p0.x, p.z - p0.z) > 0.05) return Math.atan2(p.z - p0.z, p.x - p0.x);
+        }
+        return null;
+    }
+
+    /**
+     * Heading reference { yaw, yawRate } for a reference point m of the
+     * path (position, vx, vz, ax, az). ahead() gives the direction to face
+     * while the path stands still (null: none, keep ψ₀).
+     */
+    function policyYaw(m, t, ahead) {
+        const P = yawPolicy;
+        switch (P.mode) {
+            case 'VELOCITY': {
+                // ψ = atan2(v_z, v_x), ψ̇ = (v × a)_y / |v|²
+                const v2 = m.vx * m.vx + m.vz * m.vz;
+                if (v2 > MIN_SPEED * MIN_SPEED) {
+                    return { yaw: Math.atan2(m.vz, m.vx), yawRate: limitRate((m.vx * m.az - m.vz * m.ax) / v2) };
+                }
+                const dir = ahead();
+                return { yaw: dir === null ? wrapAngle(P.heading) : dir, yawRate: 0 };
+            }
+            case 'LOOK_AT': {
+                // ψ = atan2(d_z, d_x) with d = target − p, ḋ = −v
+                const dx = P.lookX - m.x, dz = P.lookZ - m.z;
+                const d2 = dx * dx + dz * dz;
+                if (d2 < 0.01) return { yaw: wrapAngle(P.heading), yawRate: 0 };  // right above it
+                return { yaw: Math.atan2(dz, dx), yawRate: limitRate((dz * m.vx - dx * m.vz) / d2) };
+            }
+            case 'SPIN':
+                return { yaw: wrapAngle(P.heading + P.rate * t), yawRate: P.rate };
+            default:
+                return { yaw: wrapAngle(P.heading), yawRate: 0 };
+        }
+    }
+
+    function getYawPolicies() { return YAW_POLICIES; }
+
+    function getYawPolicy() { return { ...yawPolicy }; }
+
+    function setYawPolicy(changes) { Object.assign(yawPolicy, changes); }
+
+    // =====================================================================
+    //  EVALUATION
+    // =====================================================================
+
+    /**
+     * Fill in the derivatives a pattern does not give by central
+     * differences of its position, taken forward of t = 0
+     */
+    function differentiate(fn, t, ref) {
+        const missing = DERIVATIVES.filter(k => typeof ref[k] !== 'number');
+        if (missing.length === 0) return ref;
+        const h = DIFF_DT;
+        const t0 = Math.max(t - 2 * h, 0);
+        const P = [0, 1, 2, 3, 4].map(i => fn(t0 + i * h));
+        const d = {};
+        ['x', 'y', 'z'].forEach(ax => {
+            const [p0, p1, p2, p3, p4] = P.map(p => p[ax]);
+            d['v' + ax] = (p3 - p1) / (2 * h);
+            d['a' + ax] = (p3 - 2 * p2 + p1) / (h * h);
+            d['j' + ax] = (p4 - 2 * p3 + 2 * p1 - p0) / (2 * h * h * h);
+        });
+        missing.forEach(k => { ref[k] = d[k]; });
+        return ref;
+    }
 
     /**
-     * Evaluate a predefined trajectory at time t
+     * Evaluate a predefined trajectory at time t, derivatives and heading
+     * included. This is the reference being flown; see getTrajectoryFn for
+     * looking ahead.
      */
-    function evaluate(patternKey, t) {
+    function evaluate(patternKey, t) { return reference(patternKey, t, true); }
+
+    // A pattern's fn may keep state from the flown reference (the parametric
+    // hold); every other evaluation passes flown = false and leaves it alone
+    function reference(patternKey, t, flown) {
         const pat = patterns[patternKey];
-        if (!pat) return { x: 0, y: 3, z: 0, vx: 0, vy: 0, vz: 0, yaw: 0 };
-        return pat.fn(t, pat.params);
+        if (!pat) return { x: 0, y: 3, z: 0, ...rest(), yaw: 0, yawRate: 0 };
+        const fn = (s) => pat.fn(s, pat.params, false);
+        const ref = differentiate(fn, t, pat.fn(t, pat.params, flown));
+        if (typeof ref.yaw === 'number') return ref;    // the pattern steers itself
+        return Object.assign(ref, policyYaw(ref, t, () => nextDirection(fn, t)));
     }
 
     /**
      * Get trajectory function for MPC lookahead
      */
     function getTrajectoryFn(patternKey) {
+        if (patternKey === 'CUSTOM') return evaluateCustom;
+        if (!patterns[patternKey]) return (t) => ({ x: 0, y: 3, z: 0 });
+        return (t) => reference(patternKey, t, false);
+    }
+
+    /**
+     * Lap time of a repeating pattern [s], or null if it does not repeat
+     */
+    function getPeriod(patternKey) {
         const pat = patterns[patternKey];
-        if (!pat) return (t) => ({ x: 0, y: 3, z: 0 });
-        return (t) => pat.fn(t, pat.params);
+        return pat && pat.period ? pat.period(pat.params) : null;
     }
 
     /**
-     * Generate preview points for the desired path visualization
+     * Generate preview points for the desired path visualization; the
+     * custom loop is drawn over one lap whatever the duration
      */
     function generatePreview(patternKey, numPoints, duration) {
         const points = [];
+        if (patternKey === 'CUSTOM') {
+            if (!customPath) return points;
+            for (let i = 0; i <= numPoints; i++) {
+                const p = customRef((i / numPoints) * customPath.period);
+                points.push([p.x, p.y, p.z]);
+            }
+            return points;
+        }
         const pat = patterns[patternKey];
         if (!pat) return points;
         for (let i = 0; i <= numPoints; i++) {
@@ -162,40 +644,42 @@ const Trajectories = (() => {
 
     // --- Custom Waypoints ---
     function setCustomWaypoints(wps) {
-        customWaypoints = wps;
-        customIdx = 0;
-        customT = 0;
+        customWaypoints = wps.map(w => w.slice());
+        buildCustomPath();
     }
 
-    function evaluateCustom(t) {
-        if (customWaypoints.length === 0) return { x: 0, y: 3, z: 0, vx: 0, vy: 0, vz: 0, yaw: 0 };
-        if (customWaypoints.length === 1) {
-            const w = customWaypoints[0];
-            return { x: w[0], y: w[1], z: w[2], vx: 0, vy: 0, vz: 0, yaw: 0 };
-        }
+    function getSplineOrders() { return SPLINE_ORDERS; }
 
-        // Linear interpolation along waypoints at constant speed
-        const curr = customWaypoints[customIdx % customWaypoints.length];
-        const next = customWaypoints[(customIdx + 1) % customWaypoints.length];
-        const dx = next[0] - curr[0], dy = next[1] - curr[1], dz = next[2] - curr[2];
-        const dist = Math.sqrt(dx*dx + dy*dy + dz*dz);
-        const segTime = dist / customSpeed;
+    function getCustomConfig() { return { ...customConfig }; }
 
-        customT += 0.016;
-        const frac = Math.min(customT / segTime, 1);
+    function setCustomConfig(changes) {
+        Object.assign(customConfig, changes);
+        buildCustomPath();
+    }
 
-        if (frac >= 1) {
-            customIdx = (customIdx + 1) % customWaypoints.length;
-            customT = 0;
-        }
+    /**
+     * Lap time, segment count and peak speed and acceleration of the
+     * custom loop, or null while there is no loop to fly
+     */
+    function getCustomInfo() {
+        if (!customPath) return null;
+        const { period, times, vPeak, aPeak } = customPath;
+        return { period, segments: times.length, vPeak, aPeak };
+    }
 
-        const s = frac * frac * (3 - 2 * frac);
-        return {
-            x: curr[0] + dx * s,
-            y: curr[1] + dy * s,
-            z: curr[2] + dz * s,
-            vx: 0, vy: 0, vz: 0, yaw: 0
-        };
+    /**
+     * Evaluate the custom loop at sim time t, derivatives and heading
+     * included. With a single waypoint it holds there, with none at the
+     * default hover point.
+     */
+    function evaluateCustom(t) {
+        if (!customPath) {
+            const w = customWaypoints[0] || [0, 3, 0];
+            const ref = { x: w[0], y: w[1], z: w[2], ...rest() };
+            return Object.assign(ref, policyYaw(ref, t, () => null));
+        }
+        const ref = customRef(t);
+        return Object.assign(ref, policyYaw(ref, t, () => nextDirection(customRef, t)));
     }
 
     // --- Keyboard Control ---
@@ -221,8 +705,8 @@ const Trajectories = (() => {
 
         return {
             x: kbTarget.x, y: kbTarget.y, z: kbTarget.z,
-            vx: kbVel.x, vy: kbVel.y, vz: kbVel.z,
-            yaw: kbTarget.yaw
+            ...rest(), vx: kbVel.x, vy: kbVel.y, vz: kbVel.z,
+            yaw: kbTarget.yaw, yawRate: kbVel.yaw
         };
     }
 
@@ -231,13 +715,27 @@ const Trajectories = (() => {
     }
 
     function getPatterns() { return patterns; }
+    /**
+     * Set one parameter of a predefined pattern. A parametric value that
+     * leaves the path undefined within CHECK_SPAN is refused and the old
+     * one kept.
+     * @throws {Error} saying which formula is undefined and when
+     */
     function setPatternParam(key, param, value) {
-        if (patterns[key]) patterns[key].params[param] = value;
+        const pat = patterns[key];
+        if (!pat) return;
+        if (key === 'PARAMETRIC') {
+            const fault = parametricFault(parametricTrees, { ...pat.params, [param]: value });
+            if (fault) throw new Error(`${param} = ${value}: ${fault.message}`);
+        }
+        pat.params[param] = value;
     }
 
     return {
-        evaluate, getTrajectoryFn, generatePreview, getPatterns,
+        evaluate, getTrajectoryFn, getPeriod, generatePreview, getPatterns,
         setPatternParam, setCustomWaypoints, evaluateCustom,
-        updateKeyboard, resetKeyboard
+        getSplineOrders, getCustomConfig, setCustomConfig, getCustomInfo, setParametric,
+        updateKeyboard, resetKeyboard,
+        getYawPolicies, getYawPolicy, setYawPolicy
     };
 })();
@@ -0,0 +1,229 @@
+/**
+ * wind.js — Atmospheric Disturbance Model
+ *
+ * Wind velocity at the vehicle [m/s] is the sum of:
+ *   - Mean wind       — constant speed along a horizontal azimuth
+ *   - Turbulence      — Dryden or von Kármán spectra, shaped from seeded
+ *                       white noise (frozen turbulence convected at the
+ *                       mean wind speed, floor V_MIN)
+ *   - Discrete gusts  — scheduled 1−cos pulses
+ *
+ * Azimuths are measured in the ground plane from +x towards +z, and give
+ * the direction the air moves towards. Turbulence components are u (along
+ * the mean wind), v (lateral) and w (vertical).
+ *
+ * All noise comes from one seeded generator that is re-seeded on reset, so
+ * the same seed reproduces the same disturbance for every controller.
+ *
+ * References:
+ *   MIL-F-8785C, "Flying Qualities of Piloted Airplanes," 1980
+ *   MIL-HDBK-1797, "Flying Qualities of Piloted Aircraft," 1997
+ */
+
+const Wind = (() => {
+
+    const V_MIN = 1.0;  // minimum convection speed for the turbulence filters [m/s]
+
+    const config = {
+        meanSpeed: 0,           // [m/s]
+        meanAzimuth: 0,         // [deg]
+        turbulence: 'NONE',     // 'NONE' | 'DRYDEN' | 'VON_KARMAN'
+        sigma: 1.0,             // turbulence intensity (RMS per axis) [m/s]
+        lengthScale: 30,        // turbulence length scale L [m]
+        seed: 1,
+        gusts: [],              // [{ t, duration, amplitude, azimuth, elevation }]
+    };
+
+    let rng = null;
+    let gaussian = null;    // standard normal samples drawn from rng
+    let filters = null;     // { u, v, w } discrete shaping filters
+    let filterDt = 0;
+
+    // =====================================================================
+    //  SEEDED RANDOM NUMBERS (shared with sensors.js)
+    // =====================================================================
+
+    // mulberry32 — small, fast, good enough for disturbance generation
+    function makeRng(seed) {
+        let a = seed >>> 0;
+        return function () {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Standard normal sampler via Box–Muller on a uniform generator; each
+    // sampler keeps its own cached second sample
+    function makeGaussian(uniform) {
+        let spare = null;
+        return function () {
+            if (spare !== null) { const v = spare; spare = null; return v; }
+            let u1 = 0;
+            while (u1 === 0) u1 = uniform();
+            const u2 = uniform();
+            const r = Math.sqrt(-2 * Math.log(u1));
+            spare = r * Math.sin(2 * Math.PI * u2);
+            return r * Math.cos(2 * Math.PI * u2);
+        };
+    }
+
+    // =====================================================================
+    //  TURBULENCE SHAPING FILTERS
+    // =====================================================================
+
+    /**
+     * Transfer functions in τ = L/V, as [numerator, denominator] coefficient
+     * lists in ascending powers of s. Gains are irrelevant: every filter is
+     * normalized to unit stationary variance and then scaled by σ.
+     */
+    function spectra(model, tau) {
+        if (model === 'VON_KARMAN') {
+            // Rational approximations of the von Kármán spectra (MIL-HDBK-1797)
+            return {
+                u: [[1, 0.25 * tau], [1, 1.357 * tau, 0.1987 * tau * tau]],
+                v: [[1, 2.7478 * tau, 0.3398 * tau * tau],
+                    [1, 2.9958 * tau, 1.9754 * tau * tau, 0.1539 * tau * tau * tau]],
+            };
+        }
+        // Dryden
+        return {
+            u: [[1], [1, tau]],
+            v: [[1, Math.sqrt(3) * tau], [1, 2 * tau, tau * tau]],
+        };
+    }
+
+    /**
+     * Build a discrete state-space filter x⁺ = Ad·x + Bd·n, y = C·x driven by
+     * unit-variance white noise n, with output scaled to unit variance.
+     */
+    function buildFilter(num, den, dt) {
+        // Controllable canonical form of num(s)/den(s), den monic-normalized
+        const n = den.length - 1;
+        const a = den.map(c => c / den[n]);
+        const b = num.map(c => c / den[n]);
+        const A = LinAlg.zeros(n, n);
+        for (let i = 0; i < n - 1; i++) A[i][i + 1] = 1;
+        for (let j = 0; j < n; j++) A[n - 1][j] = -a[j];
+        const B = LinAlg.zeros(n, 1);
+        B[n - 1][0] = 1;
+        const C = new Array(n).fill(0);
+        for (let j = 0; j < b.length && j < n; j++) C[j] = b[j];
+
+        const { Ad, Bd } = LinAlg.c2d(A, B, dt);
+        // Continuous white noise over one step → √dt scaling (normalized below anyway)
+        const Bn = Bd.map(row => row[0] / Math.sqrt(dt));
+
+        // Stationary covariance P = Ad P Adᵀ + Bn Bnᵀ (Smith's doubling iteration)
+        let P = Bn.map(bi => Bn.map(bj => bi * bj));
+        let Ak = Ad;
+        for (let k = 0; k < 64; k++) {
+            P = LinAlg.add(P, LinAlg.mul(LinAlg.mul(Ak, P), LinAlg.transpose(Ak)));
+            Ak = LinAlg.mul(Ak, Ak);
+            let norm = 0;
+            for (const row of Ak) for (const v of row) norm = Math.max(norm, Math.abs(v));
+            if (norm < 1e-12) break;
+        }
+        let variance = 0;
+        for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) variance += C[i] * P[i][j] * C[j];
+        const gain = variance > 0 ? 1 / Math.sqrt(variance) : 0;
+
+        return { Ad, Bn, C: C.map(c => c * gain), x: new Array(n).fill(0) };
+    }
+
+    function buildFilters(dt) {
+        filterDt = dt;
+        if (config.turbulence === 'NONE') { filters = null; return; }
+        const V = Math.max(config.meanSpeed, V_MIN);
+        const tau = config.lengthScale / V;
+        const tf = spectra(config.turbulence, tau);
+        filters = {
+            u: buildFilter(tf.u[0], tf.u[1], dt),
+            v: buildFilter(tf.v[0], tf.v[1], dt),
+            w: buildFilter(tf.v[0], tf.v[1], dt),
+        };
+    }
+
+    function stepFilter(f) {
+        const n = gaussian();
+        const x = LinAlg.mulVec(f.Ad, f.x);
+        for (let i = 0; i < x.length; i++) x[i] += f.Bn[i] * n;
+        f.x = x;
+        let y = 0;
+        for (let i = 0; i < x.length; i++) y += f.C[i] * x[i];
+        return y;
+    }
+
+    // =====================================================================
+    //  PUBLIC INTERFACE
+    // =====================================================================
+
+    function reset() {
+        rng = makeRng(config.seed);
+        gaussian = makeGaussian(rng);
+        filters = null;
+        filterDt = 0;
+    }
+
+    /**
+     * Update any subset of the configuration. Turbulence filters are rebuilt
+     * on the next sample; the noise sequence is only restarted by reset().
+     */
+    function configure(changes) {
+        Object.assign(config, changes);
+        filters = null;
+        filterDt = 0;
+    }
+
+    function getConfig() { return JSON.parse(JSON.stringify(config)); }
+
+    /**
+     * Unit vector for an azimuth (ground plane, from +x towards +z) and an
+     * elevation above it [deg]; shared with windField.js
+     */
+    function direction(azimuthDeg, elevationDeg) {
+        const a = azimuthDeg * Math.PI / 180;
+        const e = (elevationDeg || 0) * Math.PI / 180;
+        return { x: Math.cos(e) * Math.cos(a), y: Math.sin(e), z: Math.cos(e) * Math.sin(a) };
+    }
+
+    /**
+     * Advance the disturbance by dt and return the wind velocity at time t
+     * @returns {{x, y, z}} wind velocity in world frame [m/s]
+     */
+    function sample(t, dt) {
+        if (!rng) reset();
+
+        const d = direction(config.meanAzimuth, 0);
+        const w = { x: config.meanSpeed * d.x, y: 0, z: config.meanSpeed * d.z };
+
+        // Turbulence — u along the mean wind, v lateral, w vertical
+        if (config.turbulence !== 'NONE') {
+            if (!filters || filterDt !== dt) buildFilters(dt);
+            const s = config.sigma;
+            const tu = s * stepFilter(filters.u);
+            const tv = s * stepFilter(filters.v);
+            const tw = s * stepFilter(filters.w);
+            w.x += tu * d.x - tv * d.z;
+            w.z += tu * d.z + tv * d.x;
+            w.y += tw;
+        }
+
+        // Discrete 1−cos gusts
+        for (const g of config.gusts) {
+            const tau = t - g.t;
+            if (tau < 0 || tau > g.duration || g.duration <= 0) continue;
+            const mag = 0.5 * g.amplitude * (1 - Math.cos(2 * Math.PI * tau / g.duration));
+            const gd = direction(g.azimuth, g.elevation);
+            w.x += mag * gd.x;
+            w.y += mag * gd.y;
+            w.z += mag * gd.z;
+        }
+
+        return w;
+    }
+
+    return { reset, configure, getConfig, sample, makeRng, makeGaussian, direction };
+})();
@@ -0,0 +1,170 @@
+/**
+ * windField.js — Spatially Varying Wind Sources
+ *
+ * Local disturbances placed in the world, sampled at the vehicle position
+ * by the physics integrator and added to the uniform wind from wind.js:
+ *
+ *   FAN    — Round jet from a fan/nozzle. Centreline speed decays as the
+ *            jet spreads linearly with distance; Gaussian cross-section.
+ *   SHEAR  — Horizontal wind whose speed changes across an altitude band
+ *            (tanh profile between a lower and an upper layer).
+ *   WAKE   — Wake behind a cylindrical obstacle in a free stream: velocity
+ *            deficit plus lateral von Kármán vortex-street oscillation at
+ *            Strouhal frequency f = St·U/D. The free stream itself is not
+ *            added — pair it with a matching mean wind.
+ *
+ * Positions are scene coordinates (y up). Azimuths are measured in the
+ * ground plane from +x towards +z, the same convention as wind.js.
+ */
+
+const WindField = (() => {
+
+    const STROUHAL = 0.2;
+    const JET_SPREAD = 0.2;   // jet half-width growth per metre of travel
+
+    // Source types and their editable parameters (in UI order)
+    const types = {
+        FAN: {
+            name: 'Fan / jet',
+            params: [
+                { key: 'x', label: 'x', value: -4 },
+                { key: 'y', label: 'y', value: 2 },
+                { key: 'z', label: 'z', value: 0 },
+                { key: 'azimuth', label: 'az°', value: 0 },
+                { key: 'elevation', label: 'el°', value: 0 },
+                { key: 'speed', label: 'U m/s', value: 8 },
+                { key: 'radius', label: 'r m', value: 0.5 },
+            ],
+        },
+        SHEAR: {
+            name: 'Shear layer',
+            params: [
+                { key: 'altitude', label: 'alt m', value: 4 },
+                { key: 'thickness', label: 'δ m', value: 0.5 },
+                { key: 'speedBelow', label: 'U↓ m/s', value: 0 },
+                { key: 'speedAbove', label: 'U↑ m/s', value: 5 },
+                { key: 'azimuth', label: 'az°', value: 90 },
+            ],
+        },
+        WAKE: {
+            name: 'Obstacle wake',
+            params: [
+                { key: 'x', label: 'x', value: 0 },
+                { key: 'z', label: 'z', value: -3 },
+                { key: 'radius', label: 'r m', value: 0.6 },
+                { key: 'height', label: 'h m', value: 6 },
+                { key: 'speed', label: 'U∞ m/s', value: 5 },
+                { key: 'azimuth', label: 'az°', value: 90 },
+            ],
+        },
+    };
+
+    let sources = [];
+
+    function createSource(type, values) {
+        const src = { type };
+        types[type].params.forEach(p => { src[p.key] = p.value; });
+        return Object.assign(src, values);
+    }
+
+    // =====================================================================
+    //  SOURCE MODELS — each returns a velocity contribution [m/s]
+    // =====================================================================
+
+    function sampleFan(src, px, py, pz) {
+        const d = Wind.direction(src.azimuth, src.elevation);
+        const rx = px - src.x, ry = py - src.y, rz = pz - src.z;
+        const along = rx * d.x + ry * d.y + rz * d.z;
+        if (along <= 0) return null;
+        const cx = rx - along * d.x, cy = ry - along * d.y, cz = rz - along * d.z;
+        const radial2 = cx * cx + cy * cy + cz * cz;
+        const halfWidth = src.radius + JET_SPREAD * along;
+        const u = src.speed * (src.radius / halfWidth) * Math.exp(-radial2 / (halfWidth * halfWidth));
+        return { x: u * d.x, y: u * d.y, z: u * d.z };
+    }
+
+    function sampleShear(src, px, py, pz) {
+        const d = Wind.direction(src.azimuth, 0);
+        const blend = 0.5 * (1 + Math.tanh((py - src.altitude) / Math.max(src.thickness, 1e-3)));
+        const u = src.speedBelow + (src.speedAbove - src.speedBelow) * blend;
+        return { x: u * d.x, y: 0, z: u * d.z };
+    }
+
+    function sampleWake(src, px, py, pz, t) {
+        if (py < 0 || py > src.height) return null;
+        const d = Wind.direction(src.azimuth, 0);
+        const rx = px - src.x, rz = pz - src.z;
+        const along = rx * d.x + rz * d.z;
+        const lateral = -rx * d.z + rz * d.x;
+        const D = 2 * src.radius;
+        if (along < src.radius || along > 20 * D) return null;
+
+        // Self-similar deficit: width grows as √x, depth decays as 1/√x
+        const xn = along / D;
+        const width = 0.5 * D * Math.sqrt(xn);
+        const profile = Math.exp(-(lateral * lateral) / (width * width));
+        const deficit = src.speed * Math.min(1, 1.2 / Math.sqrt(xn)) * profile;
+
+        // Vortex street: lateral oscillation convected at ~0.85 U
+        const f = STROUHAL * src.speed / D;
+        const phase = 2 * Math.PI * f * (t - along / (0.85 * Math.max(src.speed, 0.1)));
+        const sway = 0.5 * deficit * Math.sin(phase);
+
+        return {
+            x: -deficit * d.x - sway * d.z,
+            y: 0,
+            z: -deficit * d.z + sway * d.x,
+        };
+    }
+
+    const samplers = { FAN: sampleFan, SHEAR: sampleShear, WAKE: sampleWake };
+
+    // =====================================================================
+    //  PUBLIC INTERFACE
+    // =====================================================================
+
+    /**
+     * Total field velocity at a point [m/s]
+     */
+    function sample(px, py, pz, t) {
+        const w = { x: 0, y: 0, z: 0 };
+        for (const src of sources) {
+            const v = samplers[src.type](src, px, py, pz, t || 0);
+            if (!v) continue;
+            w.x += v.x; w.y += v.y; w.z += v.z;
+        }
+        return w;
+    }
+
+    /**
+     * Field vectors on a regular grid, for the 3D glyph overlay.
+     * Points with negligible wind are skipped.
+     */
+    function sampleGrid(t, extent, spacing, heights, minSpeed) {
+        const out = [];
+        for (const y of heights) {
+            for (let x = -extent; x <= extent + 1e-9; x += spacing) {
+                for (let z = -extent; z <= extent + 1e-9; z += spacing) {
+                    const v = sample(x, y, z, t);
+                    if (Math.hypot(v.x, v.y, v.z) >= minSpeed) out.push({ x, y, z, v });
+                }
+            }
+        }
+        return out;
+    }
+
+    function addSource(type, values) {
+        if (!types[type]) return null;
+        const src = createSource(type, values);
+        sources.push(src);
+        return src;
+    }
+
+    function removeSource(idx) { sources.splice(idx, 1); }
+    function clear() { sources = []; }
+    function getSources() { return sources; }
+    function getTypes() { return types; }
+    function isEmpty() { return sources.length === 0; }
+
+    return { sample, sampleGrid, addSource, removeSource, clear, getSources, getTypes, isEmpty };
+})();